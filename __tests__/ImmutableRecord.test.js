@@ -50,9 +50,116 @@ describe('ImmutableRecord', () => {
 
       expect(RecordKlass.name).toBe(recordName);
     });
+
+    it(`accepts an options object instead of a name`, () => {
+      const RecordKlass = ImmutableRecord({ foo: null }, { name: 'Test' });
+      expect(RecordKlass.name).toBe('Test');
+    });
+
+    it(`throws if the options are invalid`, () => {
+      expect(() => ImmutableRecord({ foo: null }, 5)).toThrowError(/options/);
+      expect(() => ImmutableRecord({ foo: null }, { nmae: 'Test' }))
+        .toThrowError('Unknown Record options: nmae.');
+    });
   });
 });
 
+/*
+ * Tests for the static functions that derive new Record classes from an
+ * existing Record class.
+ */
+describe('schema composition', () => {
+  const BaseEntity = ImmutableRecord({
+    id: { type: 'string', required: true },
+    createdAt: { type: 'number', default: 0 }
+  }, 'BaseEntity');
+
+  describe(`extend (moreShape, name) -> Record`, () => {
+    const User = BaseEntity.extend({
+      email: { type: 'string', required: true }
+    }, 'User');
+
+    it(`has the fields of both shapes`, () => {
+      const user = new User({ id: '1', email: 'bill@example.com' });
+
+      expect(Object.keys(user)).toBeSameSet([ 'id', 'createdAt', 'email' ]);
+      expect(User.name).toBe('User');
+      expect(() => new User({ id: '1' })).toThrowError(/"email" is missing/);
+    });
+
+    it(`keeps instanceof relationships with the parent`, () => {
+      const AdminUser = User.extend({ level: { type: 'number' } }, 'AdminUser');
+      const admin = new AdminUser({ id: '1', email: 'bill@example.com', level: 1 });
+
+      expect(admin).toBeInstanceOf(AdminUser);
+      expect(admin).toBeInstanceOf(User);
+      expect(admin).toBeInstanceOf(BaseEntity);
+      expect(admin.set('level', 2)).toBeInstanceOf(AdminUser);
+    });
+
+    it(`overrides fields with the same name`, () => {
+      const Numbered = BaseEntity.extend({ id: { type: 'number' } });
+      expect(new Numbered({ id: 1 }).id).toBe(1);
+    });
+
+    it(`inherits methods of subclasses`, () => {
+      class Entity extends BaseEntity {
+        describe () {
+          return `entity ${this.id}`;
+        }
+      }
+
+      const Named = Entity.extend({ name: {} }, 'Named');
+      const named = new Named({ id: '1', name: 'bill' });
+
+      expect(named).toBeInstanceOf(Entity);
+      expect(named.describe()).toBe('entity 1');
+    });
+
+  });
+
+  describe(`pick (keys, name) -> Record`, () => {
+
+    it(`only has the given fields`, () => {
+      const IdOnly = BaseEntity.pick([ 'id' ], 'IdOnly');
+
+      expect(IdOnly.name).toBe('IdOnly');
+      expect(Object.keys(new IdOnly({ id: '1', createdAt: 5 }))).toEqual([ 'id' ]);
+      expect(() => new IdOnly({})).toThrowError(/"id" is missing/);
+    });
+
+    it(`throws for fields that aren't in the shape`, () => {
+      expect(() => BaseEntity.pick([ 'nope' ])).toThrowError(/"nope" is not a valid field/);
+    });
+
+  });
+
+  describe(`omit (keys, name) -> Record`, () => {
+
+    it(`has every field except the given fields`, () => {
+      const WithoutId = BaseEntity.omit([ 'id' ]);
+
+      expect(WithoutId.name).toBe('BaseEntity');
+      expect(Object.keys(new WithoutId({ id: '1' }))).toEqual([ 'createdAt' ]);
+    });
+
+  });
+
+  describe(`partial (name) -> Record`, () => {
+
+    it(`makes every field optional, without defaults`, () => {
+      const Patch = BaseEntity.partial('BaseEntityPatch');
+      const patch = new Patch({ createdAt: 5 });
+
+      expect(Object.keys(patch)).toEqual([ 'createdAt' ]);
+      expect(Object.keys(new Patch({}))).toEqual([]);
+      expect(() => new Patch({ id: 1 })).toThrowError(/the value 1 at "id" is invalid/i);
+    });
+
+  });
+
+});
+
 /*
  * Tests for the Record class returned by the top-level
  * ImmutableRecord function.
@@ -122,6 +229,735 @@ describe('Record', () => {
 
   });
 
+  describe(`nested Records`, () => {
+    const Address = ImmutableRecord({
+      street: { type: 'string' },
+      zip: { type: 'string', required: true },
+      country: { default: 'US' }
+    }, 'Address');
+
+    const User = ImmutableRecord({
+      name: { type: 'string' },
+      address: { type: Address }
+    }, 'User');
+
+    it(`accepts a Record class as a field type`, () => {
+      expect(() => ImmutableRecord({ address: { type: Address } })).not.toThrow();
+    });
+
+    it(`constructs nested Records from plain objects`, () => {
+      const user = new User({ address: { zip: '02139' } });
+
+      expect(user.address).toBeInstanceOf(Address);
+      expect(user.address.zip).toBe('02139');
+      expect(user.address.country).toBe('US');
+    });
+
+    it(`passes existing Record instances through`, () => {
+      const address = new Address({ zip: '02139' });
+      const user = new User({ address: address });
+
+      expect(user.address).toBe(address);
+    });
+
+    it(`accepts instances of Record subclasses`, () => {
+      class UKAddress extends Address {}
+      const address = new UKAddress({ zip: 'SW1A 1AA' });
+
+      expect(new User({ address: address }).address).toBe(address);
+    });
+
+    it(`constructs nested Records when using set()`, () => {
+      const user = new User().set('address', { zip: '02139' });
+
+      expect(user.address).toBeInstanceOf(Address);
+      expect(user.address.zip).toBe('02139');
+    });
+
+    it(`reports the full path of invalid nested fields`, () => {
+      expect(
+        () => new User({ address: { zip: 2139 } })
+      ).toThrowError(/the value 2139 at "address.zip" is invalid/i);
+
+      expect(
+        () => new User({ address: {} })
+      ).toThrowError(/"address.zip" is missing/);
+    });
+
+    it(`collects failures from nested Records along with the parent's`, () => {
+      let error;
+      try {
+        new User({ name: 5, address: { street: 1 } });
+      } catch (e) {
+        error = e;
+      }
+
+      expect(error).toBeInstanceOf(ImmutableRecord.RecordValidationError);
+      expect(error.errors.map(_.property('path'))).toEqual([
+        [ 'name' ],
+        [ 'address', 'street' ],
+        [ 'address', 'zip' ]
+      ]);
+      expect(error.errors.map(_.property('code'))).toEqual([
+        'INVALID_TYPE', 'INVALID_TYPE', 'REQUIRED'
+      ]);
+    });
+
+    it(`rejects values that are neither Records nor plain objects`, () => {
+      expect(
+        () => new User({ address: 'somewhere' })
+      ).toThrowError(/the value "somewhere" at "address" is invalid/i);
+    });
+
+    it(`validates nested input only once`, () => {
+      let calls = 0;
+      const Counted = ImmutableRecord({
+        zip: { type: value => { calls++; return _.isString(value); } }
+      }, { validate: () => { calls++; return true; } });
+      const Parent = ImmutableRecord({ counted: { type: Counted } });
+
+      new Parent({ counted: { zip: '02139' } });
+      expect(calls).toBe(2);
+    });
+
+    it(`validates subclasses that change their input`, () => {
+      class Padded extends Address {
+        constructor (values) {
+          super(_.assign({}, values, { zip: 5 }));
+        }
+      }
+      const Parent = ImmutableRecord({ address: { type: Padded } });
+
+      expect(() => new Parent({ address: { zip: '02139' } })).toThrowError(/"zip"/);
+    });
+
+  });
+
+  describe(`non-throwing validation`, () => {
+    const Address = ImmutableRecord({
+      zip: { type: 'string', required: true }
+    });
+
+    const User = ImmutableRecord({
+      name: { type: 'string', required: true },
+      address: { type: Address }
+    });
+
+    describe(`validate (input) -> { valid, errors }`, () => {
+
+      it(`returns every validation failure`, () => {
+        const result = User.validate({ address: { zip: 2139 } });
+
+        expect(result.valid).toBe(false);
+        expect(result.errors.map(_.property('path'))).toEqual([
+          [ 'name' ],
+          [ 'address', 'zip' ]
+        ]);
+      });
+
+      it(`returns valid: true for valid input`, () => {
+        expect(User.validate({ name: 'Bill' })).toEqual({ valid: true, errors: [] });
+      });
+
+      it(`never throws`, () => {
+        expect(() => User.validate('not an object')).not.toThrow();
+        expect(User.validate('not an object').errors[0].code).toBe('INVALID_INPUT');
+      });
+
+    });
+
+    describe(`tryCreate (input) -> { valid, record, errors }`, () => {
+
+      it(`returns the new Record for valid input`, () => {
+        const result = User.tryCreate({ name: 'Bill', address: { zip: '02139' } });
+
+        expect(result.valid).toBe(true);
+        expect(result.errors).toEqual([]);
+        expect(result.record).toBeInstanceOf(User);
+        expect(result.record.address).toBeInstanceOf(Address);
+      });
+
+      it(`returns the validation failures for invalid input`, () => {
+        const result = User.tryCreate({ name: 5 });
+
+        expect(result.valid).toBe(false);
+        expect(result.record).toBeUndefined();
+        expect(result.errors).toHaveLength(1);
+        expect(result.errors[0].path).toEqual([ 'name' ]);
+      });
+
+      it(`creates instances of subclasses`, () => {
+        class Admin extends User {}
+        expect(Admin.tryCreate({ name: 'Bill' }).record).toBeInstanceOf(Admin);
+      });
+
+      it(`works without a "this" value`, () => {
+        const results = [ { name: 'a' }, { name: 'b' } ].map(User.tryCreate);
+        expect(results.map(result => result.record.name)).toEqual([ 'a', 'b' ]);
+      });
+
+      it(`validates the input only once`, () => {
+        let calls = 0;
+        const Named = ImmutableRecord({
+          name: { type: value => { calls++; return _.isString(value); } }
+        }, { validate: () => { calls++; return true; } });
+
+        expect(Named.tryCreate({ name: 'Bill' }).valid).toBe(true);
+        expect(calls).toBe(2);
+      });
+
+    });
+
+  });
+
+  describe(`custom error messages`, () => {
+    const Address = ImmutableRecord({
+      zip: { type: 'string', required: true, message: 'Enter a ZIP code.' }
+    }, 'Address');
+
+    const User = ImmutableRecord({
+      name: { type: 'string', required: true, message: 'Enter your name.' },
+      age: { type: 'number', message: (value, key) => `${key} can't be ${value}.` },
+      email: { type: 'string' },
+      address: { type: Address, message: 'Enter an address.' }
+    }, {
+      name: 'User',
+      validate: values => values.name !== 'root' || 'Pick another name.'
+    });
+
+    const messages = input => User.validate(input).errors.map(_.property('message'));
+
+    afterEach(() => ImmutableRecord.setErrorFormatter(undefined));
+
+    it(`uses a field's "message" for its own failures`, () => {
+      expect(messages({ age: 'old', email: 5, address: 'somewhere' })).toEqual([
+        'Enter your name.',
+        `age can't be old.`,
+        'The value 5 at "email" is invalid.',
+        'Enter an address.'
+      ]);
+    });
+
+    it(`keeps the messages of failures nested in the field's value`, () => {
+      expect(messages({ name: 'Ted', address: {} })).toEqual([ 'Enter a ZIP code.' ]);
+      expect(User.validate({ name: 'Ted', address: {} }).errors[0].path)
+        .toEqual([ 'address', 'zip' ]);
+    });
+
+    it(`uses "message" for async failures`, () => {
+      const Username = ImmutableRecord({
+        name: { asyncType: () => Promise.resolve(false), message: 'Taken.' }
+      });
+
+      return Username.validateAsync({ name: 'Ted' }).then(result => {
+        expect(result.errors.map(_.property('message'))).toEqual([ 'Taken.' ]);
+      });
+    });
+
+    it(`throws for invalid messages`, () => {
+      expect(() => ImmutableRecord({ a: { message: 5 } }))
+        .toThrow(ImmutableRecord.RecordSchemaValidationError);
+    });
+
+    it(`formats default messages with the error formatter`, () => {
+      const calls = [];
+      ImmutableRecord.setErrorFormatter(failure => {
+        calls.push(failure);
+        return failure.reason === 'INVALID_TYPE'
+          ? `${failure.key}: expected ${failure.expected}`
+          : undefined;
+      });
+
+      expect(messages({ name: 'Ted', email: 5, address: { zip: 1 } })).toEqual([
+        'email: expected string',
+        'Enter a ZIP code.'
+      ]);
+      expect(calls[0]).toEqual({
+        key: 'email',
+        path: [ 'email' ],
+        value: 5,
+        expected: 'string',
+        reason: 'INVALID_TYPE'
+      });
+
+      expect(messages('nope')).toEqual([ 'Record input must either be nil or a plain object.' ]);
+    });
+
+    it(`leaves record-level validator messages alone`, () => {
+      ImmutableRecord.setErrorFormatter(() => 'formatted');
+
+      expect(messages({ name: 'root' })).toEqual([ 'Pick another name.' ]);
+      expect(messages({ name: 5 })).toEqual([ 'Enter your name.' ]);
+      expect(messages({ name: 'Ted', email: 5 })).toEqual([ 'formatted' ]);
+    });
+
+    it(`formats nested failures with the full path`, () => {
+      const keys = [];
+      ImmutableRecord.setErrorFormatter(failure => { keys.push(failure.key); });
+
+      const Wrapper = ImmutableRecord({ user: { type: User } });
+      const errors = Wrapper.validate({ user: { name: 'Ted', email: 5 } }).errors;
+
+      expect(errors[0].message).toBe('The value 5 at "user.email" is invalid.');
+      expect(keys).toEqual([ 'user.email' ]);
+
+      keys.length = 0;
+      const wrapper = new Wrapper({ user: { name: 'Ted' } });
+      expect(() => wrapper.setIn([ 'user', 'email' ], 5)).toThrowError(/"user.email"/);
+      expect(keys).toEqual([ 'user.email' ]);
+    });
+
+    it(`throws for formatters that aren't functions`, () => {
+      expect(() => ImmutableRecord.setErrorFormatter('format')).toThrow(/must be a function/);
+    });
+  });
+
+  describe(`record-level validators`, () => {
+    const Contact = ImmutableRecord({
+      email: { type: 'string' },
+      phone: { type: 'string' }
+    }, {
+      name: 'Contact',
+      validate: function emailOrPhone ({ email, phone }) {
+        return !!(email || phone) || 'Either "email" or "phone" is required.';
+      }
+    });
+
+    const DateRange = ImmutableRecord({
+      start: { type: 'number', required: true },
+      end: { type: 'number', required: true }
+    }, {
+      validate: ({ start, end }) => start <= end || { path: 'end', message: '"end" is before "start".' }
+    });
+
+    it(`throws a RecordValidationError on construction`, () => {
+      expect(() => new Contact({ email: 'bill@example.com' })).not.toThrow();
+      expect(() => new Contact({})).toThrowError(ImmutableRecord.RecordValidationError);
+      expect(() => new Contact({})).toThrowError('Either "email" or "phone" is required.');
+    });
+
+    it(`runs on set(), remove(), merge(), update() and withMutations()`, () => {
+      const contact = new Contact({ email: 'bill@example.com' });
+      const range = new DateRange({ start: 1, end: 2 });
+
+      expect(() => contact.remove('email')).toThrowError(/Either/);
+      expect(() => contact.merge({ email: '' })).toThrowError(/Either/);
+      expect(() => range.set('end', 0)).toThrowError('"end" is before "start".');
+      expect(() => range.update('start', start => start + 5)).toThrowError(/before/);
+      expect(() => range.withMutations(draft => draft.set('start', 3).set('end', 4))).not.toThrow();
+    });
+
+    it(`reports failures like field errors`, () => {
+      const { valid, errors } = DateRange.validate({ start: 2, end: 1 });
+
+      expect(valid).toBe(false);
+      expect(errors).toEqual([ {
+        path: [ 'end' ],
+        value: 1,
+        expected: 'validator',
+        code: 'INVALID_RECORD',
+        message: '"end" is before "start".'
+      } ]);
+      expect(DateRange.tryCreate({ start: 2, end: 1 }).record).toBeUndefined();
+    });
+
+    it(`prefixes failures of nested Records`, () => {
+      const Trip = ImmutableRecord({ dates: { type: DateRange } });
+      const { errors } = Trip.validate({ dates: { start: 2, end: 1 } });
+
+      expect(errors).toHaveLength(1);
+      expect(errors[0].path).toEqual([ 'dates', 'end' ]);
+      expect(errors[0].message).toBe('"end" is before "start".');
+    });
+
+    it(`are kept by extend() and dropped by pick(), omit() and partial()`, () => {
+      const Person = Contact.extend({ name: { type: 'string' } }, {
+        name: 'Person',
+        validate: ({ name }) => name !== '' || 'Empty name.'
+      });
+
+      expect(Person.name).toBe('Person');
+      expect(() => new Person({ name: 'Bill' })).toThrowError(/Either/);
+      expect(() => new Person({ name: '', phone: '1' })).toThrowError('Empty name.');
+      expect(() => new (Contact.extend({ name: {} }))({})).toThrowError(/Either/);
+
+      expect(() => new (Contact.pick([ 'email' ]))({})).not.toThrow();
+      expect(() => new (Contact.omit([ 'phone' ]))({})).not.toThrow();
+      expect(() => new (Contact.partial())({})).not.toThrow();
+    });
+
+  });
+
+  describe(`async validation`, () => {
+    const takenNames = [ 'taken' ];
+
+    function isAvailable (name) {
+      return Promise.resolve(!_.includes(takenNames, name));
+    }
+
+    const Account = ImmutableRecord({
+      name: { type: 'string', asyncType: isAvailable, required: true },
+      password: { type: 'string' }
+    }, {
+      name: 'Account',
+      validateAsync: function strongPassword ({ password }) {
+        return Promise.resolve(password !== '1234' || { path: 'password', message: 'Weak password.' });
+      }
+    });
+
+    // Returns a Promise that resolves to the error the Promise rejects with
+    function getRejection (promise) {
+      return promise.then(
+        value => {
+          throw new Error(`Expected the Promise to reject, but it resolved to ${value}.`);
+        },
+        error => error
+      );
+    }
+
+    describe(`createAsync (input) -> Promise<Record>`, () => {
+
+      it(`resolves to a Record once the async validators pass`, () => {
+        return Account.createAsync({ name: 'bill' }).then(account => {
+          expect(account).toBeInstanceOf(Account);
+          expect(account.name).toBe('bill');
+        });
+      });
+
+      it(`rejects with every failure, including the async ones`, () => {
+        return getRejection(Account.createAsync({ name: 'taken', password: '1234' })).then(error => {
+          expect(error).toBeInstanceOf(ImmutableRecord.RecordValidationError);
+          expect(error.errors).toEqual([
+            {
+              path: [ 'name' ],
+              value: 'taken',
+              expected: 'isAvailable',
+              code: 'INVALID_TYPE',
+              message: 'The value "taken" at "name" is invalid.'
+            },
+            {
+              path: [ 'password' ],
+              value: '1234',
+              expected: 'strongPassword',
+              code: 'INVALID_RECORD',
+              message: 'Weak password.'
+            }
+          ]);
+        });
+      });
+
+      it(`validates the input only once`, () => {
+        let calls = 0;
+        const Named = ImmutableRecord({
+          name: { type: value => { calls++; return _.isString(value); }, asyncType: isAvailable }
+        });
+
+        return Named.createAsync({ name: 'bill' }).then(named => {
+          expect(named.name).toBe('bill');
+          expect(calls).toBe(1);
+        });
+      });
+
+      it(`only runs async field validators for fields that passed sync validation`, () => {
+        const asyncType = jest.fn(() => Promise.resolve(true));
+        const Checked = ImmutableRecord({ a: { type: 'string', asyncType } });
+
+        return getRejection(Checked.createAsync({ a: 1 })).then(error => {
+          expect(error.errors).toHaveLength(1);
+          expect(asyncType).not.toBeCalled();
+        });
+      });
+
+      it(`runs the validators concurrently`, () => {
+        const resolvers = [];
+        const wait = () => new Promise(resolve => resolvers.push(() => resolve(true)));
+        const Slow = ImmutableRecord({
+          a: { asyncType: wait },
+          b: { asyncType: wait }
+        }, { validateAsync: wait });
+
+        const created = Slow.createAsync({ a: 1, b: 2 });
+
+        // Every validator has been called before any of them resolved
+        return Promise.resolve().then(() => {
+          expect(resolvers).toHaveLength(3);
+          resolvers.forEach(resolve => resolve());
+          return created;
+        });
+      });
+
+      it(`runs the async validators of nested Records`, () => {
+        const Team = ImmutableRecord({ owner: { type: Account } });
+
+        return getRejection(Team.createAsync({ owner: { name: 'taken' } })).then(error => {
+          expect(error.errors.map(_.property('path'))).toEqual([ [ 'owner', 'name' ] ]);
+
+          return Team.createAsync({ owner: { name: 'bill' } });
+        }).then(team => {
+          expect(team.owner).toBeInstanceOf(Account);
+        });
+      });
+
+      it(`runs the async validators of Records inside combinators and collections`, () => {
+        const { arrayOf, objectOf, shape, nullable, lazy } = ImmutableRecord.types;
+        const Team = ImmutableRecord({
+          members: { type: arrayOf(Account) },
+          byRole: { type: objectOf(nullable(Account)) },
+          lead: { type: shape({ account: Account }) },
+          alumni: { type: ImmutableRecord.List(lazy(() => Account)) }
+        });
+
+        return Account.createAsync({ name: 'bill' }).then(bill => getRejection(Team.createAsync({
+          members: [ { name: 'bill' }, { name: 'taken' } ],
+          byRole: { owner: { name: 'taken' }, guest: null },
+          lead: { account: { name: 'taken' } },
+          alumni: [ bill, { name: 'taken' } ]
+        }))).then(error => {
+          expect(error.errors.map(_.property('path'))).toEqual([
+            [ 'members', 1, 'name' ],
+            [ 'byRole', 'owner', 'name' ],
+            [ 'lead', 'account', 'name' ],
+            [ 'alumni', 1, 'name' ]
+          ]);
+
+          return Team.createAsync({ members: [ { name: 'bill' } ], alumni: [ { name: 'ted' } ] });
+        }).then(team => {
+          expect(team.members[0]).toBeInstanceOf(Account);
+          expect(team.alumni.get(0)).toBeInstanceOf(Account);
+        });
+      });
+
+      it(`rejects if a validator rejects`, () => {
+        const Broken = ImmutableRecord({ a: { asyncType: () => Promise.reject(new Error('Offline')) } });
+
+        return getRejection(Broken.createAsync({ a: 1 })).then(error => {
+          expect(error.message).toBe('Offline');
+        });
+      });
+
+      it(`creates instances of subclasses`, () => {
+        class Admin extends Account {}
+        return Admin.createAsync({ name: 'bill' }).then(admin => expect(admin).toBeInstanceOf(Admin));
+      });
+
+    });
+
+    describe(`setAsync (property, newValue) -> Promise<Record>`, () => {
+
+      it(`resolves to the updated Record`, () => {
+        return Account.createAsync({ name: 'bill' })
+          .then(account => account.setAsync('password', 'hunter2'))
+          .then(account => {
+            expect(account).toBeInstanceOf(Account);
+            expect(account.password).toBe('hunter2');
+          });
+      });
+
+      it(`rejects if the new value is invalid`, () => {
+        return getRejection(
+          Account.createAsync({ name: 'bill' }).then(account => account.setAsync('name', 'taken'))
+        ).then(error => {
+          expect(error.errors[0].path).toEqual([ 'name' ]);
+        });
+      });
+
+      it(`only runs the async validators of the changed field`, () => {
+        const asyncType = jest.fn(() => Promise.resolve(true));
+        const Checked = ImmutableRecord({ a: { asyncType }, b: { asyncType } });
+
+        return Checked.createAsync({ a: 1, b: 2 })
+          .then(checked => {
+            asyncType.mockClear();
+            return checked.setAsync('a', 3);
+          })
+          .then(() => {
+            expect(asyncType.mock.calls).toEqual([ [ 3 ] ]);
+          });
+      });
+
+    });
+
+    describe(`validateAsync (input) -> Promise<{ valid, errors }>`, () => {
+
+      it(`resolves to the validation result`, () => {
+        return Promise.all([
+          Account.validateAsync({ name: 'bill' }),
+          Account.validateAsync({ name: 'taken' })
+        ]).then(([ valid, invalid ]) => {
+          expect(valid).toEqual({ valid: true, errors: [] });
+          expect(invalid.valid).toBe(false);
+          expect(invalid.errors).toHaveLength(1);
+        });
+      });
+
+    });
+
+    it(`refuses to construct Records with async validators synchronously`, () => {
+      const Team = ImmutableRecord({ owner: { type: Account } });
+
+      expect(() => new Account({ name: 'bill' }))
+        .toThrowError(ImmutableRecord.RecordValidationError);
+      expect(() => new Account({ name: 'bill' })).toThrowError(/createAsync/);
+      expect(() => new Team({})).toThrowError(/createAsync/);
+
+      const { arrayOf, objectOf, shape } = ImmutableRecord.types;
+      [ arrayOf(Account), objectOf(Account), shape({ account: Account }) ].forEach(type => {
+        const Holder = ImmutableRecord({ value: { type } });
+        expect(Holder.validate({}).errors[0].code).toBe('ASYNC_VALIDATION_REQUIRED');
+      });
+    });
+
+    it(`reports a failure from validate() and tryCreate()`, () => {
+      const expected = [ {
+        path: [],
+        value: { name: 'bill' },
+        expected: 'validateAsync',
+        code: 'ASYNC_VALIDATION_REQUIRED',
+        message: 'This Record has async validators, so it must be created with createAsync() ' +
+          'or setAsync() and validated with validateAsync().'
+      } ];
+
+      expect(Account.validate({ name: 'bill' })).toEqual({ valid: false, errors: expected });
+      expect(Account.tryCreate({ name: 'bill' }))
+        .toEqual({ valid: false, record: undefined, errors: expected });
+    });
+
+    it(`throws from the synchronous update functions`, () => {
+      return Account.createAsync({ name: 'bill' }).then(account => {
+        const updates = [
+          () => account.set('password', 'hunter2'),
+          () => account.remove('password'),
+          () => account.merge({ password: 'hunter2' }),
+          () => account.update('name', name => name.toUpperCase()),
+          () => account.withMutations(draft => draft.set('password', 'hunter2')),
+          () => account.setIn([ 'password' ], 'hunter2'),
+          () => account.applyPatch([ { op: 'add', path: '/password', value: 'hunter2' } ])
+        ];
+
+        updates.forEach(update => {
+          expect(update).toThrowError(ImmutableRecord.RecordValidationError);
+          expect(update).toThrowError(/setAsync/);
+        });
+      });
+    });
+
+    it(`throws if a synchronous validator returns a Promise`, () => {
+      const AsyncType = ImmutableRecord({ a: { type: value => Promise.resolve(true) } });
+      const AsyncValidate = ImmutableRecord({ a: {} }, { validate: () => Promise.resolve(true) });
+
+      expect(() => new AsyncType({ a: 1 })).toThrowError(/"asyncType"/);
+      expect(() => new AsyncValidate({ a: 1 })).toThrowError(/"validateAsync"/);
+    });
+
+  });
+
+  describe(`coercion`, () => {
+    const Query = ImmutableRecord({
+      page: { type: 'number', coerce: ImmutableRecord.coercers.integer, default: 1 },
+      verbose: { type: 'boolean', coerce: ImmutableRecord.coercers.boolean },
+      search: { type: 'string', coerce: value => String(value).toLowerCase() }
+    });
+
+    it(`coerces values before validating them`, () => {
+      const query = new Query({ page: '42', verbose: 'yes', search: 'FOO' });
+
+      expect(query.page).toBe(42);
+      expect(query.verbose).toBe(true);
+      expect(query.search).toBe('foo');
+    });
+
+    it(`coerces values passed to set()`, () => {
+      const query = new Query().set('page', '3');
+      expect(query.page).toBe(3);
+    });
+
+    it(`doesn't coerce missing values`, () => {
+      const query = new Query();
+
+      expect(query.page).toBe(1);
+      expect('verbose' in query).toBe(false);
+    });
+
+    it(`reports values that can't be coerced`, () => {
+      expect(
+        () => new Query({ page: 'first' })
+      ).toThrowError(/the value "first" at "page" is invalid/i);
+    });
+
+  });
+
+  describe(`computed fields`, () => {
+    const Person = ImmutableRecord({
+      first: { type: 'string' },
+      last: { type: 'string' },
+      fullName: {
+        computed: person => `${person.first} ${person.last}`
+      },
+      initials: {
+        computed: person => person.first[0] + person.last[0],
+        enumerable: false
+      }
+    });
+
+    const person = new Person({ first: 'Bill', last: 'Granfield' });
+
+    it(`computes the value from the record`, () => {
+      expect(person.fullName).toBe('Bill Granfield');
+      expect(person.initials).toBe('BG');
+    });
+
+    it(`memoizes the value per instance`, () => {
+      const compute = jest.fn(record => record.a * 2);
+      const Doubled = ImmutableRecord({
+        a: { type: 'number' },
+        doubled: { computed: compute }
+      });
+
+      const instance = new Doubled({ a: 2 });
+      expect(compute).not.toBeCalled();
+
+      expect(instance.doubled).toBe(4);
+      expect(instance.doubled).toBe(4);
+      expect(compute.mock.calls.length).toBe(1);
+    });
+
+    it(`recomputes the value for new instances`, () => {
+      expect(person.set('first', 'William').fullName).toBe('William Granfield');
+      expect(person.fullName).toBe('Bill Granfield');
+    });
+
+    it(`is read-only`, () => {
+      expect(() => (person.fullName = 'x')).toThrowError(/Use the "set" function/);
+      expect(() => person.set('fullName', 'x')).toThrowError(/"fullName" is a computed field/);
+      expect(() => person.remove('fullName')).toThrowError(/"fullName" is a computed field/);
+    });
+
+    it(`ignores computed fields in the input`, () => {
+      expect(new Person({ first: 'a', last: 'b', fullName: 'x' }).fullName).toBe('a b');
+    });
+
+    it(`ignores computed fields in merge()`, () => {
+      expect(person.merge(person.toObject()).equals(person)).toBe(true);
+      expect(person.merge({ first: 'a', fullName: 'x' }).fullName).toBe('a Granfield');
+      expect(
+        person.withMutations(draft => draft.merge(person.toObject()).set('last', 'b')).fullName
+      ).toBe('Bill b');
+    });
+
+    it(`is enumerable unless "enumerable" is false`, () => {
+      expect(Object.keys(person)).toBeSameSet([ 'first', 'last', 'fullName' ]);
+      expect('initials' in person).toBe(true);
+    });
+
+    it(`shows up in toString() and serialization`, () => {
+      expect(person.toString()).toMatch(/fullName: "Bill Granfield"/);
+      expect(person.toJS()).toEqual({ first: 'Bill', last: 'Granfield', fullName: 'Bill Granfield' });
+      expect(JSON.parse(JSON.stringify(person)).fullName).toBe('Bill Granfield');
+      expect(new Person(person.toJS()).equals(person)).toBe(true);
+    });
+
+  });
+
   describe(`accessors`, () => {
     const recordSpec = {
       defaultField: {
@@ -240,7 +1076,7 @@ describe('Record', () => {
       ).get;
 
       expect(instance.one).toBe(object);
-      expect(getter()).toBe(object);
+      expect(getter.call(instance)).toBe(object);
     });
 
     it(`setter throws`, () => {
@@ -323,6 +1159,14 @@ describe('Record', () => {
       expect(updated.default).toBe(recordSpec.default.default);
     });
 
+    it(`treats property names containing dots as top-level fields`, () => {
+      const DottedRecord = ImmutableRecord({ 'a.b': {} });
+      const updated = new DottedRecord().set('a.b', 1);
+
+      expect(Object.keys(updated)).toBeSameSet([ 'a.b' ]);
+      expect(updated['a.b']).toBe(1);
+    });
+
   });
 
   describe(`remove (property) -> Record`, () => {
@@ -370,6 +1214,460 @@ describe('Record', () => {
 
   });
 
+  describe(`batch updates`, () => {
+    const Base = ImmutableRecord({
+      a: { type: 'number' },
+      b: { type: 'number' },
+      c: { type: 'number', required: true }
+    });
+
+    // Counts the number of Records constructed
+    let constructed = 0;
+    class Counted extends Base {
+      constructor (values) {
+        super(values);
+        constructed += 1;
+      }
+    }
+
+    const instance = new Counted({ a: 1, b: 2, c: 3 });
+    beforeEach(() => constructed = 0);
+
+    describe(`merge (partial) -> Record`, () => {
+
+      it(`updates several properties with a single construction`, () => {
+        const merged = instance.merge({ a: 10, b: 20 });
+
+        expect(merged).toBeInstanceOf(Counted);
+        expect(merged.a).toBe(10);
+        expect(merged.b).toBe(20);
+        expect(merged.c).toBe(3);
+        expect(constructed).toBe(1);
+      });
+
+      it(`throws if a property wasn't specified in the Record`, () => {
+        expect(
+          () => instance.merge({ a: 10, notSpecified: 1 })
+        ).toThrowError(/"notSpecified" is not a valid field/);
+      });
+
+      it(`throws if a new value fails validation`, () => {
+        expect(
+          () => instance.merge({ a: 10, b: 'twenty' })
+        ).toThrowError(/the value "twenty" at "b" is invalid/i);
+      });
+
+    });
+
+    describe(`update (property, updater) -> Record`, () => {
+
+      it(`sets the property to the result of the updater`, () => {
+        const updated = instance.update('a', a => a + 1);
+
+        expect(updated).toBeInstanceOf(Counted);
+        expect(updated.a).toBe(2);
+        expect(instance.a).toBe(1);
+      });
+
+      it(`passes undefined to the updater for missing properties`, () => {
+        const updater = jest.fn(() => 5);
+        const updated = new Base({ c: 1 }).update('a', updater);
+
+        expect(updater).toBeCalledWith(undefined);
+        expect(updated.a).toBe(5);
+      });
+
+      it(`throws if the property wasn't specified in the Record`, () => {
+        expect(
+          () => instance.update('notSpecified', _.identity)
+        ).toThrowError(/"notSpecified" is not a valid field/);
+      });
+
+    });
+
+    describe(`withMutations (mutator) -> Record`, () => {
+
+      it(`applies every change with a single construction`, () => {
+        const mutated = instance.withMutations(draft => {
+          draft
+            .set('a', 10)
+            .update('b', b => b * 10)
+            .merge({ c: 30 });
+
+          draft.remove('a');
+        });
+
+        expect(mutated).toBeInstanceOf(Counted);
+        expect(Object.keys(mutated)).toBeSameSet([ 'b', 'c' ]);
+        expect(mutated.b).toBe(20);
+        expect(mutated.c).toBe(30);
+        expect(constructed).toBe(1);
+      });
+
+      it(`validates the result, not the intermediate states`, () => {
+        const mutated = instance.withMutations(draft => {
+          draft.remove('c');
+          draft.set('c', 4);
+        });
+        expect(mutated.c).toBe(4);
+
+        expect(
+          () => instance.withMutations(draft => draft.remove('c'))
+        ).toThrowError(/"c" is missing/);
+      });
+
+      it(`returns the same record if nothing changed`, () => {
+        expect(instance.withMutations(draft => draft.get('a'))).toBe(instance);
+      });
+
+      it(`throws if the draft is used after withMutations() returns`, () => {
+        let leaked;
+        instance.withMutations(draft => (leaked = draft));
+
+        expect(() => leaked.set('a', 1)).toThrowError(/after withMutations\(\) returns/);
+      });
+
+    });
+
+  });
+
+  describe(`deep paths`, () => {
+    const Address = ImmutableRecord({
+      zip: { type: 'string', required: true },
+      lines: { type: value => Array.isArray(value) }
+    }, 'Address');
+
+    const User = ImmutableRecord({
+      address: { type: Address },
+      tags: {},
+      meta: {}
+    }, 'User');
+
+    const user = new User({
+      address: { zip: '02139', lines: [ 'a', 'b', 'c' ] },
+      tags: [ { name: 'x' }, { name: 'y' } ],
+      meta: { visits: 1, nested: { deep: true } }
+    });
+
+    describe(`getIn (path, notSetValue) -> *`, () => {
+
+      it(`walks through Records, arrays and plain objects`, () => {
+        expect(user.getIn([ 'address', 'zip' ])).toBe('02139');
+        expect(user.getIn([ 'address', 'lines', 1 ])).toBe('b');
+        expect(user.getIn([ 'tags', 0, 'name' ])).toBe('x');
+        expect(user.getIn([ 'meta', 'nested', 'deep' ])).toBe(true);
+      });
+
+      it(`accepts dotted string paths`, () => {
+        expect(user.getIn('address.zip')).toBe('02139');
+        expect(user.getIn('tags[1].name')).toBe('y');
+      });
+
+      it(`returns notSetValue if there is no value at the path`, () => {
+        expect(user.getIn([ 'address', 'street' ])).toBeUndefined();
+        expect(user.getIn([ 'meta', 'missing', 'deeper' ], 'default')).toBe('default');
+      });
+
+    });
+
+    describe(`setIn (path, newValue) -> Record`, () => {
+
+      it(`sets nested values and shares untouched branches`, () => {
+        const updated = user.setIn([ 'address', 'zip' ], '10001');
+
+        expect(updated).toBeInstanceOf(User);
+        expect(updated.address).toBeInstanceOf(Address);
+        expect(updated.address.zip).toBe('10001');
+        expect(updated.address.lines).toBe(user.address.lines);
+        expect(updated.tags).toBe(user.tags);
+        expect(updated.meta).toBe(user.meta);
+
+        // The original record is unmodified
+        expect(user.address.zip).toBe('02139');
+      });
+
+      it(`copies arrays and plain objects along the path`, () => {
+        const updated = user.setIn([ 'tags', 1, 'name' ], 'z');
+
+        expect(updated.tags).not.toBe(user.tags);
+        expect(updated.tags[0]).toBe(user.tags[0]);
+        expect(updated.tags[1]).toEqual({ name: 'z' });
+        expect(user.tags[1]).toEqual({ name: 'y' });
+      });
+
+      it(`creates plain objects for missing intermediate values`, () => {
+        const updated = user.setIn('meta.created.by', 'me');
+        expect(updated.meta.created).toEqual({ by: 'me' });
+      });
+
+      it(`validates every Record along the path`, () => {
+        expect(
+          () => user.setIn([ 'address', 'zip' ], 2139)
+        ).toThrowError(/the value 2139 at "address.zip" is invalid/i);
+
+        expect(
+          () => user.setIn([ 'address', 'notAField' ], 'whatever')
+        ).toThrowError(/"notAField" is not a valid field/);
+      });
+
+    });
+
+    it(`reports failures with their full path`, () => {
+      let error;
+      try {
+        user.setIn([ 'address', 'zip' ], 2139);
+      } catch (e) {
+        error = e;
+      }
+
+      expect(error).toBeInstanceOf(ImmutableRecord.RecordValidationError);
+      expect(error.errors.map(_.property('path'))).toEqual([ [ 'address', 'zip' ] ]);
+    });
+
+    describe(`updateIn (path, updater) -> Record`, () => {
+
+      it(`calls the updater with the current value`, () => {
+        const updated = user.updateIn([ 'meta', 'visits' ], visits => visits + 1);
+        expect(updated.meta.visits).toBe(2);
+      });
+
+      it(`returns the same record if the value doesn't change`, () => {
+        expect(user.updateIn([ 'address', 'zip' ], zip => zip)).toBe(user);
+      });
+
+    });
+
+    describe(`removeIn (path) -> Record`, () => {
+
+      it(`removes values from Records, arrays and plain objects`, () => {
+        expect(
+          user.removeIn([ 'address', 'lines', 0 ]).address.lines
+        ).toEqual([ 'b', 'c' ]);
+
+        expect(
+          'deep' in user.removeIn('meta.nested.deep').meta.nested
+        ).toBe(false);
+
+        expect(
+          'lines' in user.removeIn('address.lines').address
+        ).toBe(false);
+      });
+
+      it(`validates every Record along the path`, () => {
+        expect(
+          () => user.removeIn([ 'address', 'zip' ])
+        ).toThrowError(/"address.zip" is missing/);
+      });
+
+      it(`returns the same record if there is no value at the path`, () => {
+        expect(user.removeIn([ 'meta', 'missing', 'deeper' ])).toBe(user);
+      });
+
+    });
+
+    describe(`through Lists and Maps`, () => {
+      const Members = ImmutableRecord.List(Address);
+      const Team = ImmutableRecord({
+        members: { type: Members },
+        offices: { type: ImmutableRecord.Map(Address) }
+      }, 'Team');
+
+      const team = new Team({
+        members: [ { zip: '1' }, { zip: '2' } ],
+        offices: { boston: { zip: '02139' } }
+      });
+
+      it(`gets values`, () => {
+        expect(team.getIn([ 'members', 1, 'zip' ])).toBe('2');
+        expect(team.getIn('members.0.zip')).toBe('1');
+        expect(team.getIn([ 'offices', 'boston', 'zip' ])).toBe('02139');
+        expect(team.getIn([ 'members', 2, 'zip' ], 'none')).toBe('none');
+        expect(team.getIn([ 'members', 'size' ], 'none')).toBe('none');
+        expect(team.getIn([ 'offices', 'get' ], 'none')).toBe('none');
+      });
+
+      it(`sets values`, () => {
+        const updated = team
+          .setIn([ 'members', 1, 'zip' ], '3')
+          .setIn([ 'members', 2 ], { zip: '4' })
+          .setIn([ 'offices', 'nyc' ], { zip: '10001' });
+
+        expect(updated.members).toBeInstanceOf(Members);
+        expect(updated.members.get(0)).toBe(team.members.get(0));
+        expect(updated.members.toArray().map(member => member.zip)).toEqual([ '1', '3', '4' ]);
+        expect(updated.offices.get('nyc')).toBeInstanceOf(Address);
+        expect(team.getIn([ 'members', 1, 'zip' ])).toBe('2');
+
+        expect(() => team.setIn([ 'members', 'size' ], {})).toThrowError(/not a valid index/);
+        expect(() => team.setIn([ 'members', 1, 'zip' ], 2)).toThrowError(/"members.1.zip"/);
+        expect(() => team.setIn([ 'offices', 'nyc' ], { zip: 1 })).toThrowError(/"offices.nyc.zip"/);
+      });
+
+      it(`removes values`, () => {
+        expect(team.removeIn([ 'members', 0 ]).members.toJS()).toEqual([ { zip: '2' } ]);
+        expect(team.removeIn([ 'offices', 'boston' ]).offices.size).toBe(0);
+        expect(team.removeIn([ 'members', 5 ])).toBe(team);
+      });
+
+      it(`applies JSON Patches`, () => {
+        const patched = team.applyPatch([
+          { op: 'add', path: '/members/-', value: { zip: '3' } },
+          { op: 'add', path: '/members/0', value: { zip: '0' } },
+          { op: 'replace', path: '/offices/boston/zip', value: '02140' },
+          { op: 'test', path: '/members/1/zip', value: '1' },
+          { op: 'move', from: '/members/3', path: '/offices/nyc' }
+        ]);
+
+        expect(patched.members).toBeInstanceOf(Members);
+        expect(patched.members.toJS()).toEqual([ { zip: '0' }, { zip: '1' }, { zip: '2' } ]);
+        expect(patched.members.get(0)).toBeInstanceOf(Address);
+        expect(patched.offices.toJS()).toEqual({ boston: { zip: '02140' }, nyc: { zip: '3' } });
+
+        expect(() => team.applyPatch([ { op: 'add', path: '/members/-', value: {} } ]))
+          .toThrowError(ImmutableRecord.RecordValidationError);
+        expect(() => team.applyPatch([ { op: 'add', path: '/members/3', value: { zip: '3' } } ]))
+          .toThrowError(/not a valid index/);
+        expect(() => team.applyPatch([ { op: 'remove', path: '/members/size' } ]))
+          .toThrowError(/no value/);
+      });
+    });
+
+  });
+
+  describe(`equals (other) -> Boolean`, () => {
+    const Address = ImmutableRecord({ zip: {} });
+    const Record = ImmutableRecord({
+      one: {},
+      address: { type: Address },
+      tags: {}
+    });
+
+    it(`is true for records of the same class with deeply equal values`, () => {
+      const instance = new Record({ one: 1, address: { zip: '1' }, tags: new Set([ 'a' ]) });
+      const other = new Record({ tags: new Set([ 'a' ]), address: { zip: '1' }, one: 1 });
+
+      expect(instance.equals(other)).toBe(true);
+      expect(other.equals(instance)).toBe(true);
+      expect(instance.equals(instance)).toBe(true);
+    });
+
+    it(`is false if any value differs`, () => {
+      const instance = new Record({ one: 1, address: { zip: '1' } });
+
+      expect(instance.equals(instance.set('one', 2))).toBe(false);
+      expect(instance.equals(instance.setIn([ 'address', 'zip' ], '2'))).toBe(false);
+      expect(instance.equals(instance.remove('one'))).toBe(false);
+      expect(instance.equals(instance.set('tags', undefined))).toBe(false);
+    });
+
+    it(`is false for records of other classes`, () => {
+      const Same = ImmutableRecord({ one: {}, address: { type: Address }, tags: {} });
+      class Sub extends Record {}
+
+      expect(new Record({ one: 1 }).equals(new Same({ one: 1 }))).toBe(false);
+      expect(new Record({ one: 1 }).equals(new Sub({ one: 1 }))).toBe(false);
+      expect(new Sub({ one: 1 }).equals(new Sub({ one: 1 }))).toBe(true);
+      expect(new Sub({ one: 1 }).set('one', 2).equals(new Sub({ one: 2 }))).toBe(true);
+      expect(new Record({ one: 1 }).equals({ one: 1 })).toBe(false);
+    });
+
+  });
+
+  describe(`hashCode () -> Number`, () => {
+    const Record = ImmutableRecord({ one: {}, two: {} });
+
+    it(`is the same for equal records`, () => {
+      const instance = new Record({ one: new Date(0), two: [ 1, 2 ] });
+      const other = new Record({ two: [ 1, 2 ], one: new Date(0) });
+
+      expect(instance.hashCode()).toBe(other.hashCode());
+      expect(instance.hashCode()).toBe(instance.hashCode());
+    });
+
+    it(`is a 32-bit integer`, () => {
+      const hashCode = new Record({ one: 'foo' }).hashCode();
+      expect(hashCode).toBe(hashCode | 0);
+    });
+
+  });
+
+  describe(`serialization`, () => {
+    const Address = ImmutableRecord({
+      zip: { type: 'string' },
+      created: {
+        type: value => value instanceof Date,
+        serialize: date => date.toISOString()
+      }
+    });
+
+    const User = ImmutableRecord({
+      name: { default: 'anonymous' },
+      address: { type: Address },
+      previous: {},
+      byLabel: {}
+    });
+
+    const user = new User({
+      address: { zip: '02139' },
+      previous: [ new Address({ zip: '10001' }) ],
+      byLabel: new Map([ [ 'home', new Address({ zip: '94103' }) ] ])
+    });
+
+    describe(`toObject () -> Object`, () => {
+
+      it(`returns a shallow plain object`, () => {
+        const object = user.toObject();
+
+        expect(_.isPlainObject(object)).toBe(true);
+        expect(Object.keys(object)).toBeSameSet([ 'name', 'address', 'previous', 'byLabel' ]);
+        expect(object.address).toBe(user.address);
+      });
+
+    });
+
+    describe(`toJS () -> Object`, () => {
+
+      it(`deeply converts nested Records`, () => {
+        const js = user.toJS();
+
+        expect(_.isPlainObject(js.address)).toBe(true);
+        expect(js.address).toEqual({ zip: '02139' });
+        expect(js.previous).toEqual([ { zip: '10001' } ]);
+        expect(js.byLabel).toBeInstanceOf(Map);
+        expect(js.byLabel.get('home')).toEqual({ zip: '94103' });
+      });
+
+      it(`round-trips through the constructor`, () => {
+        const roundTripped = new User(user.toJS());
+
+        expect(roundTripped.address).toBeInstanceOf(Address);
+        expect(roundTripped.address.equals(user.address)).toBe(true);
+        expect(roundTripped.toJS()).toEqual(user.toJS());
+      });
+
+    });
+
+    describe(`toJSON () -> Object`, () => {
+
+      it(`is used by JSON.stringify()`, () => {
+        const json = JSON.parse(JSON.stringify(new User({ address: { zip: '02139' } })));
+
+        expect(json).toEqual({ name: 'anonymous', address: { zip: '02139' } });
+        expect(new User(json).address.zip).toBe('02139');
+      });
+
+      it(`uses the "serialize" option of each field`, () => {
+        const address = new Address({ zip: '02139', created: new Date(0) });
+
+        expect(address.toJSON().created).toBe('1970-01-01T00:00:00.000Z');
+        expect(JSON.parse(JSON.stringify(new User({ address }))).address.created)
+          .toBe('1970-01-01T00:00:00.000Z');
+      });
+
+    });
+
+  });
+
   describe(`toString() -> String`, () => {
 
     it(`contains all of the keys and values`, () => {
@@ -1,6 +1,6 @@
 import { stringify, not } from './shared';
 
-import RecordSchema from '../src/RecordSchema';
+import RecordSchema, { RecordValidationError, RecordSchemaValidationError } from '../src/RecordSchema';
 import _ from 'lodash';
 
 describe('RecordSchema', () => {
@@ -40,6 +40,21 @@ describe('RecordSchema', () => {
       expect({}).not.toBeValidSchema();
     });
 
+    it(`throws a RecordSchemaValidationError`, () => {
+      let error;
+      try {
+        new RecordSchema({});
+      } catch (e) {
+        error = e;
+      }
+
+      expect(error).toBeInstanceOf(RecordSchemaValidationError);
+      expect(error).toBeInstanceOf(Error);
+      expect(error.name).toBe('RecordSchemaValidationError');
+      expect(error.message).toMatch(/more than 0 enumerable keys/);
+      expect(error.stack).toMatch(/RecordSchemaValidationError/);
+    });
+
     it(`throws if a schema value is non-nil and not a plain object`, () => {
       expect({ a: NaN }).not.toBeValidSchema();
       expect({ a: 5 }).not.toBeValidSchema();
@@ -125,6 +140,74 @@ describe('RecordSchema', () => {
       }).not.toBeValidSchema();
     });
 
+    it(`throws if "coerce" is not a function`, () => {
+      expect({
+        a: { coerce: 'number' }
+      }).not.toBeValidSchema();
+
+      expect({
+        a: { coerce: Number }
+      }).toBeValidSchema();
+    });
+
+    it(`throws if "serialize" is not a function`, () => {
+      expect({
+        a: { serialize: 'toISOString' }
+      }).not.toBeValidSchema();
+
+      expect({
+        a: { serialize: value => value.toISOString() }
+      }).toBeValidSchema();
+    });
+
+    it(`throws if "asyncType" is not a function`, () => {
+      expect({
+        a: { asyncType: 'isAvailable' }
+      }).not.toBeValidSchema();
+
+      expect({
+        a: { asyncType: value => Promise.resolve(true) }
+      }).toBeValidSchema();
+
+      expect({
+        a: { asyncType: value => Promise.resolve(true), computed: record => 1 }
+      }).not.toBeValidSchema();
+    });
+
+    it(`throws if "jsonSchema" is not a plain object`, () => {
+      expect({
+        a: { jsonSchema: 'string' }
+      }).not.toBeValidSchema();
+
+      expect({
+        a: { jsonSchema: { type: 'string', format: 'email' } }
+      }).toBeValidSchema();
+    });
+
+    it(`throws if "computed" is invalid`, () => {
+      expect({
+        a: { computed: 'a' }
+      }).not.toBeValidSchema();
+
+      expect({
+        a: { computed: record => 1, type: 'number' }
+      }).not.toBeValidSchema();
+
+      expect({
+        a: { computed: record => 1, default: 1 }
+      }).not.toBeValidSchema();
+
+      expect({
+        a: { computed: record => 1, enumerable: false }
+      }).toBeValidSchema();
+    });
+
+    it(`throws if "enumerable" is used without "computed"`, () => {
+      expect({
+        a: { enumerable: true }
+      }).not.toBeValidSchema();
+    });
+
     it(`allows defaults that validate according to the type`, () => {
       expect({
         a: {
@@ -211,6 +294,22 @@ describe('RecordSchema', () => {
       ).toThrowError(/the value 5 at "b" is invalid/i);
     });
 
+    it(`throws a RecordValidationError with every failure`, () => {
+      let error;
+      try {
+        schema.validateInput({ b: 5 });
+      } catch (e) {
+        error = e;
+      }
+
+      expect(error).toBeInstanceOf(RecordValidationError);
+      expect(error).toBeInstanceOf(Error);
+      expect(error.name).toBe('RecordValidationError');
+      expect(error.errors.map(_.property('path'))).toEqual([ [ 'a' ], [ 'b' ] ]);
+      expect(error.message).toMatch(/"a" is missing/);
+      expect(error.message).toMatch(/the value 5 at "b" is invalid/i);
+    });
+
     it(`returns true if the input is valid`, () => {
       expect(
         schema.validateInput({
@@ -236,6 +335,197 @@ describe('RecordSchema', () => {
 
   });
 
+  describe('parseInput()', () => {
+    const schema = new RecordSchema({
+      a: {
+        type: 'string',
+        required: true
+      },
+      b: {
+        type: function isLarge (b) {
+          return b > 5;
+        }
+      },
+      c: {
+        type: c => c > 5
+      }
+    });
+
+    it(`collects every validation failure without throwing`, () => {
+      const { errors } = schema.parseInput({ b: 5, c: 5 });
+
+      expect(errors).toHaveLength(3);
+      expect(_.omit(errors[0], 'message')).toEqual({
+        path: [ 'a' ],
+        value: undefined,
+        expected: 'required',
+        code: 'REQUIRED'
+      });
+      expect(_.omit(errors[1], 'message')).toEqual({
+        path: [ 'b' ],
+        value: 5,
+        expected: 'isLarge',
+        code: 'INVALID_TYPE'
+      });
+      expect(_.omit(errors[2], 'message')).toEqual({
+        path: [ 'c' ],
+        value: 5,
+        expected: 'validator',
+        code: 'INVALID_TYPE'
+      });
+    });
+
+    it(`describes each failure with a message`, () => {
+      const { errors } = schema.parseInput({ a: 1 });
+
+      expect(errors).toHaveLength(1);
+      expect(errors[0].expected).toBe('string');
+      expect(errors[0].message).toBe('The value 1 at "a" is invalid.');
+    });
+
+    it(`reports non-object input`, () => {
+      const { errors } = schema.parseInput('');
+
+      expect(errors).toHaveLength(1);
+      expect(errors[0].code).toBe('INVALID_INPUT');
+      expect(errors[0].path).toEqual([]);
+    });
+
+    it(`returns no errors for valid input`, () => {
+      const { input, errors } = schema.parseInput({ a: '', b: 6 });
+
+      expect(errors).toEqual([]);
+      expect(input).toEqual({ a: '', b: 6 });
+    });
+
+  });
+
+  describe('record-level validators', () => {
+    const dateRange = {
+      start: { type: 'number', required: true },
+      end: { type: 'number', default: Infinity }
+    };
+
+    function startBeforeEnd ({ start, end }) {
+      return start <= end;
+    }
+
+    it(`throws if a validator isn't a function`, () => {
+      expect(() => new RecordSchema(dateRange, 'startBeforeEnd'))
+        .toThrowError(/"validate" must be a function/);
+      expect(() => new RecordSchema(dateRange, [ startBeforeEnd, null ]))
+        .toThrowError(/"validate" must be a function/);
+    });
+
+    it(`accepts a single validator or an array of them`, () => {
+      expect(new RecordSchema(dateRange, startBeforeEnd).getValidators()).toEqual([ startBeforeEnd ]);
+      expect(new RecordSchema(dateRange, [ startBeforeEnd ]).getValidators()).toEqual([ startBeforeEnd ]);
+      expect(new RecordSchema(dateRange).getValidators()).toEqual([]);
+    });
+
+    it(`calls validators with the values, including defaults`, () => {
+      const validator = jest.fn(() => true);
+      const schema = new RecordSchema(dateRange, validator);
+
+      expect(schema.parseInput({ start: 1, extra: 2 }).errors).toEqual([]);
+      expect(validator).toBeCalledWith({ start: 1, end: Infinity });
+    });
+
+    it(`only calls validators once every field is valid`, () => {
+      const validator = jest.fn(() => true);
+      const schema = new RecordSchema(dateRange, validator);
+
+      expect(schema.parseInput({}).errors).toHaveLength(1);
+      expect(validator).not.toBeCalled();
+    });
+
+    it(`reports false as a failure of the whole record`, () => {
+      const { errors } = new RecordSchema(dateRange, startBeforeEnd).parseInput({ start: 2, end: 1 });
+
+      expect(errors).toHaveLength(1);
+      expect(errors[0]).toEqual({
+        path: [],
+        value: { start: 2, end: 1 },
+        expected: 'startBeforeEnd',
+        code: 'INVALID_RECORD',
+        message: 'The record {"start":2,"end":1} is invalid.'
+      });
+    });
+
+    it(`reports messages and paths`, () => {
+      const schema = new RecordSchema(dateRange, [
+        () => 'First problem',
+        () => [ 'Second problem', { path: 'end', message: 'Third problem' } ],
+        () => ({ path: [ 'start' ] }),
+        () => true,
+        () => undefined,
+        () => []
+      ]);
+
+      const { errors } = schema.parseInput({ start: 2, end: 1 });
+      expect(errors.map(_.property('message'))).toEqual([
+        'First problem',
+        'Second problem',
+        'Third problem',
+        'The value 2 at "start" is invalid.'
+      ]);
+      expect(errors.map(_.property('path'))).toEqual([ [], [], [ 'end' ], [ 'start' ] ]);
+      expect(errors[2].value).toBe(1);
+    });
+
+  });
+
+  describe('type strings', () => {
+
+    /**
+     * Returns true if a value is valid for a field with the given type.
+     *
+     * @param {String} type
+     * @param {*} value
+     * @return {boolean}
+     */
+    const isValid = (type, value) => new RecordSchema({ a: { type } })
+      .parseInput({ a: value })
+      .errors.length === 0;
+
+    it(`accepts the typeof type strings`, () => {
+      expect(isValid('object', null)).toBe(true);
+      expect(isValid('object', [])).toBe(true);
+      expect(isValid('number', NaN)).toBe(true);
+      expect(isValid('bigint', BigInt(1))).toBe(true);
+      expect(isValid('bigint', 1)).toBe(false);
+    });
+
+    it(`accepts named types with precise semantics`, () => {
+      const cases = [
+        [ 'array', [], {} ],
+        [ 'null', null, undefined ],
+        [ 'integer', 5, 5.5 ],
+        [ 'finite', 5.5, Infinity ],
+        [ 'date', new Date(0), new Date('not a date') ],
+        [ 'regexp', /a/, 'a' ],
+        [ 'map', new Map(), {} ],
+        [ 'set', new Set(), [] ],
+        [ 'plainObject', {}, [] ]
+      ];
+
+      cases.forEach(([ type, valid, invalid ]) => {
+        expect(isValid(type, valid)).toBe(true);
+        expect(isValid(type, invalid)).toBe(false);
+      });
+
+      expect(isValid('integer', '5')).toBe(false);
+      expect(isValid('finite', NaN)).toBe(false);
+      expect(isValid('plainObject', new Date())).toBe(false);
+    });
+
+    it(`reports the named type as the expected type`, () => {
+      const { errors } = new RecordSchema({ a: { type: 'integer' } }).parseInput({ a: 1.5 });
+      expect(errors[0].expected).toBe('integer');
+    });
+
+  });
+
   describe(`applyDefaults()`, () => {
     const spec = {
       a: {
@@ -265,49 +555,80 @@ describe('RecordSchema', () => {
 
   });
 
-  describe(`getAccessorsForInput()`, () => {
+  describe(`defineFields()`, () => {
     const schema = new RecordSchema({
       a: null,
-      b: null
+      b: null,
+      c: { computed: record => `${record.a}!` }
+    });
+
+    const input = {
+      b: {},
+      a: {},
+      d: ''
+    };
+
+    const record = {};
+    schema.defineFields(record, input);
+
+    it(`only defines accessors for keys present on the schema, in the schema's order`, () => {
+      expect(Object.keys(record)).toEqual([ 'a', 'b', 'c' ]);
     });
 
-    const accessors = schema.getAccessorsForInput({ a: '', b: '', c: '', d: '' });
+    it(`getValues() returns the values`, () => {
+      expect(schema.getValues(record)).toBe(input);
+    });
 
-    it(`only returns accessors for keys present on the schema`, () => {
-      expect(Object.keys(accessors)).toBeSameSet([ 'a', 'b' ]);
+    it(`keeps the values in a property that isn't a key`, () => {
+      expect(Object.getOwnPropertyNames(record)).toEqual([ 'a', 'b', 'c' ]);
+      expect(_.keys(_.assign({}, record))).toEqual([ 'a', 'b', 'c' ]);
     });
 
-    it(`returns valid accessors for each schema key`, () => {
-      // Object.defineProperties() throws if the descriptors are invalid, so it's
-      // sufficient to verify that it doesn't throw when we pass the result of
-      // the function call.
-      expect(() => Object.defineProperties({}, accessors)).not.toThrow();
+    it(`shares the accessors between records`, () => {
+      const other = {};
+      schema.defineFields(other, { a: 1 });
+
+      expect(Object.getOwnPropertyDescriptor(other, 'a').get)
+        .toBe(Object.getOwnPropertyDescriptor(record, 'a').get);
+      expect(other.a).toBe(1);
+      expect(other.c).toBe('1!');
+      expect(record.c).toBe('[object Object]!');
     });
 
     describe(`accessors`, () => {
-      const input = {
-        a: {},
-        b: {}
-      };
-      const accessors = schema.getAccessorsForInput(input);
+      const accessor = Object.getOwnPropertyDescriptor(record, 'a');
 
       test(`getter returns the input value`, () => {
-        expect(accessors.a.get()).toBe(input.a);
-        expect(accessors.b.get()).toBe(input.b);
+        expect(record.a).toBe(input.a);
+        expect(record.b).toBe(input.b);
+        expect(accessor.get.call(record)).toBe(input.a);
       });
 
       test(`setter throws`, () => {
-        expect(() => accessors.a.set('whatever')).toThrowError(
+        expect(() => accessor.set('whatever')).toThrowError(
           /use the "set" function to update the values of an ImmutableRecord/i
         )
       });
 
       test(`enumerable is true`, () => {
-        expect(accessors.a.enumerable).toBe(true);
+        expect(accessor.enumerable).toBe(true);
       });
 
       test(`configurable is false`, () => {
-        expect(accessors.a.configurable).toBe(false);
+        expect(accessor.configurable).toBe(false);
+      });
+
+      test(`computed values are computed once`, () => {
+        const computed = jest.fn(() => 1);
+        const computedSchema = new RecordSchema({ a: { computed } });
+        const computedRecord = {};
+        computedSchema.defineFields(computedRecord, {});
+
+        expect(computed).not.toHaveBeenCalled();
+        expect(computedRecord.a).toBe(1);
+        expect(computedRecord.a).toBe(1);
+        expect(computed).toHaveBeenCalledTimes(1);
+        expect(computed).toHaveBeenCalledWith(computedRecord);
       });
 
     });
@@ -0,0 +1,58 @@
+import * as coercers from '../src/coercers';
+
+describe('coercers', () => {
+
+  test(`number`, () => {
+    expect(coercers.number('42')).toBe(42);
+    expect(coercers.number(' -1.5 ')).toBe(-1.5);
+    expect(coercers.number(42)).toBe(42);
+    expect(coercers.number('')).toBe('');
+    expect(coercers.number('abc')).toBe('abc');
+    expect(coercers.number('Infinity')).toBe('Infinity');
+  });
+
+  test(`integer`, () => {
+    expect(coercers.integer('42')).toBe(42);
+    expect(coercers.integer(7)).toBe(7);
+    expect(coercers.integer('4.2')).toBe('4.2');
+    expect(coercers.integer('abc')).toBe('abc');
+  });
+
+  test(`boolean`, () => {
+    [ 'true', 'TRUE', ' yes ', '1', 'on', 1, true ].forEach(value => {
+      expect(coercers.boolean(value)).toBe(true);
+    });
+
+    [ 'false', 'No', '0', 'off', '', 0, false ].forEach(value => {
+      expect(coercers.boolean(value)).toBe(false);
+    });
+
+    expect(coercers.boolean('maybe')).toBe('maybe');
+    expect(coercers.boolean(2)).toBe(2);
+  });
+
+  test(`date`, () => {
+    const date = new Date(0);
+
+    expect(coercers.date('1970-01-01T00:00:00.000Z')).toEqual(date);
+    expect(coercers.date(0)).toEqual(date);
+    expect(coercers.date(date)).toBe(date);
+    expect(coercers.date('not a date')).toBe('not a date');
+  });
+
+  test(`trimmedString`, () => {
+    expect(coercers.trimmedString('  foo ')).toBe('foo');
+    expect(coercers.trimmedString(5)).toBe(5);
+  });
+
+  test(`coercers return already-coerced values unchanged`, () => {
+    const date = new Date(0);
+
+    expect(coercers.number(coercers.number('42'))).toBe(42);
+    expect(coercers.integer(coercers.integer('42'))).toBe(42);
+    expect(coercers.boolean(coercers.boolean('yes'))).toBe(true);
+    expect(coercers.date(date)).toBe(date);
+    expect(coercers.trimmedString(coercers.trimmedString(' a '))).toBe('a');
+  });
+
+});
@@ -0,0 +1,333 @@
+import ImmutableRecord from '../src/index';
+
+const Person = ImmutableRecord({
+  name: { type: 'string', required: true },
+  age: { type: 'number' }
+}, 'Person');
+
+const People = ImmutableRecord.List(Person);
+const PeopleById = ImmutableRecord.Map(Person);
+
+describe('List (type) -> List class', () => {
+  it(`returns the same class for the same type`, () => {
+    expect(ImmutableRecord.List(Person)).toBe(People);
+    expect(ImmutableRecord.List('string')).toBe(ImmutableRecord.List('string'));
+    expect(ImmutableRecord.List('string')).not.toBe(ImmutableRecord.List('number'));
+  });
+
+  it(`names the class after the type`, () => {
+    expect(People.name).toBe('List<Person>');
+    expect(ImmutableRecord.List(ImmutableRecord.types.arrayOf('string')).name)
+      .toBe('List<Array<string>>');
+  });
+
+  it(`throws for invalid types`, () => {
+    expect(() => ImmutableRecord.List('foo')).toThrow(ImmutableRecord.RecordSchemaValidationError);
+    expect(() => ImmutableRecord.List()).toThrow(ImmutableRecord.RecordSchemaValidationError);
+  });
+
+  it(`throws for Records with async validators`, () => {
+    const Account = ImmutableRecord({
+      name: { asyncType: name => Promise.resolve(name !== 'taken') }
+    }, 'Account');
+
+    expect(() => ImmutableRecord.List(Account)).toThrow(/async validators/);
+    expect(() => ImmutableRecord.List(ImmutableRecord.types.arrayOf(Account)))
+      .toThrow(/async validators/);
+    expect(() => ImmutableRecord.Map(ImmutableRecord.types.nullable(Account)))
+      .toThrow(/async validators/);
+
+    // Lazy types aren't resolved yet, so their Records fail to construct instead
+    const Accounts = ImmutableRecord.List(ImmutableRecord.types.lazy(() => Account));
+    expect(() => new Accounts([ { name: 'bill' } ])).toThrow(/createAsync/);
+  });
+
+  it(`can't be constructed directly`, () => {
+    expect(() => new ImmutableRecord.RecordList([])).toThrow(/ImmutableRecord\.List\(\)/);
+  });
+});
+
+describe('RecordList', () => {
+  const bill = new Person({ name: 'Bill' });
+  const people = new People([ bill, { name: 'Ted', age: 30 } ]);
+
+  it(`constructs Records from plain objects`, () => {
+    expect(people.size).toBe(2);
+    expect(people.get(0)).toBe(bill);
+    expect(people.get(1)).toBeInstanceOf(Person);
+    expect(people.get(1).age).toBe(30);
+    expect(people).toBeInstanceOf(ImmutableRecord.RecordList);
+  });
+
+  it(`can be constructed from nothing or another list`, () => {
+    expect(new People().size).toBe(0);
+    expect(new People(null).size).toBe(0);
+    expect(new People(people).equals(people)).toBe(true);
+  });
+
+  it(`throws a RecordValidationError for invalid elements`, () => {
+    let error;
+
+    try {
+      new People([ bill, { age: 1 }, 'Ted' ]);
+    } catch (e) {
+      error = e;
+    }
+
+    expect(error).toBeInstanceOf(ImmutableRecord.RecordValidationError);
+    expect(error.errors.map(failure => failure.path)).toEqual([ [ 1, 'name' ], [ 2 ] ]);
+    expect(error.errors[1].expected).toBe('Person');
+  });
+
+  it(`throws for input that isn't an array`, () => {
+    expect(() => new People({ 0: bill })).toThrow(ImmutableRecord.RecordValidationError);
+    expect(() => new People(new PeopleById())).toThrow(ImmutableRecord.RecordValidationError);
+  });
+
+  it(`validates other types of elements`, () => {
+    const Numbers = ImmutableRecord.List('number');
+
+    expect(new Numbers([ 1, 2 ]).toArray()).toEqual([ 1, 2 ]);
+    expect(() => new Numbers([ 1, '2' ])).toThrow(/at "1"/);
+  });
+
+  it(`get() returns notSetValue for missing indices`, () => {
+    expect(people.get(2)).toBeUndefined();
+    expect(people.get(-1, 'none')).toBe('none');
+  });
+
+  it(`set() returns a new list that shares the other elements`, () => {
+    const next = people.set(1, { name: 'Rufus' });
+
+    expect(next).toBeInstanceOf(People);
+    expect(next.get(0)).toBe(bill);
+    expect(next.get(1).name).toBe('Rufus');
+    expect(people.get(1).name).toBe('Ted');
+    expect(people.set(0, bill)).toBe(people);
+    expect(people.set(2, bill).size).toBe(3);
+  });
+
+  it(`set() throws for invalid elements and indices`, () => {
+    expect(() => people.set(0, { name: 1 })).toThrow(ImmutableRecord.RecordValidationError);
+    expect(() => people.set(3, bill)).toThrow(/out of bounds/);
+    expect(() => people.set(-1, bill)).toThrow(/out of bounds/);
+    expect(() => people.set('0', bill)).toThrow(/out of bounds/);
+  });
+
+  it(`push() appends elements`, () => {
+    const next = people.push({ name: 'Rufus' }, bill);
+
+    expect(next.size).toBe(4);
+    expect(next.get(2).name).toBe('Rufus');
+    expect(next.get(3)).toBe(bill);
+    expect(people.size).toBe(2);
+    expect(people.push()).toBe(people);
+    expect(() => people.push({})).toThrow(ImmutableRecord.RecordValidationError);
+  });
+
+  it(`delete() removes an element`, () => {
+    expect(people.delete(0).toArray()).toEqual([ people.get(1) ]);
+    expect(people.delete(5)).toBe(people);
+  });
+
+  it(`update() replaces an element with the result of the updater`, () => {
+    expect(people.update(0, person => person.set('age', 1)).get(0).age).toBe(1);
+    expect(people.update(0, person => person)).toBe(people);
+  });
+
+  it(`filter() returns a list of the matching elements`, () => {
+    const adults = people.filter(person => person.age >= 18);
+
+    expect(adults).toBeInstanceOf(People);
+    expect(adults.toArray()).toEqual([ people.get(1) ]);
+    expect(people.filter(() => true)).toBe(people);
+  });
+
+  it(`map() and the other read methods work like the array methods`, () => {
+    expect(people.map((person, index) => `${index}:${person.name}`)).toEqual([ '0:Bill', '1:Ted' ]);
+    expect(people.find(person => person.name === 'Ted')).toBe(people.get(1));
+    expect(people.findIndex(person => person.name === 'Ted')).toBe(1);
+    expect(people.some(person => person.age === 30)).toBe(true);
+    expect(people.every(person => person.age === 30)).toBe(false);
+    expect(people.reduce((names, person) => names + person.name, '')).toBe('BillTed');
+    expect(people.indexOf(new Person({ name: 'Ted', age: 30 }))).toBe(1);
+    expect(people.includes(new Person({ name: 'Rufus' }))).toBe(false);
+    expect(Array.from(people)).toEqual(people.toArray());
+
+    const names = [];
+    people.forEach(person => names.push(person.name));
+    expect(names).toEqual([ 'Bill', 'Ted' ]);
+  });
+
+  it(`toArray() returns a copy of the elements`, () => {
+    const elements = people.toArray();
+    elements.pop();
+
+    expect(people.size).toBe(2);
+  });
+
+  it(`converts to plain values`, () => {
+    const expected = [ { name: 'Bill' }, { name: 'Ted', age: 30 } ];
+
+    expect(people.toJS()).toEqual(expected);
+    expect(JSON.parse(JSON.stringify(people))).toEqual(expected);
+    expect(String(people)).toBe(`List<Person> ${JSON.stringify(expected)}`);
+  });
+
+  it(`is equal to lists of the same class with equal elements`, () => {
+    const copy = new People(people.toJS());
+    const Others = ImmutableRecord.List(ImmutableRecord({ name: null, age: null }));
+
+    expect(people.equals(copy)).toBe(true);
+    expect(people.hashCode()).toBe(copy.hashCode());
+    expect(people.equals(people.push(bill))).toBe(false);
+    expect(people.equals(new Others(people.toJS()))).toBe(false);
+    expect(people.equals(people.toArray())).toBe(false);
+  });
+});
+
+describe('RecordMap', () => {
+  const bill = new Person({ name: 'Bill' });
+  const byId = new PeopleById({ a: bill, b: { name: 'Ted' } });
+
+  it(`constructs Records from plain objects`, () => {
+    expect(PeopleById.name).toBe('Map<string, Person>');
+    expect(byId.size).toBe(2);
+    expect(byId.get('a')).toBe(bill);
+    expect(byId.get('b')).toBeInstanceOf(Person);
+    expect(new PeopleById().size).toBe(0);
+  });
+
+  it(`throws a RecordValidationError for invalid values`, () => {
+    let error;
+
+    try {
+      new PeopleById({ a: bill, b: { name: 1 } });
+    } catch (e) {
+      error = e;
+    }
+
+    expect(error).toBeInstanceOf(ImmutableRecord.RecordValidationError);
+    expect(error.errors[0].path).toEqual([ 'b', 'name' ]);
+    expect(() => new PeopleById([ bill ])).toThrow(ImmutableRecord.RecordValidationError);
+  });
+
+  it(`get() and has() look up keys`, () => {
+    expect(byId.has('a')).toBe(true);
+    expect(byId.has('c')).toBe(false);
+    expect(byId.has('toString')).toBe(false);
+    expect(byId.get('c', 'none')).toBe('none');
+  });
+
+  it(`set(), delete() and update() return new maps`, () => {
+    const next = byId.set('c', { name: 'Rufus' });
+
+    expect(next.get('c').name).toBe('Rufus');
+    expect(next.get('a')).toBe(bill);
+    expect(byId.has('c')).toBe(false);
+    expect(byId.set('a', bill)).toBe(byId);
+    expect(() => byId.set('c', 'Rufus')).toThrow(ImmutableRecord.RecordValidationError);
+
+    expect(byId.delete('a').keys()).toEqual([ 'b' ]);
+    expect(byId.delete('c')).toBe(byId);
+
+    expect(byId.update('a', person => person.set('age', 1)).get('a').age).toBe(1);
+  });
+
+  it(`filter() returns a map of the matching entries`, () => {
+    const named = byId.filter((person, key) => key === 'b');
+
+    expect(named).toBeInstanceOf(PeopleById);
+    expect(named.keys()).toEqual([ 'b' ]);
+    expect(byId.filter(() => true)).toBe(byId);
+  });
+
+  it(`map() and the other read methods`, () => {
+    expect(byId.map((person, key) => `${key}:${person.name}`)).toEqual({ a: 'a:Bill', b: 'b:Ted' });
+    expect(byId.keys()).toEqual([ 'a', 'b' ]);
+    expect(byId.values()).toEqual([ bill, byId.get('b') ]);
+    expect(byId.entries()).toEqual([ [ 'a', bill ], [ 'b', byId.get('b') ] ]);
+    expect(Array.from(byId)).toEqual(byId.entries());
+    expect(byId.toObject()).toEqual({ a: bill, b: byId.get('b') });
+
+    const keys = [];
+    byId.forEach((person, key) => keys.push(key));
+    expect(keys).toEqual([ 'a', 'b' ]);
+  });
+
+  it(`converts to plain values and compares by value`, () => {
+    const expected = { a: { name: 'Bill' }, b: { name: 'Ted' } };
+
+    expect(byId.toJS()).toEqual(expected);
+    expect(JSON.parse(JSON.stringify(byId))).toEqual(expected);
+    expect(byId.equals(new PeopleById(expected))).toBe(true);
+    expect(byId.hashCode()).toBe(new PeopleById(expected).hashCode());
+    expect(byId.equals(byId.delete('a'))).toBe(false);
+  });
+});
+
+describe('collections as field types', () => {
+  const Team = ImmutableRecord({
+    name: { type: 'string', required: true },
+    members: { type: People, default: new People() },
+    byId: { type: PeopleById }
+  }, 'Team');
+
+  const team = new Team({
+    name: 'Wyld Stallyns',
+    members: [ { name: 'Bill' }, { name: 'Ted' } ],
+    byId: { b: { name: 'Bill' } }
+  });
+
+  it(`constructs collections from arrays and plain objects`, () => {
+    expect(team.members).toBeInstanceOf(People);
+    expect(team.members.get(1)).toBeInstanceOf(Person);
+    expect(team.byId).toBeInstanceOf(PeopleById);
+    expect(new Team({ name: 'a' }).members.size).toBe(0);
+    expect(team.set('members', team.members).members).toBe(team.members);
+  });
+
+  it(`reports invalid elements with their full path`, () => {
+    const result = Team.validate({ name: 'a', members: [ { name: 'Bill' }, {} ], byId: 'b' });
+
+    expect(result.valid).toBe(false);
+    expect(result.errors.map(failure => failure.path)).toEqual([
+      [ 'members', 1, 'name' ],
+      [ 'byId' ]
+    ]);
+    expect(result.errors[1].expected).toBe('Map<string, Person>');
+  });
+
+  it(`can be nested`, () => {
+    const Groups = ImmutableRecord.List(People);
+    const groups = new Groups([ [ { name: 'Bill' } ], [] ]);
+
+    expect(groups.get(0)).toBeInstanceOf(People);
+    expect(groups.toJS()).toEqual([ [ { name: 'Bill' } ], [] ]);
+  });
+
+  it(`are converted by toJS() and compared by equals()`, () => {
+    const plain = team.toJS();
+
+    expect(plain.members).toEqual([ { name: 'Bill' }, { name: 'Ted' } ]);
+    expect(plain.byId).toEqual({ b: { name: 'Bill' } });
+    expect(team.equals(new Team(plain))).toBe(true);
+    expect(team.hashCode()).toBe(new Team(plain).hashCode());
+    expect(team.equals(team.update('members', members => members.delete(0)))).toBe(false);
+  });
+
+  it(`are exported to JSON Schema`, () => {
+    const document = Team.toJSONSchema();
+
+    expect(document.properties.members).toEqual({
+      type: 'array',
+      items: { $ref: '#/$defs/Person' },
+      default: []
+    });
+    expect(document.properties.byId).toEqual({
+      type: 'object',
+      additionalProperties: { $ref: '#/$defs/Person' }
+    });
+    expect(document.$defs.Person.properties.name).toEqual({ type: 'string' });
+  });
+});
@@ -0,0 +1,170 @@
+import _ from 'lodash';
+
+import {
+  ANY, TYPEOF, PREDICATE, PARSE, canGenerateCode, compileFieldParser, compileValuesBuilder
+} from '../src/compile';
+
+describe('compile', () => {
+  const fields = [
+    { key: 'any', kind: ANY, isRequired: false },
+    { key: 'name', kind: TYPEOF, typeOf: 'string', isRequired: true },
+    { key: 'count', kind: TYPEOF, typeOf: 'number', coerce: Number, isRequired: false },
+    { key: 'tags', kind: PREDICATE, isValid: _.isArray, isRequired: true },
+    {
+      key: 'nested',
+      kind: PARSE,
+      isRequired: false,
+      parse: (value, errors) => {
+        if (!_.isPlainObject(value)) {
+          errors.push({ path: [ 'nested', 'inner' ], value });
+        }
+
+        return { parsed: value };
+      }
+    }
+  ].map(field => _.assign({
+    invalid: value => ({ path: [ field.key ], value }),
+    missing: input => ({ path: [ field.key ], input })
+  }, field));
+
+  const inputs = [
+    {},
+    { any: 1, name: 'a', count: '5', tags: [], nested: {} },
+    { name: 5, count: 'five', tags: 'a', nested: 1 },
+    { name: 'a', count: {}, tags: [] },
+    { name: undefined, extra: true },
+    Object.create({ name: 'inherited', tags: [] })
+  ];
+
+  it(`detects whether code generation is allowed`, () => {
+    expect(canGenerateCode()).toBe(true);
+  });
+
+  describe(`compileFieldParser (fields, generateCode) -> function`, () => {
+
+    function parseWith (generateCode, input) {
+      const parsed = {};
+      const errors = [];
+      compileFieldParser(fields, generateCode)(input, parsed, errors);
+
+      return { parsed, errors };
+    }
+
+    it(`parses fields and reports failures in order`, () => {
+      expect(parseWith(true, inputs[2])).toEqual({
+        parsed: { name: 5, count: NaN, tags: 'a', nested: { parsed: 1 } },
+        errors: [
+          { path: [ 'name' ], value: 5 },
+          { path: [ 'tags' ], value: 'a' },
+          { path: [ 'nested', 'inner' ], value: 1 }
+        ]
+      });
+
+      expect(parseWith(true, {}).errors).toEqual([
+        { path: [ 'name' ], input: {} },
+        { path: [ 'tags' ], input: {} }
+      ]);
+    });
+
+    it(`generates code that behaves like the fallback`, () => {
+      inputs.forEach(input => {
+        expect(parseWith(true, input)).toEqual(parseWith(false, input));
+      });
+    });
+
+    it(`only puts typeof results in generated code`, () => {
+      const field = { key: 'a', kind: TYPEOF, typeOf: 'string"); throw 1; ("', isRequired: false };
+      expect(() => compileFieldParser([ field ], true)).toThrow(/not a result of typeof/);
+    });
+  });
+
+  describe(`compileValuesBuilder (keys, defaults, generateCode) -> function`, () => {
+    const keys = [ 'a', 'b', 'constructor', 'prototype', 'missing' ];
+    const defaults = [ [ 'b', 'default b' ], [ 'constructor', 'default constructor' ] ];
+
+    const valueInputs = [
+      {},
+      { a: 1, b: 2, extra: 3 },
+      { b: undefined, a: null },
+      { constructor: Object, prototype: 1 },
+      Object.create({ a: 'inherited' })
+    ];
+
+    it(`behaves like _.defaults(_.pick(input, keys), defaults)`, () => {
+      [ true, false ].forEach(generateCode => {
+        const createValues = compileValuesBuilder(keys, defaults, generateCode);
+
+        valueInputs.forEach(input => {
+          const values = createValues(input);
+          const expected = _.defaults(_.pick(input, keys), _.fromPairs(defaults));
+
+          expect(values).toEqual(expected);
+          expect(Object.keys(values)).toEqual(Object.keys(expected));
+        });
+      });
+    });
+
+    it(`doesn't share the values between calls`, () => {
+      const createValues = compileValuesBuilder(keys, defaults);
+      expect(createValues({})).not.toBe(createValues({}));
+    });
+  });
+
+  describe(`without code generation`, () => {
+    const NativeFunction = global.Function;
+
+    afterEach(() => {
+      global.Function = NativeFunction;
+      jest.resetModules();
+    });
+
+    // Validates the same inputs with fresh copies of the library
+    function validateAll (inputs) {
+      jest.resetModules();
+      const ImmutableRecord = require('../src/index').default;
+
+      const Person = ImmutableRecord({
+        name: { type: 'string', required: true },
+        age: { type: 'integer', coerce: ImmutableRecord.coercers.number },
+        email: { type: value => /@/.test(value), default: 'none@example.com' },
+        role: { type: 'string', required: true, default: 'user' }
+      }, {
+        name: 'Person',
+        validate: values => values.email !== values.name
+      });
+
+      const Team = ImmutableRecord({
+        lead: { type: Person, required: true },
+        members: { type: ImmutableRecord.List(Person) }
+      });
+
+      return inputs.map(input => _.map(Team.validate(input).errors, failure => (
+        _.pick(failure, [ 'path', 'value', 'expected', 'code', 'message' ])
+      )));
+    }
+
+    it(`reports the same failures`, () => {
+      const inputs = [
+        null,
+        'not an object',
+        {},
+        { lead: {} },
+        { lead: { name: 5, age: '1.5', email: 'nope' }, members: [ {}, { name: 'a' } ] },
+        { lead: { name: 'a@b', email: 'a@b' } },
+        { lead: { name: 'Ted' }, members: 'nope' }
+      ];
+
+      const generated = validateAll(inputs);
+      expect(_.flatten(generated).length).toBeGreaterThan(inputs.length);
+
+      // What a Content Security Policy without 'unsafe-eval' does
+      const disallow = () => {
+        throw new EvalError(`Code generation from strings disallowed for this context`);
+      };
+      global.Function = new Proxy(NativeFunction, { apply: disallow, construct: disallow });
+
+      expect(validateAll(inputs)).toEqual(generated);
+      expect(require('../src/compile').canGenerateCode()).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,186 @@
+import ImmutableRecord from '../src/index';
+import { toJSONPointer, parseJSONPointer } from '../src/diff';
+
+const Address = ImmutableRecord({
+  zip: { type: 'string', required: true },
+  city: { type: 'string' }
+}, 'Address');
+
+const Person = ImmutableRecord({
+  name: { type: 'string', required: true },
+  age: { type: 'number' },
+  tags: { type: 'array', default: [] },
+  address: { type: Address },
+  initial: { computed: person => person.name[0] }
+}, 'Person');
+
+describe('diff (other) -> Change[]', () => {
+  const bill = new Person({ name: 'Bill', age: 30, address: { zip: '02139' } });
+
+  it(`returns nothing for equal Records`, () => {
+    expect(bill.diff(bill)).toEqual([]);
+    expect(bill.diff(new Person(bill.toObject()))).toEqual([]);
+  });
+
+  it(`returns changed, added and removed fields`, () => {
+    const other = bill
+      .set('name', 'William')
+      .remove('age')
+      .set('tags', [ 'a' ]);
+
+    expect(bill.diff(other)).toEqual([
+      { kind: 'changed', path: [ 'name' ], oldValue: 'Bill', newValue: 'William' },
+      { kind: 'removed', path: [ 'age' ], oldValue: 30, newValue: undefined },
+      { kind: 'changed', path: [ 'tags' ], oldValue: [], newValue: [ 'a' ] }
+    ]);
+
+    expect(other.diff(bill)[1]).toEqual(
+      { kind: 'added', path: [ 'age' ], oldValue: undefined, newValue: 30 }
+    );
+  });
+
+  it(`recurses into nested Records`, () => {
+    const other = bill.setIn([ 'address', 'city' ], 'Cambridge');
+
+    expect(bill.diff(other)).toEqual([
+      { kind: 'added', path: [ 'address', 'city' ], oldValue: undefined, newValue: 'Cambridge' }
+    ]);
+  });
+
+  it(`reports nested Records that were added or removed as a whole`, () => {
+    const homeless = bill.remove('address');
+
+    expect(bill.diff(homeless)).toEqual([
+      { kind: 'removed', path: [ 'address' ], oldValue: bill.address, newValue: undefined }
+    ]);
+  });
+
+  it(`throws if the other value isn't an instance of the same Record class`, () => {
+    const Other = ImmutableRecord({ name: {} });
+
+    expect(() => bill.diff({ name: 'Bill' })).toThrowError(/same Record class/);
+    expect(() => bill.diff(new Other({ name: 'Bill' }))).toThrowError(/same Record class/);
+  });
+});
+
+describe('toJSONPatch (other) -> Object[]', () => {
+  const bill = new Person({ name: 'Bill', age: 30, address: { zip: '02139' } });
+
+  it(`returns RFC 6902 operations`, () => {
+    const other = bill
+      .set('name', 'William')
+      .remove('age')
+      .setIn([ 'address', 'city' ], 'Cambridge');
+
+    expect(bill.toJSONPatch(other)).toEqual([
+      { op: 'replace', path: '/name', value: 'William' },
+      { op: 'remove', path: '/age' },
+      { op: 'add', path: '/address/city', value: 'Cambridge' }
+    ]);
+  });
+
+  it(`converts Records in the values to plain objects`, () => {
+    const patch = bill.remove('address').toJSONPatch(bill);
+
+    expect(patch).toEqual([ { op: 'add', path: '/address', value: { zip: '02139' } } ]);
+  });
+
+  it(`returns a patch that turns the record into the other record`, () => {
+    const other = new Person({ name: 'William', tags: [ 'x' ], address: { zip: '1', city: 'a' } });
+
+    expect(bill.applyPatch(bill.toJSONPatch(other)).equals(other)).toBe(true);
+    expect(other.applyPatch(other.toJSONPatch(bill)).equals(bill)).toBe(true);
+  });
+});
+
+describe('applyPatch (operations) -> Record', () => {
+  const bill = new Person({ name: 'Bill', tags: [ 'a', 'b' ], address: { zip: '02139' } });
+
+  it(`applies "add", "remove" and "replace"`, () => {
+    const patched = bill.applyPatch([
+      { op: 'add', path: '/age', value: 30 },
+      { op: 'replace', path: '/address/zip', value: '10001' },
+      { op: 'remove', path: '/tags/0' }
+    ]);
+
+    expect(patched).toBeInstanceOf(Person);
+    expect(patched.age).toBe(30);
+    expect(patched.address.zip).toBe('10001');
+    expect(patched.tags).toEqual([ 'b' ]);
+    expect(bill.age).toBeUndefined();
+  });
+
+  it(`inserts into arrays`, () => {
+    expect(bill.applyPatch([ { op: 'add', path: '/tags/1', value: 'x' } ]).tags)
+      .toEqual([ 'a', 'x', 'b' ]);
+    expect(bill.applyPatch([ { op: 'add', path: '/tags/-', value: 'x' } ]).tags)
+      .toEqual([ 'a', 'b', 'x' ]);
+    expect(() => bill.applyPatch([ { op: 'add', path: '/tags/3', value: 'x' } ]))
+      .toThrowError(/not a valid index/);
+  });
+
+  it(`applies "move" and "copy"`, () => {
+    const moved = bill.applyPatch([ { op: 'move', from: '/tags/0', path: '/tags/-' } ]);
+    expect(moved.tags).toEqual([ 'b', 'a' ]);
+
+    const copied = bill.applyPatch([ { op: 'copy', from: '/address/zip', path: '/address/city' } ]);
+    expect(copied.address.city).toBe('02139');
+  });
+
+  it(`applies "test"`, () => {
+    expect(bill.applyPatch([ { op: 'test', path: '/address', value: { zip: '02139' } } ])).toBe(bill);
+    expect(() => bill.applyPatch([ { op: 'test', path: '/name', value: 'William' } ]))
+      .toThrowError(/test failed/);
+  });
+
+  it(`validates every change like set() and remove()`, () => {
+    expect(() => bill.applyPatch([ { op: 'replace', path: '/name', value: 5 } ]))
+      .toThrowError(ImmutableRecord.RecordValidationError);
+    expect(() => bill.applyPatch([ { op: 'remove', path: '/name' } ]))
+      .toThrowError(ImmutableRecord.RecordValidationError);
+    expect(() => bill.applyPatch([ { op: 'add', path: '/unknown', value: 1 } ]))
+      .toThrowError(/unknown/);
+    expect(() => bill.applyPatch([ { op: 'add', path: '/initial', value: 'B' } ]))
+      .toThrowError(/computed field/);
+  });
+
+  it(`throws for missing paths and invalid operations`, () => {
+    expect(() => bill.applyPatch([ { op: 'remove', path: '/age' } ])).toThrowError(/no value at "\/age"/);
+    expect(() => bill.applyPatch([ { op: 'replace', path: '/age', value: 1 } ])).toThrowError(/no value/);
+    expect(() => bill.applyPatch([ { op: 'add', path: '/age/a/b', value: 1 } ])).toThrowError(/no value/);
+    expect(() => bill.applyPatch([ { op: 'replace', path: '', value: {} } ])).toThrowError(/whole Record/);
+    expect(() => bill.applyPatch([ { op: 'rename', path: '/age' } ])).toThrowError(/not a JSON Patch operation/);
+    expect(() => bill.applyPatch([ { op: 'add', path: 'age', value: 1 } ])).toThrowError(/JSON pointer/);
+    expect(() => bill.applyPatch({ op: 'add', path: '/age', value: 1 })).toThrowError(/array/);
+  });
+
+  it(`only accepts the indices of arrays`, () => {
+    [ 'length', '01', '2', '-', '-1', '1.0' ].forEach(token => {
+      const path = `/tags/${token}`;
+
+      expect(() => bill.applyPatch([ { op: 'remove', path } ])).toThrowError(/no value/);
+      expect(() => bill.applyPatch([ { op: 'replace', path, value: 'x' } ])).toThrowError(/no value/);
+      expect(() => bill.applyPatch([ { op: 'move', from: path, path: '/name' } ])).toThrowError(/no value/);
+      expect(() => bill.applyPatch([ { op: 'copy', from: path, path: '/name' } ])).toThrowError(/no value/);
+      expect(() => bill.applyPatch([ { op: 'test', path, value: 2 } ])).toThrowError(/no value/);
+    });
+
+    expect(() => bill.applyPatch([ { op: 'add', path: '/tags/length', value: 'x' } ]))
+      .toThrowError(/not a valid index/);
+    expect(bill.removeIn([ 'tags', 'length' ])).toBe(bill);
+    expect(bill.getIn([ 'tags', 'length' ])).toBeUndefined();
+  });
+
+  it(`only tests values that exist`, () => {
+    expect(() => bill.applyPatch([ { op: 'test', path: '/age', value: undefined } ]))
+      .toThrowError(/no value at "\/age"/);
+  });
+});
+
+describe('JSON pointers', () => {
+  it(`escapes "~" and "/"`, () => {
+    expect(toJSONPointer([ 'a/b', 'c~d', 0 ])).toBe('/a~1b/c~0d/0');
+    expect(parseJSONPointer('/a~1b/c~0d/0')).toEqual([ 'a/b', 'c~d', '0' ]);
+    expect(parseJSONPointer('')).toEqual([]);
+  });
+});
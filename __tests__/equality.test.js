@@ -0,0 +1,82 @@
+import './shared';
+
+import ImmutableRecord from '../src/index';
+import { isValueEqual, hashValue } from '../src/equality';
+
+describe('equality', () => {
+  const Point = ImmutableRecord({
+    x: { type: 'number' },
+    y: { type: 'number' }
+  }, 'Point');
+
+  describe(`isValueEqual()`, () => {
+
+    it(`compares primitives, Dates, arrays and plain objects by value`, () => {
+      expect(isValueEqual(1, 1)).toBe(true);
+      expect(isValueEqual(NaN, NaN)).toBe(true);
+      expect(isValueEqual(new Date(5), new Date(5))).toBe(true);
+      expect(isValueEqual([ 1, { a: 2 } ], [ 1, { a: 2 } ])).toBe(true);
+      expect(isValueEqual({ a: 1 }, { a: 2 })).toBe(false);
+    });
+
+    it(`compares Maps and Sets without respect to order`, () => {
+      expect(isValueEqual(
+        new Map([ [ 'a', 1 ], [ 'b', 2 ] ]),
+        new Map([ [ 'b', 2 ], [ 'a', 1 ] ])
+      )).toBe(true);
+
+      expect(isValueEqual(new Set([ 1, 2 ]), new Set([ 2, 1 ]))).toBe(true);
+      expect(isValueEqual(new Set([ 1, 2 ]), new Set([ 1, 3 ]))).toBe(false);
+    });
+
+    it(`compares Records nested in other values`, () => {
+      expect(isValueEqual(
+        [ new Point({ x: 1 }) ],
+        [ new Point({ x: 1 }) ]
+      )).toBe(true);
+
+      expect(isValueEqual(
+        new Set([ new Point({ x: 1 }) ]),
+        new Set([ new Point({ x: 2 }) ])
+      )).toBe(false);
+    });
+
+    it(`never considers a Record equal to a plain object`, () => {
+      expect(isValueEqual(new Point({ x: 1 }), { x: 1 })).toBe(false);
+      expect(isValueEqual({ x: 1 }, new Point({ x: 1 }))).toBe(false);
+    });
+
+  });
+
+  describe(`hashValue()`, () => {
+
+    it(`returns the same hash for equal values`, () => {
+      const pairs = [
+        [ 'foo', 'foo' ],
+        [ new Date(5), new Date(5) ],
+        [ { a: 1, b: 2 }, { b: 2, a: 1 } ],
+        [ new Map([ [ 'a', 1 ], [ 'b', 2 ] ]), new Map([ [ 'b', 2 ], [ 'a', 1 ] ]) ],
+        [ new Set([ 1, 2 ]), new Set([ 2, 1 ]) ],
+        [ new Point({ x: 1, y: 2 }), new Point({ y: 2, x: 1 }) ]
+      ];
+
+      pairs.forEach(([ value, other ]) => {
+        expect(isValueEqual(value, other)).toBe(true);
+        expect(hashValue(value)).toBe(hashValue(other));
+      });
+    });
+
+    it(`returns 32-bit integers`, () => {
+      const hash = hashValue({ a: [ 1, 2, 3 ], b: 'a long string value' });
+      expect(hash).toBe(hash | 0);
+    });
+
+    it(`usually returns different hashes for different values`, () => {
+      expect(hashValue('1')).not.toBe(hashValue(1));
+      expect(hashValue([ 1, 2 ])).not.toBe(hashValue([ 2, 1 ]));
+      expect(hashValue(new Point({ x: 1 }))).not.toBe(hashValue(new Point({ x: 2 })));
+    });
+
+  });
+
+});
@@ -0,0 +1,213 @@
+import { expectType, expectError, expectAssignable } from 'tsd';
+import ImmutableRecord = require('../src');
+
+const { arrayOf, nullable, oneOf, shape, literal, instanceOf, lazy } = ImmutableRecord.types;
+
+const Address = ImmutableRecord({
+  zip: { type: 'string', required: true }
+}, 'Address');
+
+const Person = ImmutableRecord({
+  name: { type: 'string', required: true },
+  age: { type: 'number' },
+  active: { type: 'boolean', default: true },
+  tags: { type: arrayOf('string'), default: [] },
+  address: { type: Address },
+  nickname: { type: nullable('string') },
+  born: { type: 'date', coerce: ImmutableRecord.coercers.date },
+  untyped: {},
+  alsoUntyped: null,
+  initials: { computed: (person: any): string => person.name[0] }
+}, 'Person');
+
+const person = new Person({ name: 'Bill', address: { zip: '12345' } });
+
+// Field types are inferred from the shape
+expectType<string>(person.name);
+expectType<number | undefined>(person.age);
+expectType<boolean>(person.active);
+expectType<string[]>(person.tags);
+expectType<ImmutableRecord.Record<{ zip: { type: 'string', required: true } }> | undefined>(
+  person.address
+);
+expectType<string>(person.address!.zip);
+expectType<string | null | undefined>(person.nickname);
+expectType<Date | undefined>(person.born);
+expectType<any>(person.untyped);
+expectType<any>(person.alsoUntyped);
+expectType<string>(person.initials);
+
+// Fields are read-only
+expectError(person.name = 'Other');
+
+// Required fields without a default must be in the input
+expectError(new Person({}));
+expectError(new Person({ name: 1 }));
+expectError(new Person({ name: 'Bill', age: '1' }));
+new Person({ name: 'Bill', born: '2017-01-01' });
+
+// Computed fields can't be in the input
+expectError(new Person({ name: 'Bill', initials: 'B' }));
+
+// set() and remove() are keyed to the shape
+expectType<typeof person>(person.set('age', 30));
+expectError(person.set('age', '30'));
+expectError(person.set('unknown', 1));
+expectError(person.set('initials', 'B'));
+expectType<typeof person>(person.remove('age'));
+expectError(person.remove('unknown'));
+expectType<typeof person>(person.update('age', age => (age || 0) + 1));
+expectType<typeof person>(person.merge({ age: 30, active: false }));
+expectError(person.merge({ unknown: 1 }));
+person.withMutations(draft => {
+  draft.set('age', 1).remove('nickname');
+  expectType<string>(draft.get('name'));
+});
+
+expectType<boolean>(person.equals(person));
+expectType<number>(person.hashCode());
+expectType<string>(person.toObject().name);
+
+expectType<ImmutableRecord.Change[]>(person.diff(person.set('age', 1)));
+expectType<ImmutableRecord.JSONPatchOperation[]>(person.toJSONPatch(person));
+expectType<typeof person>(person.applyPatch([ { op: 'replace', path: '/age', value: 1 } ]));
+expectError(person.applyPatch([ { op: 'rename', path: '/age' } ]));
+
+// Validators that are type guards determine the field's type
+const Validated = ImmutableRecord({
+  id: { type: (value: any): value is number => typeof value === 'number', required: true },
+  email: { type: (value: any) => /@/.test(value), required: true },
+  role: { type: oneOf([ literal('admin'), literal('member') ]), default: 'member' },
+  point: { type: shape({ x: 'number', y: 'number' }) },
+  at: { type: instanceOf(Date) }
+});
+
+const validated = new Validated({ id: 1, email: 'a@example.com' });
+expectType<number>(validated.id);
+expectType<any>(validated.email);
+expectType<'admin' | 'member'>(validated.role);
+expectType<{ x: number, y: number } | undefined>(validated.point);
+expectType<Date | undefined>(validated.at);
+
+// Lazy types have the type they resolve to
+const WithLazy = ImmutableRecord({ address: { type: lazy(() => Address), required: true } });
+expectType<string>(new WithLazy({ address: new Address({ zip: '1' }) }).address.zip);
+new WithLazy({ address: { zip: '1' } });
+
+// Combinators accept plain objects in place of Records
+const WithCombinators = ImmutableRecord({
+  addresses: { type: arrayOf(oneOf([ Address, 'string' ])), required: true },
+  home: { type: nullable(Address) }
+});
+const withCombinators = new WithCombinators({ addresses: [ { zip: '1' }, 'a' ], home: { zip: '2' } });
+expectType<string | null | undefined>(withCombinators.home && withCombinators.home.zip);
+expectError(new WithCombinators({ addresses: [ { zip: 1 } ] }));
+
+// Record-level validators get the values
+const DateRange = ImmutableRecord({
+  start: { type: 'number', required: true },
+  end: { type: 'number' }
+}, {
+  name: 'DateRange',
+  validate: [
+    values => {
+      expectType<number>(values.start);
+      expectType<number | undefined>(values.end);
+      return values.end === undefined || values.start <= values.end;
+    },
+    ({ end }) => end !== 0 || { path: 'end', message: 'No zeroes.' }
+  ]
+});
+expectError(ImmutableRecord({ a: null }, { nmae: 'Typo' }));
+
+// Async validation
+const Account = ImmutableRecord({
+  name: { type: 'string', asyncType: (name: any) => Promise.resolve(name !== 'taken'), required: true }
+}, {
+  validateAsync: values => Promise.resolve(values.name !== 'admin')
+});
+Account.createAsync({ name: 'bill' }).then(account => {
+  expectType<string>(account.name);
+  expectType<Promise<typeof account>>(account.setAsync('name', 'other'));
+  expectError(account.setAsync('name', 1));
+});
+expectType<Promise<ImmutableRecord.ValidationResult>>(Account.validateAsync({}));
+
+// Versioning
+const Versioned = ImmutableRecord({ firstName: { type: 'string', required: true } }, {
+  version: 2,
+  migrations: {
+    2: ({ name, ...rest }) => ({ ...rest, firstName: name })
+  }
+});
+expectType<number | undefined>(Versioned.version);
+expectType<string>(Versioned.fromVersioned({ name: 'Bill' }).firstName);
+expectType<{ [key: string]: any }>(Versioned.migrate({ name: 'Bill' }));
+expectError(ImmutableRecord({ a: null }, { version: '2' }));
+
+// Deriving Records keeps the field types
+const Employee = Person.extend({ company: { type: 'string', required: true } });
+expectType<string>(new Employee({ name: 'a', company: 'b' }).company);
+expectError(new Employee({ name: 'a' }));
+
+const Name = Person.pick([ 'name' ]);
+expectType<string>(new Name({ name: 'a' }).name);
+expectError(new Name({ name: 'a' }).age);
+expectError(Person.pick([ 'unknown' ]));
+
+expectType<string | undefined>(new (Person.partial())({}).name);
+
+// Typed collections
+const People = ImmutableRecord.List(Person);
+const PeopleById = ImmutableRecord.Map(Person);
+const people = new People([ person, { name: 'Ted' } ]);
+expectType<typeof person | undefined>(people.get(0));
+expectType<typeof people>(people.push({ name: 'Rufus' }));
+expectError(people.push({ name: 1 }));
+expectType<string[]>(people.map(member => member.name));
+expectType<typeof person | undefined>(new PeopleById({ b: { name: 'Bill' } }).get('b'));
+expectError(new PeopleById([ person ]));
+expectAssignable<ImmutableRecord.RecordList>(people);
+
+const Team = ImmutableRecord({
+  members: { type: People, required: true },
+  tags: { type: ImmutableRecord.List('string') }
+});
+const team = new Team({ members: [ { name: 'Bill' } ], tags: [ 'a' ] });
+expectType<typeof people>(team.members);
+expectType<string | undefined>(team.tags!.get(0));
+expectError(new Team({ members: [ { name: 1 } ] }));
+expectError(new Team({ members: [], tags: [ 1 ] }));
+
+// Statics
+const result = Person.tryCreate({});
+if (result.valid) {
+  expectType<typeof person>(result.record);
+}
+expectAssignable<ImmutableRecord.ValidationFailure[]>(Person.validate({}).errors);
+expectType<ImmutableRecord.JSONSchema>(Person.toJSONSchema());
+
+// Errors
+const error = new ImmutableRecord.RecordValidationError([]);
+expectAssignable<Error>(error);
+expectType<ImmutableRecord.ValidationFailure[]>(error.errors);
+
+// Validation modes
+ImmutableRecord({ a: { type: 'string' } }, { validationMode: 'warn' });
+expectError(ImmutableRecord({ a: { type: 'string' } }, { validationMode: 'loud' }));
+ImmutableRecord.setValidationMode('off');
+ImmutableRecord.setValidationMode();
+expectError(ImmutableRecord.setValidationMode('loud'));
+ImmutableRecord.setLogger(loggedError => expectType<ImmutableRecord.ValidationFailure[]>(loggedError.errors));
+
+// Custom error messages
+ImmutableRecord({
+  a: { type: 'string', message: 'Enter a.' },
+  b: { type: 'number', message: (value, key) => `${key} can't be ${value}.` }
+});
+expectError(ImmutableRecord({ a: { message: 5 } }));
+ImmutableRecord.setErrorFormatter(failure => {
+  expectType<string>(failure.key);
+  return failure.reason === 'REQUIRED' ? `${failure.key} is missing.` : undefined;
+});
+ImmutableRecord.setErrorFormatter();
@@ -0,0 +1,358 @@
+import ImmutableRecord from '../src/index';
+
+describe('toJSONSchema', () => {
+  const { arrayOf, objectOf, oneOf, nullable, shape, instanceOf, literal } = ImmutableRecord.types;
+
+  const Address = ImmutableRecord({
+    zip: { type: 'string', required: true },
+    country: { type: 'string', default: 'US' }
+  }, 'Address');
+
+  const User = ImmutableRecord({
+    name: { type: 'string', required: true },
+    age: { type: 'integer' },
+    nickname: { required: true, default: 'anon' },
+    address: { type: Address },
+    anything: {}
+  }, 'User');
+
+  it(`describes the Record's properties`, () => {
+    const schema = User.toJSONSchema();
+
+    expect(schema.$schema).toBe('https://json-schema.org/draft/2020-12/schema');
+    expect(schema.title).toBe('User');
+    expect(schema.type).toBe('object');
+    expect(schema.properties.name).toEqual({ type: 'string' });
+    expect(schema.properties.age).toEqual({ type: 'integer' });
+    expect(schema.properties.anything).toEqual({});
+  });
+
+  it(`only requires fields that are required and don't have a default`, () => {
+    expect(User.toJSONSchema().required).toEqual([ 'name' ]);
+    expect('required' in Address.pick([ 'country' ]).toJSONSchema()).toBe(false);
+  });
+
+  it(`includes default values`, () => {
+    expect(User.toJSONSchema().properties.nickname).toEqual({ default: 'anon' });
+  });
+
+  it(`describes nested Records in $defs`, () => {
+    const schema = User.toJSONSchema();
+
+    expect(schema.properties.address).toEqual({ $ref: '#/$defs/Address' });
+    expect(schema.$defs.Address).toEqual({
+      title: 'Address',
+      type: 'object',
+      properties: {
+        zip: { type: 'string' },
+        country: { type: 'string', default: 'US' }
+      },
+      required: [ 'zip' ]
+    });
+  });
+
+  it(`gives different Records with the same name different $defs`, () => {
+    const Other = ImmutableRecord({ other: {} }, 'Address');
+    const Both = ImmutableRecord({ a: { type: Address }, b: { type: Other }, c: { type: Address } });
+    const schema = Both.toJSONSchema();
+
+    expect(schema.properties.a).toEqual({ $ref: '#/$defs/Address' });
+    expect(schema.properties.b).toEqual({ $ref: '#/$defs/Address2' });
+    expect(schema.properties.c).toEqual({ $ref: '#/$defs/Address' });
+  });
+
+  it(`maps type strings`, () => {
+    const Types = ImmutableRecord({
+      object: { type: 'object' },
+      number: { type: 'number' },
+      boolean: { type: 'boolean' },
+      array: { type: 'array' },
+      null: { type: 'null' },
+      finite: { type: 'finite' },
+      date: { type: 'date' },
+      plainObject: { type: 'plainObject' },
+      symbol: { type: 'symbol' }
+    });
+
+    const { properties } = Types.toJSONSchema();
+    expect(properties.object).toEqual({ type: [ 'object', 'array', 'null' ] });
+    expect(properties.number).toEqual({ type: 'number' });
+    expect(properties.boolean).toEqual({ type: 'boolean' });
+    expect(properties.array).toEqual({ type: 'array' });
+    expect(properties.null).toEqual({ type: 'null' });
+    expect(properties.finite).toEqual({ type: 'number' });
+    expect(properties.date).toEqual({ type: 'string', format: 'date-time' });
+    expect(properties.plainObject).toEqual({ type: 'object' });
+    expect(Object.keys(properties.symbol)).toEqual([ '$comment' ]);
+  });
+
+  it(`maps type combinators`, () => {
+    const Combined = ImmutableRecord({
+      tags: { type: arrayOf(oneOf([ Address, 'string' ])) },
+      counts: { type: objectOf('number') },
+      label: { type: nullable('string') },
+      point: { type: shape({ x: 'number', y: 'number' }) },
+      at: { type: instanceOf(Date) },
+      role: { type: literal('admin') }
+    });
+
+    const schema = Combined.toJSONSchema();
+    expect(schema.properties).toEqual({
+      tags: {
+        type: 'array',
+        items: { anyOf: [ { $ref: '#/$defs/Address' }, { type: 'string' } ] }
+      },
+      counts: { type: 'object', additionalProperties: { type: 'number' } },
+      label: { anyOf: [ { type: 'string' }, { type: 'null' } ] },
+      point: {
+        type: 'object',
+        properties: { x: { type: 'number' }, y: { type: 'number' } },
+        required: [ 'x', 'y' ]
+      },
+      at: { type: 'string', format: 'date-time' },
+      role: { const: 'admin' }
+    });
+    expect(Object.keys(schema.$defs)).toEqual([ 'Address' ]);
+  });
+
+  it(`annotates validator functions`, () => {
+    const Validated = ImmutableRecord({
+      adult: {
+        type: function isAdult (age) {
+          return age >= 18;
+        }
+      }
+    });
+
+    expect(Validated.toJSONSchema().properties.adult).toEqual({
+      $comment: 'Validated by the "isAdult" function.'
+    });
+  });
+
+  it(`uses the "jsonSchema" option`, () => {
+    const WithHint = ImmutableRecord({
+      email: {
+        type: value => /@/.test(value),
+        jsonSchema: { type: 'string', format: 'email' },
+        default: 'a@example.com'
+      }
+    });
+
+    expect(WithHint.toJSONSchema().properties.email).toEqual({
+      type: 'string',
+      format: 'email',
+      default: 'a@example.com'
+    });
+  });
+
+  it(`describes computed and serialized fields`, () => {
+    const Event = ImmutableRecord({
+      at: {
+        type: 'date',
+        serialize: date => date.toISOString(),
+        default: new Date(0)
+      },
+      year: { computed: event => event.at.getUTCFullYear() },
+      hidden: { computed: event => 1, enumerable: false }
+    });
+
+    const { properties } = Event.toJSONSchema();
+    expect(properties.at.default).toBe('1970-01-01T00:00:00.000Z');
+    expect(properties.year).toEqual({ readOnly: true });
+    expect('hidden' in properties).toBe(false);
+  });
+
+});
+
+describe('fromJSONSchema', () => {
+  const document = {
+    $schema: 'https://json-schema.org/draft/2020-12/schema',
+    title: 'User',
+    type: 'object',
+    properties: {
+      name: { type: 'string', description: 'Full name' },
+      age: { type: 'integer', minimum: 0, maximum: 150 },
+      role: { enum: [ 'admin', 'member' ], default: 'member' },
+      email: { type: 'string', pattern: '^[^@]+@[^@]+$' },
+      tags: { type: 'array', items: { type: 'string' }, default: [] },
+      nickname: { type: [ 'string', 'null' ] },
+      address: {
+        type: 'object',
+        properties: {
+          zip: { type: 'string' }
+        },
+        required: [ 'zip' ]
+      },
+      friends: { type: 'array', items: { $ref: '#/$defs/Friend' } },
+      bestFriend: { $ref: '#/$defs/Friend' },
+      anything: {}
+    },
+    required: [ 'name' ],
+    $defs: {
+      Friend: {
+        type: 'object',
+        properties: {
+          id: { type: 'number' }
+        },
+        required: [ 'id' ]
+      }
+    }
+  };
+
+  const User = ImmutableRecord.fromJSONSchema(document);
+
+  it(`names the Record after the document's title`, () => {
+    expect(User.name).toBe('User');
+    expect(ImmutableRecord.fromJSONSchema(document, 'Person').name).toBe('Person');
+  });
+
+  it(`maps "type", "required" and "default"`, () => {
+    const user = new User({ name: 'Bill' });
+
+    expect(user.role).toBe('member');
+    expect(user.tags).toEqual([]);
+    expect(() => new User({})).toThrowError(/"name" is missing/);
+    expect(() => new User({ name: 1 })).toThrowError(ImmutableRecord.RecordValidationError);
+    expect(() => new User({ name: 'Bill', nickname: null })).not.toThrow();
+    expect(() => new User({ name: 'Bill', nickname: 1 })).toThrow();
+  });
+
+  it(`maps "enum", "minimum", "maximum" and "pattern"`, () => {
+    expect(User.validate({ name: 'a', role: 'admin' }).valid).toBe(true);
+    expect(User.validate({ name: 'a', role: 'owner' }).valid).toBe(false);
+
+    expect(User.validate({ name: 'a', age: 0 }).valid).toBe(true);
+    expect(User.validate({ name: 'a', age: 150 }).valid).toBe(true);
+    expect(User.validate({ name: 'a', age: -1 }).valid).toBe(false);
+    expect(User.validate({ name: 'a', age: 151 }).valid).toBe(false);
+    expect(User.validate({ name: 'a', age: 1.5 }).valid).toBe(false);
+
+    expect(User.validate({ name: 'a', email: 'a@example.com' }).valid).toBe(true);
+    expect(User.validate({ name: 'a', email: 'example.com' }).valid).toBe(false);
+  });
+
+  it(`describes the expected type in validation errors`, () => {
+    const { errors } = User.validate({ name: 'a', age: -1 });
+
+    expect(errors[0].expected).toBe('integer, >= 0, <= 150');
+  });
+
+  it(`maps "items"`, () => {
+    expect(User.validate({ name: 'a', tags: [ 'a', 'b' ] }).valid).toBe(true);
+    expect(User.validate({ name: 'a', tags: [ 'a', 1 ] }).valid).toBe(false);
+    expect(User.validate({ name: 'a', tags: 'a' }).valid).toBe(false);
+  });
+
+  it(`maps nested "properties" to nested Records`, () => {
+    const user = new User({ name: 'a', address: { zip: '12345' } });
+
+    expect(user.address.constructor.name).toBe('UserAddress');
+    expect(user.address.zip).toBe('12345');
+    expect(User.validate({ name: 'a', address: {} }).valid).toBe(false);
+  });
+
+  it(`maps "$ref" to the same Record every time`, () => {
+    const user = new User({ name: 'a', bestFriend: { id: 1 } });
+    const Friend = user.bestFriend.constructor;
+
+    expect(Friend.name).toBe('Friend');
+    expect(User.validate({ name: 'a', bestFriend: {} }).valid).toBe(false);
+
+    expect(User.validate({ name: 'a', friends: [ { id: 1 }, new Friend({ id: 2 }) ] }).valid).toBe(true);
+    expect(User.validate({ name: 'a', friends: [ { id: 'a' } ] }).errors[0].path)
+      .toEqual([ 'friends', 0, 'id' ]);
+  });
+
+  it(`maps arrays of Records to Lists`, () => {
+    const { friends, bestFriend } = new User({
+      name: 'a',
+      friends: [ { id: 1 } ],
+      bestFriend: { id: 2 }
+    });
+
+    expect(friends).toBeInstanceOf(ImmutableRecord.List(bestFriend.constructor));
+    expect(friends.get(0)).toBeInstanceOf(bestFriend.constructor);
+
+    const WithDefault = ImmutableRecord.fromJSONSchema({
+      properties: {
+        points: {
+          type: 'array',
+          items: { properties: { x: { type: 'number' } } },
+          default: [ { x: 1 } ]
+        }
+      }
+    });
+    expect(new WithDefault().points.get(0).x).toBe(1);
+
+    expect(User.toJSONSchema().properties.friends)
+      .toEqual({ type: 'array', items: { $ref: '#/$defs/Friend' } });
+  });
+
+  it(`constructs nested Record defaults`, () => {
+    const WithDefault = ImmutableRecord.fromJSONSchema({
+      properties: {
+        point: {
+          properties: { x: { type: 'number' } },
+          default: { x: 1 }
+        }
+      }
+    });
+
+    const { point } = new WithDefault();
+    expect(point.x).toBe(1);
+    expect(point.constructor.name).toBe('RecordPoint');
+  });
+
+  it(`keeps the original schemas of validated fields for toJSONSchema()`, () => {
+    const { properties } = User.toJSONSchema();
+
+    expect(properties.age).toEqual({ type: 'integer', minimum: 0, maximum: 150 });
+    expect(properties.role).toEqual({ enum: [ 'admin', 'member' ], default: 'member' });
+    expect(properties.address).toEqual({ $ref: '#/$defs/UserAddress' });
+  });
+
+  it(`throws if the document doesn't describe an object`, () => {
+    expect(() => ImmutableRecord.fromJSONSchema({ type: 'string' }))
+      .toThrowError(ImmutableRecord.RecordSchemaValidationError);
+    expect(() => ImmutableRecord.fromJSONSchema('{}'))
+      .toThrowError(ImmutableRecord.RecordSchemaValidationError);
+  });
+
+  it(`throws an error listing every unsupported keyword`, () => {
+    const convert = () => ImmutableRecord.fromJSONSchema({
+      type: 'object',
+      properties: {
+        name: { type: 'string', minLength: 1 },
+        age: { type: 'numeric' },
+        list: { type: 'array', items: { anyOf: [ { type: 'string' } ] } },
+        self: { $ref: '#' },
+        other: { $ref: 'other.json#/Thing' },
+        missing: { $ref: '#/$defs/Missing' }
+      },
+      additionalProperties: false
+    });
+
+    expect(convert).toThrowError(ImmutableRecord.RecordSchemaValidationError);
+    expect(convert).toThrowError([
+      `Can't build a Record from the JSON Schema:`,
+      `"#/additionalProperties" is not supported.`,
+      `"#/properties/name/minLength" is not supported.`,
+      `"#/properties/age/type" must be a JSON Schema type or an array of them.`,
+      `"#/properties/list/items/anyOf" is not supported.`,
+      `"#/properties/self/$ref" is a recursive reference, which isn't supported.`,
+      `"#/properties/other/$ref" must point inside the document.`,
+      `"#/properties/missing/$ref" points to "#/$defs/Missing", which doesn't exist.`
+    ].join('\n'));
+  });
+
+  it(`ignores annotations`, () => {
+    expect(() => ImmutableRecord.fromJSONSchema({
+      $id: 'https://example.com/user.json',
+      description: 'A user',
+      properties: {
+        createdAt: { type: 'string', format: 'date-time', readOnly: true, examples: [] }
+      }
+    })).not.toThrow();
+  });
+
+});
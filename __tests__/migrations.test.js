@@ -0,0 +1,166 @@
+import ImmutableRecord from '../src/index';
+import { VERSION_KEY, migrateInput } from '../src/migrations';
+
+// Version 1 had a single "name" field, version 2 split it into first and last names, and
+// version 3 added a required "email".
+const Person = ImmutableRecord({
+  firstName: { type: 'string', required: true },
+  lastName: { type: 'string', required: true },
+  email: { type: 'string', required: true }
+}, {
+  name: 'Person',
+  version: 3,
+  migrations: {
+    2: values => {
+      const [ firstName, lastName ] = values.name.split(' ');
+      return { firstName, lastName, age: values.age };
+    },
+    3: values => Object.assign({}, values, { email: `${values.firstName}@example.com` })
+  }
+});
+
+describe('versioned Records', () => {
+  const bill = new Person({ firstName: 'Bill', lastName: 'Preston', email: 'bill@example.com' });
+
+  it(`exposes the version`, () => {
+    expect(Person.version).toBe(3);
+    expect(ImmutableRecord({ a: null }).version).toBeUndefined();
+  });
+
+  it(`stamps the version on the JSON representation`, () => {
+    expect(bill.toJSON()).toEqual({
+      [VERSION_KEY]: 3,
+      firstName: 'Bill',
+      lastName: 'Preston',
+      email: 'bill@example.com'
+    });
+    expect(bill.toJS()).toEqual(bill.toObject());
+  });
+
+  it(`doesn't stamp unversioned Records`, () => {
+    const Unversioned = ImmutableRecord({ a: null });
+    expect(new Unversioned({ a: 1 }).toJSON()).toEqual({ a: 1 });
+  });
+
+  it(`can be constructed from its own JSON representation`, () => {
+    const json = JSON.parse(JSON.stringify(bill));
+
+    expect(Person.fromVersioned(json).equals(bill)).toBe(true);
+    expect(new Person(json).equals(bill)).toBe(true);
+  });
+
+  it(`upgrades older payloads step by step`, () => {
+    const version2 = { [VERSION_KEY]: 2, firstName: 'Ted', lastName: 'Logan' };
+
+    expect(Person.fromVersioned(version2).toObject())
+      .toEqual({ firstName: 'Ted', lastName: 'Logan', email: 'Ted@example.com' });
+
+    expect(Person.fromVersioned({ [VERSION_KEY]: 1, name: 'Ted Logan' }).toObject())
+      .toEqual({ firstName: 'Ted', lastName: 'Logan', email: 'Ted@example.com' });
+  });
+
+  it(`treats payloads without a version as version 1`, () => {
+    expect(Person.fromVersioned({ name: 'Ted Logan' }).firstName).toBe('Ted');
+  });
+
+  it(`validates the upgraded input`, () => {
+    expect(() => Person.fromVersioned({ [VERSION_KEY]: 3, firstName: 'Ted' }))
+      .toThrow(ImmutableRecord.RecordValidationError);
+  });
+
+  it(`throws for invalid and newer versions`, () => {
+    expect(() => Person.fromVersioned({ [VERSION_KEY]: 4 })).toThrow(/newer/);
+    expect(() => Person.fromVersioned({ [VERSION_KEY]: '2' })).toThrow(/not a valid version/);
+    expect(() => Person.fromVersioned({ [VERSION_KEY]: 0 })).toThrow(/not a valid version/);
+    expect(() => Person.fromVersioned('{}')).toThrow(/plain object/);
+  });
+
+  it(`migrate() upgrades without validating`, () => {
+    expect(Person.migrate({ name: 'Ted Logan', age: 17 })).toEqual({
+      firstName: 'Ted',
+      lastName: 'Logan',
+      age: 17,
+      email: 'Ted@example.com'
+    });
+    expect(Person.migrate({ [VERSION_KEY]: 3, a: 1 })).toEqual({ a: 1 });
+  });
+
+  it(`fromVersioned() constructs subclasses`, () => {
+    class Dude extends Person {}
+    expect(Dude.fromVersioned({ name: 'Ted Logan' })).toBeInstanceOf(Dude);
+  });
+
+  it(`treats unversioned Records as version 1`, () => {
+    const Unversioned = ImmutableRecord({ a: null });
+
+    expect(Unversioned.fromVersioned({ [VERSION_KEY]: 1, a: 1 }).toObject()).toEqual({ a: 1 });
+    expect(() => Unversioned.fromVersioned({ [VERSION_KEY]: 2 })).toThrow(/newer/);
+  });
+
+  it(`doesn't pass the version on to extended Records`, () => {
+    const Extended = Person.extend({ age: { type: 'number' } });
+    const Versioned = Person.extend({ age: { type: 'number' } }, { version: 1 });
+
+    expect(Extended.version).toBeUndefined();
+    expect(Versioned.version).toBe(1);
+    expect(Versioned.migrate({ a: 1 })).toEqual({ a: 1 });
+  });
+});
+
+describe('version options', () => {
+  const { RecordSchemaValidationError } = ImmutableRecord;
+
+  it(`throws for invalid versions`, () => {
+    [ 0, -1, 1.5, '1', null ].forEach(version => {
+      expect(() => ImmutableRecord({ a: null }, { version })).toThrow(RecordSchemaValidationError);
+    });
+  });
+
+  it(`throws for invalid migrations`, () => {
+    const create = (version, migrations) => () => (
+      ImmutableRecord({ a: null }, { version, migrations })
+    );
+
+    expect(create(2, { 2: 'not a function' })).toThrow(/plain object of functions/);
+    expect(create(2, [ x => x ])).toThrow(/plain object of functions/);
+    expect(create(2, { 1: x => x })).toThrow(/version 1/);
+    expect(create(2, { 3: x => x })).toThrow(/version 3/);
+    expect(create(2, { two: x => x })).toThrow(/version two/);
+    expect(create(undefined, { 2: x => x })).toThrow(/requires a "version"/);
+    expect(create(2, { 2: x => x })).not.toThrow();
+  });
+
+  it(`throws for shapes with a field at the version key`, () => {
+    expect(() => ImmutableRecord({ [VERSION_KEY]: null }, { version: 1 }))
+      .toThrow(RecordSchemaValidationError);
+    expect(() => ImmutableRecord({ [VERSION_KEY]: null })).not.toThrow();
+  });
+});
+
+describe('migrateInput (payload, version, migrations) -> Object', () => {
+  it(`runs the migrations between the payload's version and the current version`, () => {
+    const calls = [];
+    const migrations = {
+      2: values => { calls.push(2); return Object.assign({}, values, { two: true }); },
+      4: values => { calls.push(4); return Object.assign({}, values, { four: true }); }
+    };
+
+    expect(migrateInput({ [VERSION_KEY]: 1 }, 4, migrations)).toEqual({ two: true, four: true });
+    expect(calls).toEqual([ 2, 4 ]);
+
+    expect(migrateInput({ [VERSION_KEY]: 2 }, 4, migrations)).toEqual({ four: true });
+    expect(calls).toEqual([ 2, 4, 4 ]);
+  });
+
+  it(`doesn't mutate the payload`, () => {
+    const payload = { [VERSION_KEY]: 1, a: 1 };
+    migrateInput(payload, 2, { 2: values => { values.a = 2; return values; } });
+
+    expect(payload).toEqual({ [VERSION_KEY]: 1, a: 1 });
+  });
+
+  it(`throws if a migration doesn't return a plain object`, () => {
+    expect(() => migrateInput({}, 2, { 2: () => undefined }))
+      .toThrow(/migration to version 2 must return a plain object/);
+  });
+});
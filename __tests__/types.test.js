@@ -0,0 +1,253 @@
+import ImmutableRecord from '../src/index';
+import {
+  arrayOf,
+  objectOf,
+  oneOf,
+  union,
+  nullable,
+  shape,
+  instanceOf,
+  literal,
+  lazy
+} from '../src/types';
+
+describe('types', () => {
+  const Address = ImmutableRecord({
+    zip: { type: 'string' }
+  }, 'Address');
+
+  test(`arrayOf`, () => {
+    const validator = arrayOf('number');
+
+    expect(validator.name).toBe('Array<number>');
+    expect(validator([ 1, 2 ])).toBe(true);
+    expect(validator([])).toBe(true);
+    expect(validator([ 1, '2' ])).toBe(false);
+    expect(validator({ 0: 1 })).toBe(false);
+  });
+
+  test(`objectOf`, () => {
+    const validator = objectOf('string');
+
+    expect(validator.name).toBe('Object<string, string>');
+    expect(validator({ a: 'a' })).toBe(true);
+    expect(validator({ a: 1 })).toBe(false);
+    expect(validator([ 'a' ])).toBe(false);
+  });
+
+  test(`oneOf and union`, () => {
+    const validator = oneOf([ Address, 'string' ]);
+
+    expect(validator.name).toBe('Address | string');
+    expect(validator('foo')).toBe(true);
+    expect(validator(new Address())).toBe(true);
+    expect(validator({ zip: 'foo' })).toBe(false);
+
+    expect(union('string', 'number').name).toBe('string | number');
+    expect(union('string', 'number')(5)).toBe(true);
+  });
+
+  test(`nullable`, () => {
+    const validator = nullable('string');
+
+    expect(validator.name).toBe('string | null');
+    expect(validator(null)).toBe(true);
+    expect(validator('a')).toBe(true);
+    expect(validator(undefined)).toBe(false);
+  });
+
+  test(`shape`, () => {
+    const validator = shape({ x: 'number', label: nullable('string') });
+
+    expect(validator.name).toBe('{ x: number, label: string | null }');
+    expect(validator({ x: 1, label: null })).toBe(true);
+    expect(validator({ x: 1, label: 'a', extra: true })).toBe(true);
+    expect(validator({ x: 1 })).toBe(false);
+    expect(validator({ x: '1', label: null })).toBe(false);
+  });
+
+  test(`instanceOf`, () => {
+    const validator = instanceOf(Date);
+
+    expect(validator.name).toBe('Date');
+    expect(validator(new Date())).toBe(true);
+    expect(validator(Date.now())).toBe(false);
+  });
+
+  test(`literal`, () => {
+    expect(literal('admin').name).toBe('"admin"');
+    expect(literal('admin')('admin')).toBe(true);
+    expect(literal('admin')('user')).toBe(false);
+    expect(literal(NaN)(NaN)).toBe(true);
+    expect(literal(undefined).name).toBe('undefined');
+  });
+
+  test(`combinators nest`, () => {
+    const validator = arrayOf(oneOf([ Address, 'string' ]));
+
+    expect(validator.name).toBe('Array<Address | string>');
+    expect(validator([ 'a', new Address({ zip: '1' }) ])).toBe(true);
+    expect(validator([ 'a', 1 ])).toBe(false);
+  });
+
+  test(`combinators throw for invalid types`, () => {
+    expect(() => arrayOf('notatype')).toThrowError(/arrayOf\(\) was passed an invalid type/);
+    expect(() => oneOf([])).toThrowError(/non-empty array/);
+    expect(() => shape({ a: {} })).toThrowError(/shape\(\) was passed an invalid type/);
+    expect(() => instanceOf('Date')).toThrowError(/expects a class/);
+  });
+
+  test(`combinators can be used as field types`, () => {
+    const Record = ImmutableRecord({
+      tags: { type: arrayOf(union('string', literal(5))), default: [] }
+    });
+
+    expect(new Record({ tags: [ 'a', 5 ] }).tags).toEqual([ 'a', 5 ]);
+
+    const { errors } = Record.validate({ tags: [ 'a', 6 ] });
+    expect(errors).toHaveLength(1);
+    expect(errors[0].expected).toBe('Array<string | 5>');
+  });
+
+  test(`combinators construct Records from plain objects`, () => {
+    const User = ImmutableRecord({
+      addresses: { type: arrayOf(oneOf([ Address, 'string' ])) },
+      home: { type: nullable(Address) },
+      byName: { type: objectOf(Address) },
+      point: { type: shape({ at: Address, label: 'string' }) }
+    });
+
+    const user = new User({
+      addresses: [ { zip: '1' }, 'a' ],
+      home: { zip: '2' },
+      byName: { work: { zip: '3' } },
+      point: { at: { zip: '4' }, label: 'b', extra: true }
+    });
+
+    expect(user.addresses[0]).toBeInstanceOf(Address);
+    expect(user.addresses[1]).toBe('a');
+    expect(user.home).toBeInstanceOf(Address);
+    expect(user.byName.work).toBeInstanceOf(Address);
+    expect(user.point.at).toBeInstanceOf(Address);
+    expect(user.point.extra).toBe(true);
+
+    const addresses = [ new Address({ zip: '1' }) ];
+    expect(new User({ addresses }).addresses).toBe(addresses);
+  });
+
+  test(`combinators report failures inside Records at their full path`, () => {
+    const Strict = ImmutableRecord({ zip: { type: 'string', required: true } }, 'Strict');
+    const User = ImmutableRecord({
+      addresses: { type: arrayOf(Strict) },
+      point: { type: shape({ at: nullable(Strict) }) }
+    });
+
+    const { errors } = User.validate({ addresses: [ { zip: '1' }, {} ], point: { at: { zip: 2 } } });
+    expect(errors.map(failure => failure.path)).toEqual([
+      [ 'addresses', 1, 'zip' ],
+      [ 'point', 'at', 'zip' ]
+    ]);
+    expect(errors[0].message).toBe('"addresses.1.zip" is missing from the record {}.');
+
+    // Values that aren't valid themselves fail the whole type
+    expect(User.validate({ addresses: [ {}, 5 ] }).errors.map(failure => failure.path))
+      .toEqual([ [ 'addresses' ] ]);
+    expect(User.validate({ addresses: [ {}, 5 ] }).errors[0].expected).toBe('Array<Strict>');
+  });
+
+});
+
+describe('lazy (getType) -> validator', () => {
+  const TreeNode = ImmutableRecord({
+    label: { type: 'string', required: true },
+    parent: { type: nullable(lazy(() => TreeNode)), default: null },
+    children: { type: ImmutableRecord.List(lazy(() => TreeNode)) }
+  }, 'TreeNode');
+
+  // Mutually referencing Records
+  const Employee = ImmutableRecord({
+    name: { type: 'string', required: true },
+    team: { type: lazy(() => Team) }
+  }, 'Employee');
+
+  const Team = ImmutableRecord({
+    lead: { type: Employee }
+  }, 'Team');
+
+  test(`only calls getType once the type is needed`, () => {
+    const getType = jest.fn(() => 'string');
+    const validator = lazy(getType);
+
+    expect(getType).not.toHaveBeenCalled();
+    expect(validator('a')).toBe(true);
+    expect(validator(1)).toBe(false);
+    expect(getType).toHaveBeenCalledTimes(1);
+  });
+
+  test(`is named after the resolved type`, () => {
+    expect(lazy(() => Employee).name).toBe('Employee');
+    expect(arrayOf(lazy(() => 'string')).name).toBe('Array<string>');
+    expect(ImmutableRecord.List(lazy(() => Employee)).name).toBe('List<Employee>');
+    expect(lazy(() => { throw new Error('not yet'); }).name).toBe('lazy');
+  });
+
+  test(`supports Records that refer to themselves`, () => {
+    const root = new TreeNode({
+      label: 'root',
+      children: [ { label: 'a', children: [ { label: 'b' } ] } ]
+    });
+
+    expect(root.children.get(0)).toBeInstanceOf(TreeNode);
+    expect(root.children.get(0).children.get(0).label).toBe('b');
+    expect(new TreeNode({ label: 'child', parent: root }).parent).toBe(root);
+  });
+
+  test(`supports Records that refer to each other`, () => {
+    const employee = new Employee({ name: 'Bill', team: { lead: { name: 'Ted' } } });
+
+    expect(employee.team).toBeInstanceOf(Team);
+    expect(employee.team.lead).toBeInstanceOf(Employee);
+    expect(employee.toJS()).toEqual({ name: 'Bill', team: { lead: { name: 'Ted' } } });
+    expect(new Employee(JSON.parse(JSON.stringify(employee))).equals(employee)).toBe(true);
+  });
+
+  test(`reports failures at nested paths`, () => {
+    const { errors } = TreeNode.validate({
+      label: 'root',
+      children: [ { label: 'a', children: [ { label: 1 } ] } ]
+    });
+
+    expect(errors).toHaveLength(1);
+    expect(errors[0].path).toEqual([ 'children', 0, 'children', 0, 'label' ]);
+
+    expect(Employee.validate({ name: 'Bill', team: 'A-Team' }).errors[0].expected).toBe('Team');
+  });
+
+  test(`finds async validators through lazy types`, () => {
+    const Node = ImmutableRecord({
+      name: { asyncType: () => Promise.resolve(true) },
+      next: { type: lazy(() => Node) }
+    });
+    const Holder = ImmutableRecord({ node: { type: lazy(() => Node) } });
+
+    expect(() => new Holder({})).toThrow(/async validators/);
+    expect(() => new TreeNode({ label: 'a' })).not.toThrow();
+  });
+
+  test(`is exported to JSON Schema`, () => {
+    const document = TreeNode.toJSONSchema();
+
+    expect(document.properties.parent).toEqual({
+      anyOf: [ { $ref: '#' }, { type: 'null' } ],
+      default: null
+    });
+    expect(document.properties.children).toEqual({ type: 'array', items: { $ref: '#' } });
+    expect(Employee.toJSONSchema().$defs.Team.properties.lead).toEqual({ $ref: '#' });
+  });
+
+  test(`throws for invalid arguments and types`, () => {
+    expect(() => lazy('string')).toThrowError(/expects a function/);
+    expect(() => lazy(() => 'notatype')(1))
+      .toThrowError(ImmutableRecord.RecordSchemaValidationError);
+  });
+});
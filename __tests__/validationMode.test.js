@@ -0,0 +1,188 @@
+import ImmutableRecord from '../src/index';
+import { getEnvironmentValidationMode } from '../src/validationMode';
+
+const { RecordValidationError, RecordSchemaValidationError } = ImmutableRecord;
+
+describe('validation modes', () => {
+  const Address = ImmutableRecord({
+    zip: { type: 'string', required: true }
+  }, 'Address');
+
+  const shape = {
+    name: { type: 'string', required: true },
+    age: { type: 'number', coerce: ImmutableRecord.coercers.number },
+    role: { type: 'string', default: 'user' },
+    address: { type: Address },
+    previous: { type: ImmutableRecord.List(Address) }
+  };
+
+  let logged;
+
+  beforeEach(() => {
+    logged = [];
+    ImmutableRecord.setLogger(error => logged.push(error));
+  });
+
+  afterEach(() => {
+    ImmutableRecord.setValidationMode(undefined);
+    ImmutableRecord.setLogger(undefined);
+  });
+
+  it(`throws by default outside of production`, () => {
+    const Person = ImmutableRecord(shape);
+
+    expect(() => new Person({})).toThrow(RecordValidationError);
+    expect(logged).toEqual([]);
+  });
+
+  it(`defaults to "off" in production`, () => {
+    const environment = process.env.NODE_ENV;
+
+    try {
+      process.env.NODE_ENV = 'production';
+      expect(getEnvironmentValidationMode()).toBe('off');
+
+      process.env.NODE_ENV = 'development';
+      expect(getEnvironmentValidationMode()).toBe('throw');
+    } finally {
+      process.env.NODE_ENV = environment;
+    }
+  });
+
+  describe(`"warn"`, () => {
+    const Person = ImmutableRecord(shape, { validationMode: 'warn' });
+
+    it(`logs the error and constructs the Record anyway`, () => {
+      const person = new Person({ name: 5, address: { zip: 'a' }, extra: true });
+
+      expect(logged.length).toBe(1);
+      expect(logged[0]).toBeInstanceOf(RecordValidationError);
+      expect(logged[0].errors[0].path).toEqual([ 'name' ]);
+
+      expect(person.toObject()).toEqual({
+        name: 5,
+        role: 'user',
+        address: new Address({ zip: 'a' })
+      });
+    });
+
+    it(`constructs nested Records from invalid input`, () => {
+      const person = new Person({
+        name: 'Ted',
+        address: { zip: 5 },
+        previous: [ { zip: 'a' }, { zip: 6 } ]
+      });
+
+      expect(logged[0].errors.map(failure => failure.path))
+        .toEqual([ [ 'address', 'zip' ], [ 'previous', 1, 'zip' ] ]);
+      expect(person.address).toBeInstanceOf(Address);
+      expect(person.address.zip).toBe(5);
+      expect(person.previous).toBeInstanceOf(ImmutableRecord.List(Address));
+      expect(person.previous.get(1).zip).toBe(6);
+    });
+
+    it(`doesn't log valid input`, () => {
+      new Person({ name: 'Ted' });
+      expect(logged).toEqual([]);
+    });
+
+    it(`ignores input that isn't a plain object`, () => {
+      expect(new Person('not an object').toObject()).toEqual({ role: 'user' });
+      expect(logged[0].errors[0].code).toBe('INVALID_INPUT');
+    });
+
+    it(`uses console.warn() by default`, () => {
+      const warn = console.warn;
+      console.warn = jest.fn();
+
+      try {
+        ImmutableRecord.setLogger(undefined);
+        new Person({});
+        expect(console.warn.mock.calls[0][0]).toMatch(/"name" is missing/);
+      } finally {
+        console.warn = warn;
+      }
+    });
+  });
+
+  describe(`"off"`, () => {
+    const Person = ImmutableRecord(shape, {
+      validationMode: 'off',
+      validate: () => false
+    });
+
+    it(`doesn't validate`, () => {
+      const person = new Person({ name: 5 });
+
+      expect(person.name).toBe(5);
+      expect(new Person().toObject()).toEqual({ role: 'user' });
+      expect(logged).toEqual([]);
+    });
+
+    it(`applies defaults, strips unknown keys and coerces values`, () => {
+      expect(new Person({ age: '17', extra: true }).toObject()).toEqual({ age: 17, role: 'user' });
+    });
+
+    it(`constructs nested Records and collections`, () => {
+      const person = new Person({
+        address: { zip: 'a' },
+        previous: [ { zip: 'b' }, new Address({ zip: 'c' }) ]
+      });
+
+      expect(person.address).toBeInstanceOf(Address);
+      expect(person.previous).toBeInstanceOf(ImmutableRecord.List(Address));
+      expect(person.previous.get(0).equals(new Address({ zip: 'b' }))).toBe(true);
+    });
+
+    it(`applies to nested Records, whatever their own mode`, () => {
+      const Strict = ImmutableRecord({ zip: { type: 'string' } }, { validationMode: 'throw' });
+      const Holder = ImmutableRecord({ strict: { type: Strict } }, { validationMode: 'off' });
+
+      expect(new Holder({ strict: { zip: 5 } }).strict.zip).toBe(5);
+      expect(() => new Strict({ zip: 5 })).toThrow(RecordValidationError);
+    });
+
+    it(`applies to set() and the other update methods`, () => {
+      expect(new Person().set('name', 5).name).toBe(5);
+    });
+
+    it(`doesn't apply to explicit validation`, () => {
+      expect(Person.validate({}).valid).toBe(false);
+      expect(Person.tryCreate({ name: 'Ted' }).valid).toBe(false);
+    });
+  });
+
+  it(`can be set globally`, () => {
+    const Person = ImmutableRecord(shape);
+    const Strict = ImmutableRecord(shape, { validationMode: 'throw' });
+
+    ImmutableRecord.setValidationMode('off');
+    expect(new Person({}).name).toBeUndefined();
+    expect(() => new Strict({})).toThrow(RecordValidationError);
+
+    ImmutableRecord.setValidationMode('warn');
+    new Person({});
+    expect(logged.length).toBe(1);
+
+    ImmutableRecord.setValidationMode(undefined);
+    expect(() => new Person({})).toThrow(RecordValidationError);
+  });
+
+  it(`is kept by derived Records`, () => {
+    const Person = ImmutableRecord(shape, { validationMode: 'off' });
+
+    expect(new (Person.extend({ a: null }))({}).name).toBeUndefined();
+    expect(new (Person.pick([ 'name' ]))({ name: 5 }).name).toBe(5);
+    expect(new (Person.omit([ 'age' ]))({ name: 5 }).name).toBe(5);
+    expect(new (Person.partial())({ name: 5 }).name).toBe(5);
+    expect(() => new (Person.extend({ a: null }, { validationMode: 'throw' }))({}))
+      .toThrow(RecordValidationError);
+  });
+
+  it(`throws for invalid modes and loggers`, () => {
+    expect(() => ImmutableRecord(shape, { validationMode: 'loud' }))
+      .toThrow(RecordSchemaValidationError);
+    expect(() => ImmutableRecord.setValidationMode('loud')).toThrow(RecordSchemaValidationError);
+    expect(() => ImmutableRecord.setLogger('console')).toThrow(/must be a function/);
+  });
+});
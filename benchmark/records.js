@@ -0,0 +1,183 @@
+/*
+ * Measures the throughput of constructing Records, reading their fields and updating them
+ * with Record#set(), and the memory used by a large number of Records.
+ *
+ *    npm run benchmark
+ *
+ * Set RECORD_COUNT to change the number of Records (100000 by default).
+ *
+ * Set BASELINE to a git ref to run the same benchmarks against the library at that ref too,
+ * and compare the results:
+ *
+ *    BASELINE=master npm run benchmark
+ *
+ * The ref's src/ is extracted to benchmark/.baseline/. The shape below only uses typeof
+ * strings, "required" and "default", which every version supports. Computed fields are only
+ * measured in versions that have them.
+ */
+import { execFileSync } from 'child_process';
+import fs from 'fs';
+import path from 'path';
+
+import ImmutableRecord from '../src/index';
+
+const RECORD_COUNT = Number(process.env.RECORD_COUNT) || 100000;
+const BASELINE = process.env.BASELINE;
+
+const inputs = Array.from({ length: RECORD_COUNT }, (value, id) => ({
+  id,
+  name: `Person ${id}`,
+  email: `person${id}@example.com`
+}));
+
+/**
+ * Runs `run` once to warm up, then again while timing it, and logs the throughput.
+ *
+ * @param {String} label
+ * @param {function(): *} run - performs RECORD_COUNT operations
+ * @return {{ result: *, opsPerSecond: Number }} the result of the timed run and its throughput
+ */
+function measure (label, run) {
+  run();
+
+  const start = process.hrtime();
+  const result = run();
+  const [ seconds, nanoseconds ] = process.hrtime(start);
+  const milliseconds = seconds * 1e3 + nanoseconds / 1e6;
+  const opsPerSecond = Math.round(RECORD_COUNT / (milliseconds / 1e3));
+
+  console.log(`${label}: ${opsPerSecond.toLocaleString()} ops/sec (${milliseconds.toFixed(1)} ms)`);
+  return { result, opsPerSecond };
+}
+
+/**
+ * Returns the heap size in megabytes, after collecting garbage if node was started with
+ * --expose-gc.
+ *
+ * @return {Number}
+ */
+function heapUsed () {
+  if (global.gc) {
+    global.gc();
+  }
+
+  return process.memoryUsage().heapUsed / (1024 * 1024);
+}
+
+/**
+ * Returns the library's default export at a git ref, extracting its src/ to
+ * benchmark/.baseline/<commit>/ the first time.
+ *
+ * @param {String} ref
+ * @return {function} ImmutableRecord
+ */
+function loadBaseline (ref) {
+  const git = args => execFileSync('git', args, { cwd: path.join(__dirname, '..') });
+  const commit = git([ 'rev-parse', '--verify', `${ref}^{commit}` ]).toString().trim();
+  const directory = path.join(__dirname, '.baseline', commit);
+
+  if (!fs.existsSync(path.join(directory, 'src'))) {
+    fs.mkdirSync(directory, { recursive: true });
+    execFileSync('tar', [ '-x', '-C', directory ], { input: git([ 'archive', commit, 'src' ]) });
+  }
+
+  return require(path.join(directory, 'src', 'index')).default;
+}
+
+/**
+ * Returns true if a version of the library supports computed fields.
+ *
+ * @param {function} Library - ImmutableRecord
+ * @return {boolean}
+ */
+function hasComputedFields (Library) {
+  try {
+    Library({ a: { computed: () => null } });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Runs every benchmark against a version of the library.
+ *
+ * @param {function} Library - ImmutableRecord
+ * @return {Object<String, Number>} ops/sec for each benchmark, and the memory in MB
+ */
+function runBenchmarks (Library) {
+  const shape = {
+    id: { type: 'number', required: true },
+    name: { type: 'string', required: true },
+    email: { type: 'string' },
+    age: { type: 'number', default: 0 },
+    active: { type: 'boolean', default: true }
+  };
+
+  const isComputedSupported = hasComputedFields(Library);
+  if (isComputedSupported) {
+    shape.initials = { computed: person => person.name[0] };
+  }
+
+  const Person = Library(shape, 'Person');
+
+  const results = {};
+  const run = (label, benchmark) => {
+    const { result, opsPerSecond } = measure(label, benchmark);
+    results[label] = opsPerSecond;
+    return result;
+  };
+
+  const people = run('construct', () => inputs.map(input => new Person(input)));
+
+  run('read fields', () => people.reduce(
+    (total, person) => total + person.id + person.age + person.name.length,
+    0
+  ));
+
+  if (isComputedSupported) {
+    run('read computed field', () => people.map(person => person.initials));
+  }
+
+  run('set()', () => people.map(person => person.set('age', 30)));
+
+  const heapBefore = heapUsed();
+  const retained = inputs.map(input => new Person(input));
+  const heapAfter = heapUsed();
+
+  results.memory = heapAfter - heapBefore;
+  console.log(
+    `\nmemory: ${results.memory.toFixed(1)} MB for ${retained.length.toLocaleString()} records`
+  );
+
+  return results;
+}
+
+console.log(`${RECORD_COUNT.toLocaleString()} records\n`);
+
+if (!BASELINE) {
+  runBenchmarks(ImmutableRecord);
+} else {
+  console.log(`baseline (${BASELINE}):\n`);
+  const baseline = runBenchmarks(loadBaseline(BASELINE));
+
+  console.log(`\ncurrent:\n`);
+  const current = runBenchmarks(ImmutableRecord);
+
+  console.log(`\ncompared to ${BASELINE}:\n`);
+  Object.keys(current).forEach(label => {
+    if (!(label in baseline)) {
+      console.log(`${label}: not supported by ${BASELINE}`);
+      return;
+    }
+
+    const change = (current[label] / baseline[label] - 1) * 100;
+    const unit = label === 'memory' ? 'MB' : 'ops/sec';
+    const format = value => (label === 'memory' ? value.toFixed(1) : value.toLocaleString());
+
+    console.log(
+      `${label}: ${format(baseline[label])} -> ${format(current[label])} ${unit} ` +
+      `(${change > 0 ? '+' : ''}${change.toFixed(0)}%)`
+    );
+  });
+}
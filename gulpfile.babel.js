@@ -59,12 +59,14 @@ const config = {
             copy('package.json').to('dist/'),
             copy('README.md').to('dist/'),
             copy('LICENSE').to('dist/'),
+            copy('src/index.d.ts').to('dist/'),
         ],
 
         dev: [
             copy('package.json').to('dist/'),
             copy('README.md').to('dist/'),
             copy('LICENSE').to('dist/'),
+            copy('src/index.d.ts').to('dist/'),
         ],
     },
 
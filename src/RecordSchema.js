@@ -1,21 +1,140 @@
 import _ from 'lodash';
+import { ANY, TYPEOF, PREDICATE, PARSE, compileFieldParser, compileValuesBuilder } from './compile';
 
 /**
  * Possible string results of the typeof operator.
  * @type {String[]}
  */
 const TYPE_STRINGS = [
-  'object', 'string', 'number', 'symbol', 'boolean', 'function', 'undefined'
+  'object', 'string', 'number', 'bigint', 'symbol', 'boolean', 'function', 'undefined'
 ];
 
+/**
+ * Named types with more precise semantics than typeof, mapped to predicates that test
+ * values for the type.
+ * @type {Object<String, function(*): boolean>}
+ */
+const NAMED_TYPES = {
+  array: _.isArray,
+  null: _.isNull,
+  integer: value => Number.isInteger(value),
+  finite: value => Number.isFinite(value),
+  date: value => _.isDate(value) && !_.isNaN(value.getTime()),
+  regexp: _.isRegExp,
+  map: _.isMap,
+  set: _.isSet,
+  plainObject: _.isPlainObject
+};
+
+/**
+ * The keys that a RecordSchema value may contain.
+ * @type {String[]}
+ */
+const SCHEMA_VALUE_KEYS = [
+  'type', 'asyncType', 'default', 'required', 'coerce', 'serialize', 'computed', 'enumerable',
+  'jsonSchema', 'message'
+];
+
+/**
+ * Codes for the different kinds of validation failures.
+ * @type {String}
+ */
+const REQUIRED = 'REQUIRED';
+const INVALID_TYPE = 'INVALID_TYPE';
+const INVALID_INPUT = 'INVALID_INPUT';
+const INVALID_RECORD = 'INVALID_RECORD';
+const ASYNC_VALIDATION_REQUIRED = 'ASYNC_VALIDATION_REQUIRED';
+
+/**
+ * The names that validator functions defined inline in an option get.
+ * @type {String[]}
+ */
+const INLINE_VALIDATOR_NAMES = [ 'type', 'asyncType', 'validate', 'validateAsync' ];
+
 const privates = new WeakMap();
 
+// The accessors shared by every instance of each RecordSchema's Records, the key of the
+// (non-enumerable) property of each Record that holds the values they read, and the cached
+// values of computed fields. See RecordSchema#defineFields().
+const fieldAccessors = new WeakMap();
+const VALUES = Symbol('values');
+const computedValues = new WeakMap();
+
+// The functions each RecordSchema's shape is compiled to. See compileSchema().
+const compiledSchemas = new WeakMap();
+
+const hasOwnProperty = Object.prototype.hasOwnProperty;
+
+// The record-level validators of each RecordSchema
+const recordValidators = new WeakMap();
+const asyncRecordValidators = new WeakMap();
+
+// Formats the default message of every validation failure. See setErrorFormatter().
+let errorFormatter;
+
+// Greater than 0 while Records with async validators may be constructed synchronously,
+// i.e. once their async validators have passed. See allowAsyncConstruction().
+let asyncConstructionDepth = 0;
+
+// Parsed input that has already been validated, which the Record constructed from it
+// doesn't validate again. See constructFromParsedInput().
+let validatedInput;
+
+/**
+ * Maps the prototype of every Record class created by ImmutableRecord() to the Record's
+ * RecordSchema. Used to recognize Record classes (and their subclasses) used as a field type.
+ * @type {WeakMap}
+ */
+const recordSchemas = new WeakMap();
+
+/**
+ * The kinds of collection classes (see registerCollectionClass()).
+ * @type {String}
+ */
+export const LIST = 'List';
+export const MAP = 'Map';
+
+/**
+ * Maps the prototype of every collection class (like the classes returned by
+ * ImmutableRecord.List()) to the collection's kind, element type and functions for reading
+ * and creating instances.
+ * @type {WeakMap}
+ */
+const collectionClasses = new WeakMap();
+
+/**
+ * Maps every lazy type (see registerLazyType()) to the function that returns its type, and
+ * the type once it's resolved.
+ * @type {WeakMap}
+ */
+const lazyTypes = new WeakMap();
+
+/**
+ * Maps the validators created by type combinators (see registerTypeParser()) to functions
+ * that parse and convert values for them, and the types their values contain.
+ * @type {WeakMap}
+ */
+const typeParsers = new WeakMap();
+
 class RecordSchema {
-  constructor (schema) {
+  constructor (schema, validate, validateAsync) {
+    const validators = _.isNil(validate) ? [] : _.castArray(validate);
+    const asyncValidators = _.isNil(validateAsync) ? [] : _.castArray(validateAsync);
+
     // Throw if the schema is invalid
     validateRecordSchema(schema);
+    validateRecordValidators(validators, 'validate');
+    validateRecordValidators(asyncValidators, 'validateAsync');
 
     privates.set(this, Object.freeze(schema));
+    fieldAccessors.set(this, createFieldAccessors(schema));
+    compiledSchemas.set(this, compileSchema(schema));
+    recordValidators.set(this, Object.freeze(validators));
+    asyncRecordValidators.set(this, Object.freeze(asyncValidators));
+
+    // Computed on first use by hasAsyncValidators(), since lazy types can't be resolved
+    // until the Record classes they refer to exist
+    this.__hasAsyncValidators = undefined;
   }
 
   /**
@@ -39,31 +158,195 @@ class RecordSchema {
   removeInvalidInputKeys (input) {
     const schema = privates.get(this);
 
+    // Computed fields can't be set, so they're removed too
     return _.pick(
       input,
-      Object.keys(schema)
+      _.reject(Object.keys(schema), key => isComputedField(key, schema))
     );
   }
 
+  /**
+   * Returns the (frozen) shape this schema was created from.
+   *
+   * @return {Object}
+   */
+  getShape () {
+    return privates.get(this);
+  }
+
+  /**
+   * Returns the (frozen) list of record-level validators.
+   *
+   * @return {Function[]}
+   */
+  getValidators () {
+    return recordValidators.get(this);
+  }
+
+  /**
+   * Returns the (frozen) list of async record-level validators.
+   *
+   * @return {Function[]}
+   */
+  getAsyncValidators () {
+    return asyncRecordValidators.get(this);
+  }
+
+  /**
+   * Returns true if validating input requires running async validators, either this
+   * schema's or a nested Record's.
+   *
+   * @return {boolean}
+   */
+  hasAsyncValidators () {
+    if (_.isUndefined(this.__hasAsyncValidators)) {
+      this.__hasAsyncValidators = schemaHasAsyncValidators(this, new Set());
+    }
+
+    return this.__hasAsyncValidators;
+  }
+
+  /**
+   * Given a property name, returns true if the property must be specified on Record input.
+   *
+   * @param {String} propertyName
+   * @return {boolean}
+   */
+  isRequired (propertyName) {
+    return (
+      this.hasProperty(propertyName) &&
+      !!isFieldRequired(propertyName, privates.get(this))
+    );
+  }
+
+  /**
+   * Given a property name, returns true if the property is a computed field.
+   *
+   * @param {String} propertyName
+   * @return {boolean}
+   */
+  isComputed (propertyName) {
+    return (
+      this.hasProperty(propertyName) &&
+      isComputedField(propertyName, privates.get(this))
+    );
+  }
+
+  /**
+   * Given a potential input for a Record, validates the input and replaces any plain
+   * object values at fields whose type is a Record class with an instance of that Record
+   * class.
+   *
+   * Doesn't throw if the input is invalid. Instead, every validation failure is collected
+   * in the returned `errors` array. Failures inside nested Records include the full path
+   * to the invalid field (e.g. [ 'address', 'zip' ]).
+   *
+   * Once every field is valid, the record-level validators are called with the input's
+   * values (including defaults).
+   *
+   * Input for a Record with async validators (outside of allowAsyncConstruction()) fails
+   * with ASYNC_VALIDATION_REQUIRED, since it can't be validated synchronously.
+   *
+   * @param {Object} input
+   * @return {{input: Object, errors: ValidationFailure[]}}
+   */
+  parseInput (input) {
+    if (this.hasAsyncValidators() && asyncConstructionDepth === 0) {
+      return {
+        input,
+        errors: [ createFailure(ASYNC_VALIDATION_REQUIRED, [], input, 'validateAsync') ]
+      };
+    }
+
+    if (!_.isNil(input) && !_.isPlainObject(input)) {
+      return {
+        input,
+        errors: [ createFailure(INVALID_INPUT, [], input, 'plainObject') ]
+      };
+    }
+
+    // We treat nil input (which is potentially valid) as an empty object.
+    const recordInput = _.isNil(input) ? {} : input;
+
+    const parsedInput = _.clone(recordInput);
+    const errors = [];
+
+    compiledSchemas.get(this).parseFields(recordInput, parsedInput, errors);
+
+    const validators = recordValidators.get(this);
+    if (errors.length === 0 && validators.length > 0) {
+      runRecordValidators(validators, this.createValues(parsedInput), errors);
+    }
+
+    return {
+      input: parsedInput,
+      errors
+    };
+  }
+
+  /**
+   * Like parseInput(), except that nothing is validated: values are coerced, and nested
+   * Records and collections are constructed from plain objects and arrays, but nothing is
+   * checked. Input that isn't a plain object is treated as empty.
+   *
+   * @param {Object} input
+   * @return {Object}
+   */
+  convertInput (input) {
+    const recordInput = _.isPlainObject(input) ? input : {};
+    const convertedInput = _.clone(recordInput);
+
+    compiledSchemas.get(this).convertFields(recordInput, convertedInput, []);
+
+    return convertedInput;
+  }
+
+  /**
+   * Just like parseInput(), except that the async validators run too. All of the async
+   * validators run concurrently.
+   *
+   * Async field validators only run for fields that passed their synchronous validation, and
+   * async record-level validators only run once every synchronous check has passed.
+   *
+   * @param {Object} input
+   * @param {String[]} [changedKeys] - if given, only these fields are validated by their
+   *    async field validators (the rest are known to be valid)
+   * @return {Promise<{input: Object, errors: ValidationFailure[]}>}
+   */
+  parseInputAsync (input, changedKeys) {
+    return new Promise(resolve => {
+      const { input: parsedInput, errors } = allowAsyncConstruction(() => this.parseInput(input));
+
+      if (!_.isNil(input) && !_.isPlainObject(input)) {
+        return resolve({ input: parsedInput, errors });
+      }
+
+      const recordInput = _.isNil(input) ? {} : input;
+      resolve(
+        getAsyncFailures(this, recordInput, parsedInput, errors, changedKeys).then(asyncErrors => ({
+          input: parsedInput,
+          errors: errors.concat(asyncErrors)
+        }))
+      );
+    });
+  }
+
   /**
    * Given a potential input for a Record, validates the input.
-   * Specifically, tests each key/value of the input and throws if one of the pairs
-   * is invalid according to the Schema.
+   * Specifically, tests each key/value of the input and throws a RecordValidationError
+   * describing every invalid pair if any of the pairs are invalid according to the Schema.
    *
    * @param {Object} input
    * @return {boolean}
    */
   validateInput (input) {
-    const schema = privates.get(this);
+    const { errors } = this.parseInput(input);
 
-    if (!_.isNil(input) && !_.isPlainObject(input)) {
-      throw new Error(`Record input must either be nil or a plain object.`);
+    if (errors.length > 0) {
+      throw new RecordValidationError(errors);
     }
 
-    return _.every(
-      _.keys(schema),
-      key => validateInputValue(key, schema, input)
-    );
+    return true;
   }
 
   /**
@@ -92,68 +375,778 @@ class RecordSchema {
   }
 
   /**
-   * Given a Record input, returns an accessor object (suitable for use
-   * with Object.defineProperties) for the input values.
+   * Given parsed input for a Record, returns the Record's values: the input's fields (without
+   * computed fields and keys that aren't in the schema) with defaults applied. Equivalent to
+   * applyDefaults(removeInvalidInputKeys(input)).
    *
    * @param {Object} input
-   * @return {{}<RecordAccessor>}
+   * @return {Object}
+   */
+  createValues (input) {
+    return compiledSchemas.get(this).createValues(input);
+  }
+
+  /**
+   * Given a Record's values, returns a plain object for use as the Record's JSON representation.
+   * Values at fields with a "serialize" option are replaced with the result of calling the
+   * option with the value and the key.
+   *
+   * @param {Object} values
+   * @return {Object}
    */
-  getAccessorsForInput (input) {
+  serializeValues (values) {
     const schema = privates.get(this);
 
-    return _.mapValues(
-      _.pick(
-        input,
-        Object.keys(schema)
-      ),
-      (value, key) => RecordAccessor(value)
-    );
+    return _.mapValues(values, (value, key) => {
+      const serialize = _.get(schema[key], 'serialize');
+
+      return serialize
+        ? serialize(value, key)
+        : value;
+    });
+  }
+
+  /**
+   * Defines the fields of a new Record instance: an accessor for each value in `values`
+   * that's in the schema (in the order of the schema), and one for each computed field.
+   *
+   * The accessors are created once per schema and shared by every instance, so defining
+   * a Record's fields doesn't allocate anything per field. `values` is kept on the Record in
+   * a non-enumerable property, which the getters read from. It shouldn't be mutated
+   * afterwards (see getValues()).
+   *
+   * @param {Record} record
+   * @param {Object} values
+   */
+  defineFields (record, values) {
+    const { fields, computed } = fieldAccessors.get(this);
+
+    Object.defineProperty(record, VALUES, { value: values });
+
+    for (let i = 0; i < fields.length; i++) {
+      const [ key, accessor ] = fields[i];
+
+      if (hasOwnProperty.call(values, key)) {
+        Object.defineProperty(record, key, accessor);
+      }
+    }
+
+    for (let i = 0; i < computed.length; i++) {
+      Object.defineProperty(record, computed[i][0], computed[i][1]);
+    }
+  }
+
+  /**
+   * Given a Record instance whose fields were defined by defineFields(), returns the
+   * Record's values (not including computed fields).
+   *
+   * @param {Record} record
+   * @return {Object}
+   */
+  getValues (record) {
+    return record[VALUES];
   }
 }
 
 /**
- * Given a key name, a schema, and some a potential input for a Record, tests the value
- * at the key in the input for validity according to the schema.
+ * Given a key name, the schema value at that key, and the value at the key in a potential
+ * input for a Record, tests the value for validity according to the schema value.
+ *
+ * If the schema value has a "coerce" option, the value is coerced before it's tested.
+ * Plain objects at fields whose type is a Record class are used to construct an instance
+ * of that class, as are arrays and plain objects at fields whose type is a collection class.
  *
- * Specifically, throws if the value isn't valid according to the schema.
+ * Any validation failures are added to `errors`. Returns the (possibly constructed) value.
  *
  * @param {String} key
- * @param {RecordSchema} schema
- * @param {Object} recordInput
+ * @param {Object} schemaValue
+ * @param {*} rawInputValue
+ * @param {ValidationFailure[]} errors
+ * @return {*}
+ */
+function parseInputValue (key, schemaValue, rawInputValue, errors) {
+  const type = _.get(schemaValue, 'type');
+  const coerce = _.get(schemaValue, 'coerce');
+
+  const inputValue = coerce
+    ? coerce(rawInputValue)
+    : rawInputValue;
+
+  const parsed = parseValueForType(type, inputValue);
+  parsed.errors.forEach(failure => {
+    // Failures at the field itself (rather than nested inside its value) get the field's
+    // "message"
+    const message = failure.path.length === 0
+      ? getFieldMessage(schemaValue, key, failure.value)
+      : undefined;
+
+    errors.push(
+      _.isUndefined(message)
+        ? prefixFailurePath(key, failure)
+        : createFailure(failure.code, [ key ], failure.value, failure.expected, undefined, message)
+    );
+  });
+
+  return parsed.value;
+}
+
+/**
+ * Parses a value for a type. Plain objects are used to construct an instance of a Record
+ * class type, and arrays or plain objects are used to construct a collection class type
+ * (see registerCollectionClass()). Values that aren't valid for a combinator's type are
+ * parsed by the combinator (see registerTypeParser()), which constructs the Records and
+ * collections inside them. Every other value is checked with isValidForType().
+ * Lazy types are resolved first.
+ *
+ * Returns the (possibly constructed) value, and the validation failures with paths relative
+ * to the value.
+ *
+ * @param {String|Function|undefined} lazyOrType
+ * @param {*} inputValue
+ * @return {{value: *, errors: ValidationFailure[]}}
+ */
+export function parseValueForType (lazyOrType, inputValue) {
+  const type = resolveType(lazyOrType);
+
+  // Validate nested input with the nested Record's schema first, so that invalid
+  // input doesn't cost us an exception.
+  if (isRecordClass(type) && _.isPlainObject(inputValue)) {
+    const nested = getRecordSchema(type.prototype).parseInput(inputValue);
+
+    if (nested.errors.length > 0) {
+      return { value: inputValue, errors: nested.errors };
+    }
+
+    return { value: constructFromParsedInput(type, nested.input), errors: [] };
+  }
+
+  if (isCollectionClass(type) && isCollectionInput(type, inputValue)) {
+    const parsed = parseCollectionInput(type, inputValue);
+
+    if (parsed.errors.length > 0) {
+      return { value: inputValue, errors: parsed.errors };
+    }
+
+    return {
+      value: getCollectionInfo(type.prototype).fromContents(parsed.contents),
+      errors: []
+    };
+  }
+
+  // Check the type
+  if (!isValidForType(type, inputValue)) {
+    return typeParsers.has(type)
+      ? typeParsers.get(type).parse(inputValue)
+      : { value: inputValue, errors: [ createTypeFailure(type, inputValue) ] };
+  }
+
+  return { value: inputValue, errors: [] };
+}
+
+/**
+ * Returns the failure for a value that isn't valid for a type.
+ *
+ * @param {String|Function} type
+ * @param {*} value
+ * @return {ValidationFailure}
+ */
+export function createTypeFailure (type, value) {
+  return createFailure(INVALID_TYPE, [], value, describeType(type));
+}
+
+/**
+ * Parses the contents of a collection (an array for Lists, a plain object for Maps), parsing
+ * each element with the collection's element type.
+ *
+ * Returns the parsed contents, and the validation failures with paths relative to the
+ * collection.
+ *
+ * @param {Function} Collection - a class passed to registerCollectionClass()
+ * @param {Array|Object} input
+ * @return {{contents: Array|Object, errors: ValidationFailure[]}}
+ */
+export function parseCollectionInput (Collection, input) {
+  const { kind, elementType } = getCollectionInfo(Collection.prototype);
+  const errors = [];
+
+  if (!isCollectionInput(Collection, input)) {
+    return {
+      contents: input,
+      errors: [ createFailure(INVALID_TYPE, [], input, describeType(Collection)) ]
+    };
+  }
+
+  const parseElement = (element, key) => {
+    const parsed = parseValueForType(elementType, element);
+    parsed.errors.forEach(failure => errors.push(prefixFailurePath(key, failure)));
+    return parsed.value;
+  };
+
+  const contents = kind === LIST
+    ? input.map(parseElement)
+    : _.mapValues(input, parseElement);
+
+  return { contents, errors };
+}
+
+/**
+ * Returns true if a value can be parsed as the contents of a collection: an array for
+ * Lists, a plain object for Maps.
+ *
+ * @param {Function} Collection
+ * @param {*} value
  * @return {boolean}
  */
-function validateInputValue (key, schema, recordInput) {
-  // We treat nil input (which is potentially valid) as an empty object.
-  recordInput = _.isNil(recordInput) ? {} : recordInput;
+function isCollectionInput (Collection, value) {
+  return getCollectionInfo(Collection.prototype).kind === LIST
+    ? _.isArray(value)
+    : _.isPlainObject(value);
+}
 
-  const schemaValue = schema[key];
+/**
+ * Calls each record-level validator with a Record's values, and adds a failure to `errors`
+ * for each problem the validators report.
+ *
+ * A validator reports problems by returning false, a message, a { path, message } object
+ * (where path is a key or an array of keys), or an array of messages and objects.
+ * Returning anything else (e.g. true or nothing) means the values are valid.
+ *
+ * @param {Function[]} validators
+ * @param {Object} values
+ * @param {ValidationFailure[]} errors
+ */
+function runRecordValidators (validators, values, errors) {
+  validators.forEach(validator => {
+    const result = validator(values);
 
-  // Check for required fields (that also don't have a default)
-  if (!(key in recordInput)) {
-    if (isFieldRequired(key, schema)) {
-      throw new Error(
-        `"${key}" is missing from the record ${JSON.stringify(recordInput)}.`
+    if (isThenable(result)) {
+      throw new RecordSchemaValidationError(
+        `The validator "${describeType(validator)}" returned a Promise. ` +
+        `Use the "validateAsync" option for async validators.`
       );
     }
 
-    // Key is optional & not supplied
-    return true;
+    errors.push(...getRecordValidatorFailures(validator, values, result));
+  });
+}
+
+/**
+ * Returns the failures for the problems a record-level validator reported.
+ *
+ * @param {Function} validator
+ * @param {Object} values
+ * @param {*} result - what the validator returned
+ * @return {ValidationFailure[]}
+ */
+function getRecordValidatorFailures (validator, values, result) {
+  return getReportedProblems(result).map(({ path, message }) => createFailure(
+    INVALID_RECORD,
+    path,
+    path.length > 0 ? _.get(values, path) : values,
+    describeType(validator),
+    undefined,
+    message
+  ));
+}
+
+/**
+ * Returns true if a schema or any of its nested Records (at any depth, including inside
+ * collections and combinators) has async validators. `visited` holds the schemas and types
+ * already checked, since Records can refer to themselves through lazy types.
+ *
+ * @param {RecordSchema} recordSchema
+ * @param {Set} visited
+ * @return {boolean}
+ */
+function schemaHasAsyncValidators (recordSchema, visited) {
+  visited.add(recordSchema);
+
+  return recordSchema.getAsyncValidators().length > 0 || _.some(
+    privates.get(recordSchema),
+    schemaValue => (
+      _.has(schemaValue, 'asyncType') ||
+      typeHasAsyncValidators(_.get(schemaValue, 'type'), true, visited)
+    )
+  );
+}
+
+/**
+ * Returns true if values of a type can contain a Record with async validators: the type is
+ * a Record class with async validators, or a collection class or combinator whose values
+ * can contain one (at any depth).
+ *
+ * Lazy types are only resolved if `resolveLazyTypes` is true. Otherwise, they're assumed not
+ * to have async validators.
+ *
+ * @param {String|Function|undefined} lazyOrType
+ * @param {boolean} [resolveLazyTypes]
+ * @param {Set} [visited] - see schemaHasAsyncValidators()
+ * @return {boolean}
+ */
+export function typeHasAsyncValidators (lazyOrType, resolveLazyTypes = true, visited = new Set()) {
+  if (!resolveLazyTypes && lazyTypes.has(lazyOrType)) {
+    return false;
   }
 
-  // If the type is unspecified, we're done.
-  if (!('type' in schemaValue)) {
-    return true;
+  const type = resolveType(lazyOrType);
+  if (visited.has(type)) {
+    return false;
   }
 
-  // Check the type
-  const inputValue = recordInput[key];
-  if (!isValidForType(schemaValue.type, inputValue)) {
-    throw new Error(
-      `The value ${JSON.stringify(inputValue)} at "${key}" is invalid.`
+  visited.add(type);
+
+  if (isRecordClass(type)) {
+    const nestedSchema = getRecordSchema(type.prototype);
+    return !visited.has(nestedSchema) && schemaHasAsyncValidators(nestedSchema, visited);
+  }
+
+  return _.some(
+    getNestedTypes(type),
+    nestedType => typeHasAsyncValidators(nestedType, resolveLazyTypes, visited)
+  );
+}
+
+/**
+ * Returns the types that values of a type contain: the element type of a collection class,
+ * or the types passed to a combinator (see registerTypeParser()).
+ *
+ * @param {String|Function|undefined} type
+ * @return {Array<String|Function>}
+ */
+function getNestedTypes (type) {
+  if (isCollectionClass(type)) {
+    return [ getCollectionInfo(type.prototype).elementType ];
+  }
+
+  return typeParsers.has(type)
+    ? typeParsers.get(type).types
+    : [];
+}
+
+/**
+ * Runs the async validators of a schema (and of nested Records that were constructed from
+ * plain objects, at any depth) for input that has already been through parseInput().
+ *
+ * @param {RecordSchema} recordSchema
+ * @param {Object} recordInput - the original input
+ * @param {Object} parsedInput - the input returned by parseInput()
+ * @param {ValidationFailure[]} syncErrors - the failures returned by parseInput()
+ * @param {String[]} [changedKeys] - see RecordSchema#parseInputAsync()
+ * @return {Promise<ValidationFailure[]>}
+ */
+function getAsyncFailures (recordSchema, recordInput, parsedInput, syncErrors, changedKeys) {
+  const schema = privates.get(recordSchema);
+  const invalidKeys = syncErrors.map(failure => failure.path[0]);
+  const checks = [];
+
+  _.keys(schema).forEach(key => {
+    if (
+      !(key in recordInput) ||
+      _.includes(invalidKeys, key) ||
+      (changedKeys && !_.includes(changedKeys, key))
+    ) {
+      return;
+    }
+
+    const value = parsedInput[key];
+    const asyncType = _.get(schema[key], 'asyncType');
+
+    if (asyncType) {
+      checks.push(
+        Promise.resolve(asyncType(value)).then(isValid => (
+          isValid
+            ? []
+            : [
+              createFailure(
+                INVALID_TYPE,
+                [ key ],
+                value,
+                describeType(asyncType),
+                undefined,
+                getFieldMessage(schema[key], key, value)
+              )
+            ]
+        ))
+      );
+    }
+
+    checks.push(
+      getNestedAsyncFailures(value, recordInput[key])
+        .then(failures => failures.map(failure => prefixFailurePath(key, failure)))
+    );
+  });
+
+  if (syncErrors.length === 0) {
+    const values = recordSchema.createValues(parsedInput);
+
+    recordSchema.getAsyncValidators().forEach(validator => {
+      checks.push(
+        Promise.resolve(validator(values))
+          .then(result => getRecordValidatorFailures(validator, values, result))
+      );
+    });
+  }
+
+  return Promise.all(checks).then(_.flatten);
+}
+
+/**
+ * Runs the async validators of the Records that were constructed from plain objects when
+ * `inputValue` was parsed into `value`, wherever they are in `value`: at the top, or inside
+ * collections, arrays and plain objects (e.g. built by combinators), at any depth. Records
+ * and collections that were passed in as they are have already been validated.
+ *
+ * @param {*} value - the parsed value
+ * @param {*} inputValue - the value it was parsed from
+ * @return {Promise<ValidationFailure[]>} the failures, with paths relative to the value
+ */
+function getNestedAsyncFailures (value, inputValue) {
+  if (value === inputValue) {
+    return Promise.resolve([]);
+  }
+
+  // Nested Records constructed from plain objects haven't been through their own
+  // async validators yet
+  if (isRecord(value)) {
+    const nestedSchema = getRecordSchema(value);
+    const nestedValues = nestedSchema.removeInvalidInputKeys(value);
+
+    return getAsyncFailures(
+      nestedSchema,
+      _.isPlainObject(inputValue) ? inputValue : nestedValues,
+      nestedValues,
+      []
     );
   }
 
-  return true;
+  const contents = isCollection(value) ? getCollectionContents(value) : value;
+  if (!_.isArray(contents) && !_.isPlainObject(contents)) {
+    return Promise.resolve([]);
+  }
+
+  const inputContents = isCollection(inputValue) ? getCollectionContents(inputValue) : inputValue;
+  const keys = _.isArray(contents) ? _.range(contents.length) : _.keys(contents);
+
+  return Promise.all(keys.map(key => (
+    getNestedAsyncFailures(contents[key], _.isObject(inputContents) ? inputContents[key] : undefined)
+      .then(failures => failures.map(failure => prefixFailurePath(key, failure)))
+  ))).then(_.flatten);
+}
+
+/**
+ * Calls `construct` and returns its result. While `construct` runs, Records with async
+ * validators can be constructed synchronously. Only used once the async validators of
+ * the input have passed.
+ *
+ * @param {function(): *} construct
+ * @return {*}
+ */
+export function allowAsyncConstruction (construct) {
+  asyncConstructionDepth++;
+
+  try {
+    return construct();
+  } finally {
+    asyncConstructionDepth--;
+  }
+}
+
+/**
+ * Constructs an instance of a Record class from input that parseInput() has already
+ * validated (or that convertInput() has converted, when validation is off), without
+ * validating it again.
+ *
+ * Only the exact `parsedInput` object is trusted: any other Record constructed along the
+ * way (e.g. by a subclass constructor that passes something else to super()) is validated
+ * as usual.
+ *
+ * @param {Function} Konstructor - a Record class (or subclass)
+ * @param {Object} parsedInput - the input returned by parseInput() or convertInput()
+ * @return {Record}
+ */
+export function constructFromParsedInput (Konstructor, parsedInput) {
+  validatedInput = parsedInput;
+
+  try {
+    return new Konstructor(parsedInput);
+  } finally {
+    validatedInput = undefined;
+  }
+}
+
+/**
+ * Returns true if the input of a Record constructor was passed to constructFromParsedInput(),
+ * and so doesn't need to be validated. Each input is only trusted once.
+ *
+ * @param {*} input
+ * @return {boolean}
+ */
+export function isValidatedInput (input) {
+  if (_.isUndefined(validatedInput) || input !== validatedInput) {
+    return false;
+  }
+
+  validatedInput = undefined;
+  return true;
+}
+
+/**
+ * Returns true if a value is a Promise (or looks like one).
+ *
+ * @param {*} value
+ * @return {boolean}
+ */
+function isThenable (value) {
+  return _.isObject(value) && _.isFunction(value.then);
+}
+
+/**
+ * Given the result of a record-level validator, returns the problems it reports.
+ *
+ * @param {*} result
+ * @return {Array<{path: Array, message: (String|undefined)}>}
+ */
+function getReportedProblems (result) {
+  if (result === false) {
+    return [ { path: [], message: undefined } ];
+  }
+
+  if (!_.isString(result) && !_.isPlainObject(result) && !_.isArray(result)) {
+    return [];
+  }
+
+  return _.castArray(result).map(problem => (
+    _.isString(problem)
+      ? { path: [], message: problem }
+      : { path: _.castArray(_.get(problem, 'path', [])), message: _.get(problem, 'message') }
+  ));
+}
+
+/**
+ * A single validation failure.
+ *
+ * @typedef {Object} ValidationFailure
+ * @property {Array} path - path to the invalid field
+ * @property {*} value - the invalid value (undefined for missing fields)
+ * @property {String} expected - the type string, Record name or validator name that the
+ *    value failed, or "required"
+ * @property {String} code - one of REQUIRED, INVALID_TYPE, INVALID_INPUT, INVALID_RECORD or
+ *    ASYNC_VALIDATION_REQUIRED
+ * @property {String} message - a human-readable description of the failure
+ */
+
+/**
+ * Returns a ValidationFailure.
+ *
+ * The default message is only formatted when it's first read. Failures inside nested Records
+ * are re-created with a longer path (see prefixFailurePath()) before that happens, so the
+ * error formatter is called once per failure, with its full path.
+ *
+ * @param {String} code
+ * @param {Array} path
+ * @param {*} value
+ * @param {String} expected
+ * @param {Object} [recordInput] - for missing fields, the input the field is missing from
+ * @param {String} [customMessage] - used instead of the default message
+ * @return {ValidationFailure}
+ */
+function createFailure (code, path, value, expected, recordInput, customMessage) {
+  const failure = {
+    path,
+    value,
+    expected,
+    code
+  };
+
+  defineLazyProperty(failure, 'message', () => (
+    _.isUndefined(customMessage)
+      ? formatFailureMessage(code, path, value, expected, recordInput)
+      : customMessage
+  ));
+
+  // Kept around (but hidden) so that the message can be rebuilt for a longer path
+  Object.defineProperty(failure, 'recordInput', { value: recordInput });
+  Object.defineProperty(failure, 'customMessage', { value: customMessage });
+
+  return failure;
+}
+
+/**
+ * Defines an enumerable property whose value is computed by `compute` the first time it's
+ * read. Otherwise, the property behaves like an ordinary (writable) one.
+ *
+ * @param {Object} object
+ * @param {String} key
+ * @param {function(): *} compute
+ */
+function defineLazyProperty (object, key, compute) {
+  const define = value => {
+    Object.defineProperty(object, key, {
+      value,
+      enumerable: true,
+      writable: true,
+      configurable: true
+    });
+
+    return value;
+  };
+
+  Object.defineProperty(object, key, {
+    get: () => define(compute()),
+    set: define,
+    enumerable: true,
+    configurable: true
+  });
+}
+
+/**
+ * Returns the message for a validation failure: the error formatter's message (see
+ * setErrorFormatter()) if there is one, and the default message otherwise.
+ *
+ * @param {String} code
+ * @param {Array} path
+ * @param {*} value
+ * @param {String} expected
+ * @param {Object} [recordInput]
+ * @return {String}
+ */
+function formatFailureMessage (code, path, value, expected, recordInput) {
+  const formatted = errorFormatter
+    ? errorFormatter({ key: path.join('.'), path, value, expected, reason: code })
+    : undefined;
+
+  return _.isUndefined(formatted)
+    ? formatDefaultFailureMessage(code, path, value, recordInput)
+    : formatted;
+}
+
+/**
+ * Returns the default message for a validation failure.
+ *
+ * @param {String} code
+ * @param {Array} path
+ * @param {*} value
+ * @param {Object} [recordInput]
+ * @return {String}
+ */
+function formatDefaultFailureMessage (code, path, value, recordInput) {
+  // Record-level validators can report problems with the record as a whole
+  if (code === INVALID_RECORD && path.length === 0) {
+    return `The record ${JSON.stringify(value)} is invalid.`;
+  }
+
+  switch (code) {
+    case REQUIRED:
+      return `"${path.join('.')}" is missing from the record ${JSON.stringify(recordInput)}.`;
+
+    case INVALID_INPUT:
+      return `Record input must either be nil or a plain object.`;
+
+    case ASYNC_VALIDATION_REQUIRED:
+      return (
+        `This Record has async validators, so it must be created with createAsync() or ` +
+        `setAsync() and validated with validateAsync().`
+      );
+
+    default:
+      return `The value ${JSON.stringify(value)} at "${path.join('.')}" is invalid.`;
+  }
+}
+
+/**
+ * Sets the function that formats the message of every validation failure that doesn't have
+ * a custom message (from a field's "message" option or a record-level validator). The
+ * formatter is called with the failure's
+ *    key: the path to the invalid value, joined with "." (e.g. "address.zip")
+ *    path: the path as an array
+ *    value: the invalid value (undefined for missing fields)
+ *    expected: the expected type, "required", "plainObject" or "validateAsync"
+ *    reason: the failure's code (REQUIRED, INVALID_TYPE, INVALID_INPUT, INVALID_RECORD or
+ *      ASYNC_VALIDATION_REQUIRED)
+ *
+ * and returns the message. Returning undefined keeps the default message. Passing undefined
+ * removes the formatter.
+ *
+ * The formatter is called once per failure, when its message is first read (see
+ * createFailure()).
+ *
+ * @param {function(Object): (String|undefined)|undefined} formatter
+ */
+export function setErrorFormatter (formatter) {
+  if (!_.isUndefined(formatter) && !_.isFunction(formatter)) {
+    throw new Error(`The error formatter must be a function.`);
+  }
+
+  errorFormatter = formatter;
+}
+
+/**
+ * Returns the message for a failure at a field, from the field's "message" option: either
+ * the option itself, or the result of calling it with the value and the key. Returns
+ * undefined if the field has no "message".
+ *
+ * @param {Object} schemaValue
+ * @param {String} key
+ * @param {*} value
+ * @return {String|undefined}
+ */
+function getFieldMessage (schemaValue, key, value) {
+  const message = _.get(schemaValue, 'message');
+
+  return _.isFunction(message)
+    ? message(value, key)
+    : message;
+}
+
+/**
+ * Given a key and a ValidationFailure for a value nested at that key, returns an
+ * equivalent failure whose path starts with the key.
+ *
+ * @param {String} key
+ * @param {ValidationFailure} failure
+ * @return {ValidationFailure}
+ */
+export function prefixFailurePath (key, failure) {
+  return createFailure(
+    failure.code,
+    [ key ].concat(failure.path),
+    failure.value,
+    failure.expected,
+    failure.recordInput,
+    failure.customMessage
+  );
+}
+
+/**
+ * Given a key and a RecordValidationError thrown for a value nested at that key, returns an
+ * equivalent error whose failures' paths start with the key.
+ *
+ * @param {String|Number} key
+ * @param {RecordValidationError} error
+ * @return {RecordValidationError}
+ */
+export function prefixValidationError (key, error) {
+  return new RecordValidationError(error.errors.map(failure => prefixFailurePath(key, failure)));
+}
+
+/**
+ * Returns a description of a type, for use in validation failures. This is the type string,
+ * the name of the Record class, or the name of the validator function.
+ *
+ * @param {String|Function|undefined} type
+ * @return {String}
+ */
+export function describeType (type) {
+  if (!_.isFunction(type)) {
+    return String(type);
+  }
+
+  // Validators defined inline (e.g. { type: value => value > 5 }) get the name of the
+  // option ("type" or "validate"). That name doesn't tell anyone anything, so we treat
+  // those as anonymous.
+  return type.name && !_.includes(INLINE_VALIDATOR_NAMES, type.name)
+    ? type.name
+    : 'validator';
 }
 
 /**
@@ -172,11 +1165,23 @@ function isFieldRequired (key, schema) {
   const schemaValue = schema[key];
 
   return (
-    schemaValue.required &&
-    !('default' in schemaValue)
+    _.get(schemaValue, 'required') &&
+    !_.has(schemaValue, 'default')
   );
 }
 
+/**
+ * Given a key (field name) and a schema, returns true if the field is computed from the
+ * Record's other fields.
+ *
+ * @param {String} key
+ * @param {RecordSchema} schema
+ * @return {Boolean}
+ */
+function isComputedField (key, schema) {
+  return _.has(schema[key], 'computed');
+}
+
 /**
  * Returns true if a given object is a valid RecordSchema.
  * Throws a RecordSchemaValidationError if the schema is invalid.
@@ -201,38 +1206,227 @@ function validateRecordSchema (recordSchema) {
 }
 
 /**
- * A RecordAccessor:
- *   has a getter that returns the input value
+ * Throws a RecordSchemaValidationError if any record-level validator isn't a function.
+ *
+ * @param {Array} validators
+ * @param {String} option - the name of the option, for the error message
+ * @return {boolean}
+ */
+function validateRecordValidators (validators, option) {
+  if (!_.every(validators, _.isFunction)) {
+    throw new RecordSchemaValidationError(`"${option}" must be a function or an array of functions.`);
+  }
+
+  return true;
+}
+
+/**
+ * Compiles a schema into the functions used to parse and convert its Records' input (see
+ * compileFieldParser() and compileValuesBuilder()). Each field's type is looked at once
+ * here, rather than on every construction.
+ *
+ * @param {Object} schema
+ * @return {{parseFields: Function, convertFields: Function, createValues: Function}}
+ */
+function compileSchema (schema) {
+  const keys = _.reject(Object.keys(schema), key => isComputedField(key, schema));
+  const defaults = keys
+    .filter(key => _.has(schema[key], 'default'))
+    .map(key => [ key, schema[key].default ]);
+
+  return {
+    parseFields: compileFieldParser(keys.map(key => createFieldPlan(key, schema))),
+    convertFields: compileFieldParser(keys.map(key => createConversionPlan(key, schema))),
+    createValues: compileValuesBuilder(keys, defaults)
+  };
+}
+
+/**
+ * Returns the FieldPlan (see compile.js) for a field. Fields without a type, or with a
+ * typeof or named type, are checked directly. Everything else (Record classes, collection
+ * classes, lazy types and validators) goes through parseInputValue().
+ *
+ * @param {String} key
+ * @param {Object} schema
+ * @return {FieldPlan}
+ */
+function createFieldPlan (key, schema) {
+  const schemaValue = schema[key];
+  const type = _.get(schemaValue, 'type');
+  const coerce = _.get(schemaValue, 'coerce');
+
+  const plan = {
+    key,
+    isRequired: !!isFieldRequired(key, schema),
+    coerce,
+    invalid: value => createFailure(
+      INVALID_TYPE, [ key ], value, describeType(type), undefined,
+      getFieldMessage(schemaValue, key, value)
+    ),
+    missing: recordInput => createFailure(
+      REQUIRED, [ key ], undefined, 'required', recordInput,
+      getFieldMessage(schemaValue, key, undefined)
+    )
+  };
+
+  if (_.isUndefined(type)) {
+    return _.assign(plan, { kind: ANY });
+  }
+
+  if (_.isString(type) && _.has(NAMED_TYPES, type)) {
+    return _.assign(plan, { kind: PREDICATE, isValid: NAMED_TYPES[type] });
+  }
+
+  if (_.includes(TYPE_STRINGS, type)) {
+    return _.assign(plan, { kind: TYPEOF, typeOf: type });
+  }
+
+  return _.assign(plan, {
+    kind: PARSE,
+    coerce: undefined,
+    parse: (value, errors) => parseInputValue(key, schemaValue, value, errors)
+  });
+}
+
+/**
+ * Returns the FieldPlan for converting a field without validating it (see
+ * RecordSchema#convertInput()).
+ *
+ * @param {String} key
+ * @param {Object} schema
+ * @return {FieldPlan}
+ */
+function createConversionPlan (key, schema) {
+  const type = _.get(schema[key], 'type');
+  const coerce = _.get(schema[key], 'coerce');
+
+  // Only Record classes, collection classes and lazy types convert anything
+  const convert = _.isFunction(type)
+    ? value => convertValueForType(type, coerce ? coerce(value) : value)
+    : coerce;
+
+  return { key, isRequired: false, kind: ANY, coerce: convert };
+}
+
+/**
+ * Like parseValueForType(), except that nothing is validated. Plain objects are used to
+ * construct an instance of a Record class type (without validation, whatever the Record
+ * class's validation mode), and arrays or plain objects are used to
+ * create a collection class type (whose elements are converted the same way). Combinators
+ * convert the values inside them. Every other value is returned as-is.
+ *
+ * @param {String|Function|undefined} lazyOrType
+ * @param {*} value
+ * @return {*}
+ */
+export function convertValueForType (lazyOrType, value) {
+  const type = resolveType(lazyOrType);
+
+  if (isRecordClass(type) && _.isPlainObject(value)) {
+    return constructFromParsedInput(type, getRecordSchema(type.prototype).convertInput(value));
+  }
+
+  if (isCollectionClass(type) && isCollectionInput(type, value)) {
+    const { kind, elementType, fromContents } = getCollectionInfo(type.prototype);
+    const convertElement = element => convertValueForType(elementType, element);
+
+    return fromContents(
+      kind === LIST
+        ? value.map(convertElement)
+        : _.mapValues(value, convertElement)
+    );
+  }
+
+  if (typeParsers.has(type)) {
+    return typeParsers.get(type).convert(value);
+  }
+
+  return value;
+}
+
+/**
+ * Returns the accessors (property descriptors for use with Object.defineProperty()) for
+ * the fields of a schema's Records, as [ key, accessor ] pairs in the order of the schema.
+ *
+ * Every accessor:
+ *   has a getter that returns the Record's value
  *   has a setter that throws
- *   may or may not be enumerable
+ *   is enumerable (except for computed fields with "enumerable: false")
  *   is not configurable
  *
- * RecordAccessors are intended for use with Object.defineProperty()
+ * @param {Object} schema
+ * @return {{fields: Array[], computed: Array[]}}
+ */
+function createFieldAccessors (schema) {
+  const [ computedKeys, keys ] = _.partition(
+    Object.keys(schema),
+    key => isComputedField(key, schema)
+  );
+
+  return {
+    fields: keys.map(key => [ key, FieldAccessor(key) ]),
+    computed: computedKeys.map(key => [ key, ComputedAccessor(key, schema[key]) ])
+  };
+}
+
+/**
+ * Returns the accessor for a field, which reads the field from the values stored by
+ * RecordSchema#defineFields().
  *
- * @property {function} get
- * @property {function} set
- * @property {boolean} enumerable
- * @property {boolean} configurable
+ * @param {String} key
+ * @return {{get: function(): *, set: function(*), enumerable: boolean, configurable: boolean}}
+ */
+function FieldAccessor (key) {
+  return {
+    get: function () {
+      return this[VALUES][key];
+    },
+    set: throwOnSet,
+    enumerable: true,
+    configurable: false
+  };
+}
+
+/**
+ * Returns the accessor for a computed field. The value is computed (by calling the field's
+ * "computed" option with the Record) the first time the getter is called, and then cached.
  *
- * @param {ValueType} value - the value to provide accessors for
- * @param {Boolean} isEnumerable - whether or not the property is enumerable
- * @return {{get: (function(): ValueType), set: (function(*)), enumerable: boolean}}
- * @template ValueType
+ * @param {String} key
+ * @param {Object} schemaValue
+ * @return {{get: function(): *, set: function(*), enumerable: boolean, configurable: boolean}}
  */
-function RecordAccessor (value, isEnumerable = true) {
+function ComputedAccessor (key, schemaValue) {
   return {
-    get: () => value,
+    get: function () {
+      let cache = computedValues.get(this);
 
-    // Always throw on attempted set operations.
-    // This function has arity of one to comply with interpreter rules about setters,
-    // even though it won't ever use the argument.
-    set: x => {
-      throw new Error('Use the "set" function to update the values of an ImmutableRecord.')
-    },
+      if (_.isUndefined(cache)) {
+        cache = {};
+        computedValues.set(this, cache);
+      }
 
-    enumerable: isEnumerable,
+      if (!hasOwnProperty.call(cache, key)) {
+        cache[key] = schemaValue.computed(this);
+      }
+
+      return cache[key];
+    },
+    set: throwOnSet,
+    enumerable: _.get(schemaValue, 'enumerable', true),
     configurable: false
-  }
+  };
+}
+
+/**
+ * The setter of every field. Always throws, since Records are immutable.
+ *
+ * This function has arity of one to comply with interpreter rules about setters, even
+ * though it won't ever use the argument.
+ *
+ * @param {*} x
+ */
+function throwOnSet (x) {
+  throw new Error('Use the "set" function to update the values of an ImmutableRecord.');
 }
 
 /**
@@ -258,14 +1452,29 @@ function isEmptyObject (object) {
  * RecordSchemas are plain objects whose values are also plain objects that must conform to
  * a specific format. The RecordSchema values may only contain the following enumerable keys:
  *
- *    'type': either
- *        1. A TYPE_STRING
- *        2. A function of arity 1
+ *    'type': one of
+ *        1. A TYPE_STRING or one of the NAMED_TYPES
+ *        2. A Record class (created by ImmutableRecord())
+ *        3. A function of arity 1
+ *
+ *    'asyncType': a function that returns a Promise of whether the value is valid. Records
+ *        with async validators can only be created with createAsync() and setAsync().
  *
  *    'default' any value
  *
  *    'required': a Boolean
  *
+ *    'coerce': a function that converts input values before they're validated
+ *
+ *    'serialize': a function that returns the JSON representation of the field's value
+ *
+ *    'computed': a function that computes the field's value from the Record. Computed fields
+ *        can't have a type, default, required, or coerce option.
+ *
+ *    'enumerable': a Boolean. Only allowed for computed fields.
+ *
+ *    'jsonSchema': a plain object, used as the field's JSON Schema by Record.toJSONSchema()
+ *
  * Additionally, if a type and default are both specified then the default value must validate
  * according to the type.
  *
@@ -277,7 +1486,7 @@ function isRecordSchemaValue (recordSchemaValue) {
     return true;
   }
 
-  // Any enumerable key other than 'type', 'default', or 'required' is invalid
+  // Any enumerable key other than the SCHEMA_VALUE_KEYS is invalid
   if (doesSchemaValueContainInvalidKeys(recordSchemaValue)) {
     throw new RecordSchemaValidationError(`${JSON.stringify(recordSchemaValue)} contains an invalid key.`);
   }
@@ -286,13 +1495,21 @@ function isRecordSchemaValue (recordSchemaValue) {
   // Each value can be undefined.
   const individuallyCorrectValues = conformsExistingKeys({
     'type': function (typeValue) {
-      if (isTypeString(typeValue) || isValidatorFunction(typeValue)) {
+      if (isValidType(typeValue)) {
         return true;
       }
 
       throw new RecordSchemaValidationError(`"type" is invalid.`);
     },
 
+    'asyncType': function (asyncTypeValue) {
+      if (_.isFunction(asyncTypeValue)) {
+        return true;
+      }
+
+      throw new RecordSchemaValidationError(`"asyncType" is invalid.`);
+    },
+
     'default': function (defaultValue) {
       return true;
     },
@@ -303,6 +1520,54 @@ function isRecordSchemaValue (recordSchemaValue) {
       }
 
       throw new RecordSchemaValidationError(`"required" is invalid.`)
+    },
+
+    'coerce': function (coerceValue) {
+      if (_.isFunction(coerceValue)) {
+        return true;
+      }
+
+      throw new RecordSchemaValidationError(`"coerce" is invalid.`)
+    },
+
+    'serialize': function (serializeValue) {
+      if (_.isFunction(serializeValue)) {
+        return true;
+      }
+
+      throw new RecordSchemaValidationError(`"serialize" is invalid.`)
+    },
+
+    'computed': function (computedValue) {
+      if (_.isFunction(computedValue)) {
+        return true;
+      }
+
+      throw new RecordSchemaValidationError(`"computed" is invalid.`)
+    },
+
+    'enumerable': function (enumerableValue) {
+      if (_.isBoolean(enumerableValue)) {
+        return true;
+      }
+
+      throw new RecordSchemaValidationError(`"enumerable" is invalid.`)
+    },
+
+    'jsonSchema': function (jsonSchemaValue) {
+      if (_.isPlainObject(jsonSchemaValue)) {
+        return true;
+      }
+
+      throw new RecordSchemaValidationError(`"jsonSchema" is invalid.`)
+    },
+
+    'message': function (messageValue) {
+      if (_.isString(messageValue) || _.isFunction(messageValue)) {
+        return true;
+      }
+
+      throw new RecordSchemaValidationError(`"message" is invalid.`)
     }
   })(recordSchemaValue);
 
@@ -311,6 +1576,20 @@ function isRecordSchemaValue (recordSchemaValue) {
     throw new RecordSchemaValidationError(`${JSON.stringify(recordSchemaValue)} contains an invalid value.`);
   }
 
+  // Computed fields are never set, so they can't be typed, defaulted, required, or coerced.
+  if (
+    'computed' in recordSchemaValue &&
+    _.some([ 'type', 'asyncType', 'default', 'required', 'coerce' ], key => key in recordSchemaValue)
+  ) {
+    throw new RecordSchemaValidationError(
+      `A computed field can't have a "type", "asyncType", "default", "required", or "coerce" option.`
+    );
+  }
+
+  if ('enumerable' in recordSchemaValue && !('computed' in recordSchemaValue)) {
+    throw new RecordSchemaValidationError(`"enumerable" is only allowed for computed fields.`);
+  }
+
   // If it doesn't have a type AND a default, we're done.
   if (!('type' in recordSchemaValue) || !('default' in recordSchemaValue)) {
     return true;
@@ -345,8 +1624,7 @@ function conformsExistingKeys (source) {
 
 /**
  * Given a Schema value, returns true if the value contains enumerable keys other than
- *
- *    type, default, and required
+ * the SCHEMA_VALUE_KEYS.
  *
  * @param {Object} schemaValue
  * @return {boolean}
@@ -355,7 +1633,7 @@ function doesSchemaValueContainInvalidKeys (schemaValue) {
   return (
     _.difference(
       _.keys(schemaValue),
-      [ 'type', 'default', 'required' ]
+      SCHEMA_VALUE_KEYS
     ).length > 0
   );
 }
@@ -368,7 +1646,7 @@ function doesSchemaValueContainInvalidKeys (schemaValue) {
  * @param {*} value - the value to check
  * @return {boolean}
  */
-function isValidForType (type, value) {
+export function isValidForType (type, value) {
   switch (typeof type) {
     // If the definition has no type, every value is valid.
     //
@@ -379,24 +1657,64 @@ function isValidForType (type, value) {
     case 'undefined':
       return true;
 
-    // If type is a string, we just make sure 'typeof value' matches the type.
+    // If type is a string, it's either one of the NAMED_TYPES (and we test the value
+    // with the type's predicate) or we just make sure 'typeof value' matches the type.
     case 'string':
+      if (_.has(NAMED_TYPES, type)) {
+        return NAMED_TYPES[type](value);
+      }
+
       return typeof value === type;
 
-    // If type is a function (it's a validator function), we pass in value and
-    // return the result (coerced to a boolean).
-    case 'function':
-      return !!type(value);
+    // If type is a function, it's either a Record class or collection class (and the value
+    // must be an instance of it) or a validator function. For validator functions, we pass in
+    // the value and return the result (coerced to a boolean).
+    case 'function': {
+      if (isRecordClass(type) || isCollectionClass(type)) {
+        return value instanceof type;
+      }
+
+      const isValid = type(value);
+
+      // A Promise is always truthy, so async validators would always pass
+      if (isThenable(isValid)) {
+        throw new RecordSchemaValidationError(
+          `The validator "${describeType(type)}" returned a Promise. ` +
+          `Use the "asyncType" option for async validators.`
+        );
+      }
+
+      return !!isValid;
+    }
 
     default:
       throw new Error(`The type ${type} is not a valid type definition.`);
   }
 }
 
+/**
+ * Returns true if a value can be used as the "type" of a RecordSchema field: a type string,
+ * a Record class, or a validator function (of arity 1).
+ *
+ * @param {*} type
+ * @return {boolean}
+ */
+export function isValidType (type) {
+  return (
+    isTypeString(type) ||
+    isRecordClass(type) ||
+    isCollectionClass(type) ||
+    isValidatorFunction(type)
+  );
+}
+
 function isTypeString (typeString) {
   return (
     _.isString(typeString) &&
-    _.includes(TYPE_STRINGS, typeString.toLowerCase())
+    (
+      _.includes(TYPE_STRINGS, typeString.toLowerCase()) ||
+      _.has(NAMED_TYPES, typeString)
+    )
   )
 }
 
@@ -406,10 +1724,223 @@ function isValidatorFunction (validatorFunction) {
   )
 }
 
-function RecordSchemaValidationError (message) {
-  Error.call(this, message);
+/**
+ * Registers a Record class, so that it (and any subclass of it) can be used as a
+ * field type.
+ *
+ * @param {Function} Record
+ * @param {RecordSchema} schema - the Record's schema
+ */
+export function registerRecordClass (Record, schema) {
+  recordSchemas.set(Record.prototype, schema);
+}
+
+/**
+ * Returns true if a value is a Record class created by ImmutableRecord(), or
+ * a subclass of one.
+ *
+ * @param {*} type
+ * @return {boolean}
+ */
+export function isRecordClass (type) {
+  return _.isFunction(type) && isRecord(type.prototype);
+}
+
+/**
+ * Registers a collection class, so that it (and any subclass of it) can be used as a field
+ * type. Arrays (for Lists) and plain objects (for Maps) at fields of that type are used to
+ * construct an instance of the collection.
+ *
+ * @param {Function} Collection
+ * @param {Object} info
+ * @param {String} info.kind - LIST or MAP
+ * @param {String|Function} info.elementType - the type of the collection's elements
+ * @param {function(*): (Array|Object)} info.getContents - returns the elements of an instance
+ * @param {function((Array|Object)): *} info.fromContents - returns an instance with the
+ *    (already parsed) elements
+ */
+export function registerCollectionClass (Collection, info) {
+  collectionClasses.set(Collection.prototype, info);
+}
+
+/**
+ * Registers a lazy type: a validator function standing in for the type returned by
+ * `getType`, which is only called once the type is needed. This lets a Record's shape refer
+ * to a Record class that doesn't exist yet, like the Record itself.
+ *
+ * @param {Function} lazyType - a validator that validates values with the resolved type
+ * @param {function(): (String|Function)} getType
+ */
+export function registerLazyType (lazyType, getType) {
+  lazyTypes.set(lazyType, { getType, resolved: undefined });
+}
+
+/**
+ * Registers the functions that parse and convert values for a type created by a combinator
+ * (see types.js), so that Records and collections inside the value are constructed from
+ * plain objects and arrays:
+ *
+ *    parse(value) -> {value, errors}: like parseValueForType(). Only called for values that
+ *      aren't valid for the type as they are.
+ *    convert(value) -> value: like convertValueForType()
+ *
+ * `types` are the types the combinator was passed, which values of its type contain (see
+ * typeHasAsyncValidators()).
+ *
+ * @param {Function} validator
+ * @param {function(*): {value: *, errors: ValidationFailure[]}} parse
+ * @param {function(*): *} convert
+ * @param {Array<String|Function>} types
+ */
+export function registerTypeParser (validator, parse, convert, types) {
+  typeParsers.set(validator, { parse, convert, types });
+}
+
+/**
+ * Returns the type a lazy type stands for, calling its getType function the first time.
+ * Any other type is returned as is.
+ *
+ * Throws a RecordSchemaValidationError if getType doesn't return a valid type.
+ *
+ * @param {String|Function|undefined} type
+ * @return {String|Function|undefined}
+ */
+export function resolveType (type) {
+  if (!lazyTypes.has(type)) {
+    return type;
+  }
+
+  const lazyType = lazyTypes.get(type);
+
+  if (_.isUndefined(lazyType.resolved)) {
+    const resolved = lazyType.getType();
+
+    if (!isValidType(resolved)) {
+      throw new RecordSchemaValidationError(`A lazy type's function didn't return a valid type.`);
+    }
+
+    lazyType.resolved = resolved;
+  }
+
+  // Lazy types can resolve to other lazy types
+  return resolveType(lazyType.resolved);
+}
+
+/**
+ * Returns true if a value is a collection class passed to registerCollectionClass(), or
+ * a subclass of one.
+ *
+ * @param {*} type
+ * @return {boolean}
+ */
+export function isCollectionClass (type) {
+  return _.isFunction(type) && isCollection(type.prototype);
+}
+
+/**
+ * Returns true if a value is an instance of a collection class (or is a collection
+ * class's prototype).
+ *
+ * @param {*} value
+ * @return {boolean}
+ */
+export function isCollection (value) {
+  return !_.isUndefined(getCollectionInfo(value));
+}
+
+/**
+ * Given an instance of a collection class (or a collection class's prototype), returns
+ * the info the class was registered with. Returns undefined for anything else.
+ *
+ * @param {*} value
+ * @return {Object|undefined}
+ */
+export function getCollectionInfo (value) {
+  for (let proto = value; _.isObject(proto); proto = Object.getPrototypeOf(proto)) {
+    if (collectionClasses.has(proto)) {
+      return collectionClasses.get(proto);
+    }
+  }
+
+  return undefined;
+}
+
+/**
+ * Returns the elements of a collection: an array for Lists, a plain object for Maps.
+ *
+ * @param {*} collection
+ * @return {Array|Object}
+ */
+export function getCollectionContents (collection) {
+  return getCollectionInfo(collection).getContents(collection);
+}
+
+/**
+ * Returns true if a value is an instance of a Record class (or is a Record class's
+ * prototype).
+ *
+ * @param {*} value
+ * @return {boolean}
+ */
+export function isRecord (value) {
+  return !_.isUndefined(getRecordSchema(value));
+}
+
+/**
+ * Given an instance of a Record class (or a Record class's prototype), returns the
+ * Record's RecordSchema. Returns undefined for anything else.
+ *
+ * @param {*} value
+ * @return {RecordSchema|undefined}
+ */
+export function getRecordSchema (value) {
+  for (let proto = value; _.isObject(proto); proto = Object.getPrototypeOf(proto)) {
+    if (recordSchemas.has(proto)) {
+      return recordSchemas.get(proto);
+    }
+  }
+
+  return undefined;
+}
+
+/**
+ * Thrown when a Record input is invalid. `errors` contains every ValidationFailure
+ * found in the input.
+ *
+ * Like the failures' messages, the error's message is built when it's first read, since
+ * errors thrown by nested Records are re-created with longer paths (see
+ * prefixValidationError()).
+ *
+ * @param {ValidationFailure[]} errors
+ * @constructor
+ */
+export function RecordValidationError (errors) {
+  this.name = 'RecordValidationError';
+  defineLazyProperty(this, 'message', () => errors.map(_.property('message')).join('\n'));
+  this.errors = errors;
+
+  if (Error.captureStackTrace) {
+    Error.captureStackTrace(this, RecordValidationError);
+  }
+}
+RecordValidationError.prototype = Object.create(Error.prototype);
+RecordValidationError.prototype.constructor = RecordValidationError;
+
+/**
+ * Thrown when a RecordSchema (or another option of a Record class) is invalid.
+ *
+ * @param {String} message
+ * @constructor
+ */
+export function RecordSchemaValidationError (message) {
   this.name = 'RecordSchemaValidationError';
   this.message = message;
+
+  if (Error.captureStackTrace) {
+    Error.captureStackTrace(this, RecordSchemaValidationError);
+  }
 }
+RecordSchemaValidationError.prototype = Object.create(Error.prototype);
+RecordSchemaValidationError.prototype.constructor = RecordSchemaValidationError;
 
 export default RecordSchema;
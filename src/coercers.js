@@ -0,0 +1,105 @@
+import _ from 'lodash';
+
+/*
+ * Built-in functions for the "coerce" option of a RecordSchema field.
+ *
+ * Each coercer converts values (usually strings, e.g. from query params or environment
+ * variables) to a specific type. Values that can't be converted are returned as-is, so
+ * that validation fails with the original value.
+ *
+ * Coercers run every time a Record is constructed (including by set()), so every coercer
+ * returns values that are already of the right type unchanged.
+ */
+
+const TRUE_STRINGS = [ 'true', '1', 'yes', 'on' ];
+const FALSE_STRINGS = [ 'false', '0', 'no', 'off', '' ];
+
+/**
+ * Converts numeric strings to numbers.
+ *
+ * @param {*} value
+ * @return {*}
+ */
+export function number (value) {
+  if (!_.isString(value) || _.trim(value) === '') {
+    return value;
+  }
+
+  const converted = Number(value);
+  return _.isFinite(converted)
+    ? converted
+    : value;
+}
+
+/**
+ * Converts strings of integers to numbers.
+ *
+ * @param {*} value
+ * @return {*}
+ */
+export function integer (value) {
+  const converted = number(value);
+
+  return Number.isInteger(converted)
+    ? converted
+    : value;
+}
+
+/**
+ * Converts "true", "1", "yes" and "on" to true, "false", "0", "no", "off" and the empty
+ * string to false (ignoring case and surrounding whitespace), and the numbers 1 and 0 to
+ * true and false.
+ *
+ * @param {*} value
+ * @return {*}
+ */
+export function boolean (value) {
+  if (value === 1 || value === 0) {
+    return value === 1;
+  }
+
+  if (!_.isString(value)) {
+    return value;
+  }
+
+  const normalized = _.trim(value).toLowerCase();
+
+  if (_.includes(TRUE_STRINGS, normalized)) {
+    return true;
+  }
+
+  if (_.includes(FALSE_STRINGS, normalized)) {
+    return false;
+  }
+
+  return value;
+}
+
+/**
+ * Converts date strings and timestamps (in milliseconds) to Dates.
+ *
+ * @param {*} value
+ * @return {*}
+ */
+export function date (value) {
+  if (!_.isString(value) && !_.isFinite(value)) {
+    return value;
+  }
+
+  const converted = new Date(value);
+  return _.isNaN(converted.getTime())
+    ? value
+    : converted;
+}
+
+/**
+ * Removes whitespace from both ends of strings.
+ *
+ * @param {*} value
+ * @return {*}
+ */
+export function trimmedString (value) {
+  return _.isString(value)
+    ? _.trim(value)
+    : value;
+}
@@ -0,0 +1,623 @@
+import _ from 'lodash';
+import {
+  isValidType,
+  typeHasAsyncValidators,
+  describeType,
+  registerCollectionClass,
+  getCollectionInfo,
+  parseCollectionInput,
+  LIST,
+  MAP,
+  RecordValidationError,
+  RecordSchemaValidationError
+} from './RecordSchema';
+import { isValueEqual, hashValue } from './equality';
+import { toJS } from './convert';
+
+/*
+ * Typed immutable collections.
+ *
+ * listOf(type) and mapOf(type) (exposed as ImmutableRecord.List() and ImmutableRecord.Map())
+ * return a collection class whose elements are all valid according to `type`. Plain objects
+ * passed for Record class elements are used to construct an instance of the class, just like
+ * nested Records.
+ *
+ * Collections are immutable: every update returns a new collection that shares the
+ * unchanged elements with the original one. Collection classes can be used as a field type,
+ * in which case arrays (for Lists) and plain objects (for Maps) are used to construct an
+ * instance of the collection.
+ */
+
+// The elements of every collection: a frozen array for Lists, a frozen plain object for Maps
+const contents = new WeakMap();
+
+// The collection classes created for each element type, so that List(Person) always returns
+// the same class
+const listClasses = new Map();
+const mapClasses = new Map();
+
+/**
+ * Returns a List class whose elements are all valid according to `type`.
+ *
+ * @param {String|Function} type
+ * @return {Function}
+ */
+export function listOf (type) {
+  return getCollectionClass(LIST, type, listClasses, RecordList);
+}
+
+/**
+ * Returns a Map class (with string keys) whose values are all valid according to `type`.
+ *
+ * @param {String|Function} type
+ * @return {Function}
+ */
+export function mapOf (type) {
+  return getCollectionClass(MAP, type, mapClasses, RecordMap);
+}
+
+/**
+ * An immutable list. Create List classes with listOf().
+ */
+export class RecordList {
+  /**
+   * @param {Array|RecordList} [values]
+   */
+  constructor (values) {
+    initialize(this, _.isNil(values) ? [] : values);
+  }
+
+  /**
+   * The number of elements in this list.
+   * @type {Number}
+   */
+  get size () {
+    return contents.get(this).length;
+  }
+
+  /**
+   * Returns the element at an index, or notSetValue if there isn't one.
+   *
+   * @param {Number} index
+   * @param {*} [notSetValue]
+   * @return {*}
+   */
+  get (index, notSetValue) {
+    const elements = contents.get(this);
+
+    return _.has(elements, index)
+      ? elements[index]
+      : notSetValue;
+  }
+
+  /**
+   * Returns a new list with the element at an index replaced. An index equal to the size of
+   * the list appends the element. Throws if the index is out of bounds, or if the element
+   * is invalid.
+   *
+   * @param {Number} index
+   * @param {*} value
+   * @return {RecordList}
+   */
+  set (index, value) {
+    const elements = contents.get(this);
+
+    if (!Number.isInteger(index) || index < 0 || index > elements.length) {
+      throw new Error(`The index ${index} is out of bounds for a list of size ${elements.length}.`);
+    }
+
+    if (elements[index] === value) {
+      return this;
+    }
+
+    const nextElements = elements.slice();
+    nextElements[index] = value;
+
+    return withContents(this, nextElements);
+  }
+
+  /**
+   * Returns a new list with elements appended. Throws if any of the elements are invalid.
+   *
+   * @param {...*} values
+   * @return {RecordList}
+   */
+  push (...values) {
+    if (values.length === 0) {
+      return this;
+    }
+
+    return withContents(this, contents.get(this).concat(values));
+  }
+
+  /**
+   * Returns a new list without the element at an index.
+   *
+   * @param {Number} index
+   * @return {RecordList}
+   */
+  delete (index) {
+    const elements = contents.get(this);
+
+    if (!_.has(elements, index)) {
+      return this;
+    }
+
+    const nextElements = elements.slice();
+    nextElements.splice(index, 1);
+
+    return createCollection(getConstructor(this), nextElements);
+  }
+
+  /**
+   * Returns a new list with the element at an index replaced with the result of calling
+   * updater with the current element.
+   *
+   * @param {Number} index
+   * @param {function(*): *} updater
+   * @return {RecordList}
+   */
+  update (index, updater) {
+    return this.set(index, updater(this.get(index)));
+  }
+
+  /**
+   * Returns a new list with only the elements for which predicate returns truthy.
+   *
+   * @param {function(*, Number, RecordList): boolean} predicate
+   * @return {RecordList}
+   */
+  filter (predicate) {
+    const elements = contents.get(this);
+    const nextElements = elements.filter((element, index) => predicate(element, index, this));
+
+    return nextElements.length === elements.length
+      ? this
+      : createCollection(getConstructor(this), nextElements);
+  }
+
+  /**
+   * Returns an array of the results of calling mapper with each element. The results can
+   * be of any type, so they aren't put in a list.
+   *
+   * @param {function(*, Number, RecordList): *} mapper
+   * @return {Array}
+   */
+  map (mapper) {
+    return contents.get(this).map((element, index) => mapper(element, index, this));
+  }
+
+  /**
+   * @param {function(*, Number, RecordList)} iteratee
+   */
+  forEach (iteratee) {
+    contents.get(this).forEach((element, index) => iteratee(element, index, this));
+  }
+
+  /**
+   * @param {function(*, Number, RecordList): boolean} predicate
+   * @return {*}
+   */
+  find (predicate) {
+    return contents.get(this).find((element, index) => predicate(element, index, this));
+  }
+
+  /**
+   * @param {function(*, Number, RecordList): boolean} predicate
+   * @return {Number}
+   */
+  findIndex (predicate) {
+    return contents.get(this).findIndex((element, index) => predicate(element, index, this));
+  }
+
+  /**
+   * @param {function(*, Number, RecordList): boolean} predicate
+   * @return {boolean}
+   */
+  some (predicate) {
+    return contents.get(this).some((element, index) => predicate(element, index, this));
+  }
+
+  /**
+   * @param {function(*, Number, RecordList): boolean} predicate
+   * @return {boolean}
+   */
+  every (predicate) {
+    return contents.get(this).every((element, index) => predicate(element, index, this));
+  }
+
+  /**
+   * @param {function(*, *, Number, RecordList): *} reducer
+   * @param {*} initialValue
+   * @return {*}
+   */
+  reduce (reducer, initialValue) {
+    return contents.get(this).reduce(
+      (accumulator, element, index) => reducer(accumulator, element, index, this),
+      initialValue
+    );
+  }
+
+  /**
+   * Returns the index of the first element equal to `value` (according to isValueEqual()),
+   * or -1 if there isn't one.
+   *
+   * @param {*} value
+   * @return {Number}
+   */
+  indexOf (value) {
+    return _.findIndex(contents.get(this), element => isValueEqual(element, value));
+  }
+
+  /**
+   * Returns true if an element is equal to `value` (according to isValueEqual()).
+   *
+   * @param {*} value
+   * @return {boolean}
+   */
+  includes (value) {
+    return this.indexOf(value) !== -1;
+  }
+
+  /**
+   * Returns an array of this list's elements. The elements are not converted.
+   *
+   * @return {Array}
+   */
+  toArray () {
+    return contents.get(this).slice();
+  }
+
+  /**
+   * Returns an array of this list's elements, deeply converting any Records and collections
+   * to plain objects and arrays.
+   *
+   * @return {Array}
+   */
+  toJS () {
+    return toJS(contents.get(this));
+  }
+
+  /**
+   * Returns the JSON representation of this list. Used by JSON.stringify().
+   *
+   * @return {Array}
+   */
+  toJSON () {
+    return this.toArray();
+  }
+
+  [Symbol.iterator] () {
+    return contents.get(this)[Symbol.iterator]();
+  }
+}
+
+/**
+ * An immutable map with string keys. Create Map classes with mapOf().
+ */
+export class RecordMap {
+  /**
+   * @param {Object|RecordMap} [values]
+   */
+  constructor (values) {
+    initialize(this, _.isNil(values) ? {} : values);
+  }
+
+  /**
+   * The number of entries in this map.
+   * @type {Number}
+   */
+  get size () {
+    return Object.keys(contents.get(this)).length;
+  }
+
+  /**
+   * Returns the value at a key, or notSetValue if there isn't one.
+   *
+   * @param {String} key
+   * @param {*} [notSetValue]
+   * @return {*}
+   */
+  get (key, notSetValue) {
+    return this.has(key)
+      ? contents.get(this)[key]
+      : notSetValue;
+  }
+
+  /**
+   * Returns true if this map has a value at a key.
+   *
+   * @param {String} key
+   * @return {boolean}
+   */
+  has (key) {
+    return Object.prototype.hasOwnProperty.call(contents.get(this), key);
+  }
+
+  /**
+   * Returns a new map with the value at a key replaced. Throws if the value is invalid.
+   *
+   * @param {String} key
+   * @param {*} value
+   * @return {RecordMap}
+   */
+  set (key, value) {
+    const entries = contents.get(this);
+
+    if (this.has(key) && entries[key] === value) {
+      return this;
+    }
+
+    return withContents(this, _.assign({}, entries, { [key]: value }));
+  }
+
+  /**
+   * Returns a new map without the value at a key.
+   *
+   * @param {String} key
+   * @return {RecordMap}
+   */
+  delete (key) {
+    if (!this.has(key)) {
+      return this;
+    }
+
+    const nextEntries = _.assign({}, contents.get(this));
+    delete nextEntries[key];
+
+    return createCollection(getConstructor(this), nextEntries);
+  }
+
+  /**
+   * Returns a new map with the value at a key replaced with the result of calling updater
+   * with the current value.
+   *
+   * @param {String} key
+   * @param {function(*): *} updater
+   * @return {RecordMap}
+   */
+  update (key, updater) {
+    return this.set(key, updater(this.get(key)));
+  }
+
+  /**
+   * Returns a new map with only the entries for which predicate returns truthy.
+   *
+   * @param {function(*, String, RecordMap): boolean} predicate
+   * @return {RecordMap}
+   */
+  filter (predicate) {
+    const entries = contents.get(this);
+    const nextEntries = _.pickBy(entries, (value, key) => predicate(value, key, this));
+
+    return _.size(nextEntries) === _.size(entries)
+      ? this
+      : createCollection(getConstructor(this), nextEntries);
+  }
+
+  /**
+   * Returns a plain object with the results of calling mapper with each value. The results
+   * can be of any type, so they aren't put in a map.
+   *
+   * @param {function(*, String, RecordMap): *} mapper
+   * @return {Object}
+   */
+  map (mapper) {
+    return _.mapValues(contents.get(this), (value, key) => mapper(value, key, this));
+  }
+
+  /**
+   * @param {function(*, String, RecordMap)} iteratee
+   */
+  forEach (iteratee) {
+    _.forEach(contents.get(this), (value, key) => {
+      iteratee(value, key, this);
+    });
+  }
+
+  /**
+   * @return {String[]}
+   */
+  keys () {
+    return Object.keys(contents.get(this));
+  }
+
+  /**
+   * @return {Array}
+   */
+  values () {
+    return _.values(contents.get(this));
+  }
+
+  /**
+   * @return {Array[]} [ key, value ] pairs
+   */
+  entries () {
+    return _.toPairs(contents.get(this));
+  }
+
+  /**
+   * Returns a plain object with this map's entries. The values are not converted.
+   *
+   * @return {Object}
+   */
+  toObject () {
+    return _.assign({}, contents.get(this));
+  }
+
+  /**
+   * Returns a plain object with this map's entries, deeply converting any Records and
+   * collections to plain objects and arrays.
+   *
+   * @return {Object}
+   */
+  toJS () {
+    return toJS(contents.get(this));
+  }
+
+  /**
+   * Returns the JSON representation of this map. Used by JSON.stringify().
+   *
+   * @return {Object}
+   */
+  toJSON () {
+    return this.toObject();
+  }
+
+  [Symbol.iterator] () {
+    return this.entries()[Symbol.iterator]();
+  }
+}
+
+// Methods shared by both kinds of collection
+[ RecordList, RecordMap ].forEach(Collection => {
+  /**
+   * Returns true if `other` is an instance of the same collection class with deeply equal
+   * elements.
+   *
+   * @param {*} other
+   * @return {boolean}
+   */
+  Collection.prototype.equals = function (other) {
+    return isValueEqual(this, other);
+  };
+
+  /**
+   * Returns a 32-bit integer hash of this collection. Collections that are equal (according
+   * to equals()) have the same hash code.
+   *
+   * @return {Number}
+   */
+  Collection.prototype.hashCode = function () {
+    return hashValue(this);
+  };
+
+  function toString () {
+    return `${getConstructor(this).name} ${JSON.stringify(this)}`;
+  }
+
+  Collection.prototype.toString = toString;
+  Collection.prototype.inspect = toString;
+});
+
+/**
+ * Returns the collection class of a kind for an element type, creating and registering it
+ * the first time.
+ *
+ * @param {String} kind - LIST or MAP
+ * @param {String|Function} type
+ * @param {Map} cache - the classes already created for this kind
+ * @param {Function} Base - RecordList or RecordMap
+ * @return {Function}
+ */
+function getCollectionClass (kind, type, cache, Base) {
+  if (!isValidType(type)) {
+    throw new RecordSchemaValidationError(`${kind}() was passed an invalid type.`);
+  }
+
+  // Collections are constructed synchronously, so their elements can't be validated
+  // asynchronously. Lazy types can't be resolved yet: Records with async validators behind
+  // them fail to construct synchronously instead.
+  if (typeHasAsyncValidators(type, false)) {
+    throw new RecordSchemaValidationError(
+      `${kind}() can't be used with "${describeType(type)}", because it has async validators.`
+    );
+  }
+
+  if (cache.has(type)) {
+    return cache.get(type);
+  }
+
+  class Collection extends Base {}
+
+  Object.defineProperty(Collection, 'name', {
+    // Like the default Function.name configuration, except that the name is computed when
+    // it's read, since lazy types can't be described until they're resolved
+    enumerable: false,
+    configurable: true,
+    get: () => (
+      kind === LIST
+        ? `List<${describeType(type)}>`
+        : `Map<string, ${describeType(type)}>`
+    )
+  });
+
+  registerCollectionClass(Collection, {
+    kind,
+    elementType: type,
+    getContents: collection => contents.get(collection),
+    fromContents: elements => createCollection(Collection, elements)
+  });
+
+  cache.set(type, Collection);
+  return Collection;
+}
+
+/**
+ * Validates the input of a collection's constructor and stores the parsed elements. Throws
+ * a RecordValidationError if any element is invalid.
+ *
+ * @param {RecordList|RecordMap} collection
+ * @param {*} input
+ */
+function initialize (collection, input) {
+  const Collection = getConstructor(collection);
+
+  if (_.isUndefined(getCollectionInfo(collection))) {
+    throw new Error(
+      `${Collection.name} can't be constructed directly. ` +
+      `Create a collection class with ImmutableRecord.List() or ImmutableRecord.Map().`
+    );
+  }
+
+  // Instances of the same class have already been validated
+  if (input instanceof Collection) {
+    contents.set(collection, contents.get(input));
+    return;
+  }
+
+  const parsed = parseCollectionInput(Collection, input);
+
+  if (parsed.errors.length > 0) {
+    throw new RecordValidationError(parsed.errors);
+  }
+
+  contents.set(collection, Object.freeze(parsed.contents));
+}
+
+/**
+ * Returns a collection of the same class as `collection` with new elements, which are
+ * validated.
+ *
+ * @param {RecordList|RecordMap} collection
+ * @param {Array|Object} elements
+ * @return {RecordList|RecordMap}
+ */
+function withContents (collection, elements) {
+  const Collection = getConstructor(collection);
+  return new Collection(elements);
+}
+
+/**
+ * Returns an instance of a collection class with elements that are known to be valid,
+ * skipping validation.
+ *
+ * @param {Function} Collection
+ * @param {Array|Object} elements
+ * @return {RecordList|RecordMap}
+ */
+function createCollection (Collection, elements) {
+  const collection = Object.create(Collection.prototype);
+  contents.set(collection, Object.freeze(elements));
+  return collection;
+}
+
+/**
+ * Returns the class of a collection.
+ *
+ * @param {RecordList|RecordMap} collection
+ * @return {Function}
+ */
+function getConstructor (collection) {
+  return Object.getPrototypeOf(collection).constructor;
+}
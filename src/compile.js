@@ -0,0 +1,293 @@
+import _ from 'lodash';
+
+/*
+ * Compiles the fields of a RecordSchema into functions specialized for that schema, so that
+ * constructing a Record doesn't walk the shape or dispatch on the type of each field again.
+ *
+ * The functions are generated with new Function() where that's allowed. Where it isn't (e.g.
+ * under a Content Security Policy without 'unsafe-eval'), functions that loop over the
+ * fields are used instead. Both behave identically: they report the same failures, in the
+ * same order.
+ *
+ * Only indices and the results of typeof end up in generated code. Keys, types and
+ * defaults are read from the arrays the generated functions are created with.
+ */
+
+/**
+ * The kinds of field checks.
+ *    ANY: every value is valid
+ *    TYPEOF: valid values have a given typeof result
+ *    PREDICATE: valid values pass a predicate
+ *    PARSE: values are parsed by a function (e.g. to construct nested Records)
+ * @type {String}
+ */
+export const ANY = 'ANY';
+export const TYPEOF = 'TYPEOF';
+export const PREDICATE = 'PREDICATE';
+export const PARSE = 'PARSE';
+
+/**
+ * Possible string results of the typeof operator.
+ * @type {String[]}
+ */
+const TYPEOF_RESULTS = [
+  'object', 'string', 'number', 'bigint', 'symbol', 'boolean', 'function', 'undefined'
+];
+
+/**
+ * Keys that _.pick() never sets.
+ * @type {String[]}
+ */
+const UNPICKABLE_KEYS = [ '__proto__', 'constructor', 'prototype' ];
+
+// Whether new Function() is allowed. Checked on first use.
+let isCodeGenerationAllowed;
+
+/**
+ * A field of a RecordSchema, as compiled by compileFieldParser().
+ *
+ * @typedef {Object} FieldPlan
+ * @property {String} key
+ * @property {boolean} isRequired - if true, input missing the field is invalid
+ * @property {String} kind - ANY, TYPEOF, PREDICATE or PARSE
+ * @property {String} [typeOf] - for TYPEOF fields, the typeof result of valid values
+ * @property {function(*): boolean} [isValid] - for PREDICATE fields, tests values
+ * @property {function(*): *} [coerce] - for ANY, TYPEOF and PREDICATE fields, applied to
+ *    values before they're tested
+ * @property {function(*, ValidationFailure[]): *} [parse] - for PARSE fields, parses a
+ *    value, adds any failures to the array and returns the parsed value
+ * @property {function(*): ValidationFailure} invalid - returns the failure for an invalid value
+ * @property {function(Object): ValidationFailure} missing - returns the failure for input
+ *    that's missing the field
+ */
+
+/**
+ * Returns true if functions can be generated with new Function().
+ *
+ * @return {boolean}
+ */
+export function canGenerateCode () {
+  if (_.isUndefined(isCodeGenerationAllowed)) {
+    try {
+      isCodeGenerationAllowed = new Function('return true')() === true;
+    } catch (error) {
+      isCodeGenerationAllowed = false;
+    }
+  }
+
+  return isCodeGenerationAllowed;
+}
+
+/**
+ * Compiles a function that parses the fields of a Record's input:
+ *
+ *    parseFields(input, parsed, errors)
+ *
+ * For each field in `input`, the parsed value is set on `parsed`. Failures for invalid and
+ * missing fields are added to `errors`, in the order of `fields`.
+ *
+ * @param {FieldPlan[]} fields
+ * @param {boolean} [generateCode] - whether to use new Function(). Defaults to whether
+ *    it's allowed.
+ * @return {function(Object, Object, ValidationFailure[])}
+ */
+export function compileFieldParser (fields, generateCode = canGenerateCode()) {
+  return generateCode
+    ? generateFieldParser(fields)
+    : interpretFieldParser(fields);
+}
+
+function generateFieldParser (fields) {
+  const declarations = fields.map((field, index) => (
+    `var field${index} = fields[${index}], key${index} = field${index}.key;`
+  ));
+
+  const statements = fields.map((field, index) => {
+    const lines = [
+      `if (key${index} in input) {`,
+      `  value = input[key${index}];`
+    ];
+
+    if (field.kind === PARSE) {
+      lines.push(`  value = field${index}.parse(value, errors);`);
+    } else {
+      if (field.coerce) {
+        lines.push(`  value = field${index}.coerce(value);`);
+      }
+
+      const test = getGeneratedTest(field, index);
+      if (test) {
+        lines.push(`  if (${test}) errors.push(field${index}.invalid(value));`);
+      }
+    }
+
+    lines.push(`  parsed[key${index}] = value;`, `}`);
+
+    if (field.isRequired) {
+      lines.push(`else errors.push(field${index}.missing(input));`);
+    }
+
+    return lines.join('\n');
+  });
+
+  const source = declarations.concat([
+    `return function parseFields (input, parsed, errors) {`,
+    `var value;`,
+    statements.join('\n'),
+    `};`
+  ]).join('\n');
+
+  return new Function('fields', source)(fields);
+}
+
+// Returns an expression that's true if `value` is invalid for the field
+function getGeneratedTest (field, index) {
+  switch (field.kind) {
+    case TYPEOF:
+      if (!_.includes(TYPEOF_RESULTS, field.typeOf)) {
+        throw new Error(`${field.typeOf} is not a result of typeof.`);
+      }
+
+      return `typeof value !== "${field.typeOf}"`;
+
+    case PREDICATE:
+      return `!field${index}.isValid(value)`;
+
+    default:
+      return null;
+  }
+}
+
+function interpretFieldParser (fields) {
+  return function parseFields (input, parsed, errors) {
+    for (let index = 0; index < fields.length; index++) {
+      const field = fields[index];
+
+      if (!(field.key in input)) {
+        if (field.isRequired) {
+          errors.push(field.missing(input));
+        }
+
+        continue;
+      }
+
+      let value = input[field.key];
+
+      if (field.kind === PARSE) {
+        value = field.parse(value, errors);
+      } else {
+        if (field.coerce) {
+          value = field.coerce(value);
+        }
+
+        if (!isValidValue(field, value)) {
+          errors.push(field.invalid(value));
+        }
+      }
+
+      parsed[field.key] = value;
+    }
+  };
+}
+
+function isValidValue (field, value) {
+  switch (field.kind) {
+    case TYPEOF:
+      return typeof value === field.typeOf;
+
+    case PREDICATE:
+      return field.isValid(value);
+
+    default:
+      return true;
+  }
+}
+
+/**
+ * Compiles a function that returns the values of a Record, given its parsed input:
+ *
+ *    createValues(parsed) -> Object
+ *
+ * The values are the input's fields at `keys` (in order), with the defaults applied to the
+ * ones that are missing or undefined. This is equivalent to (but much faster than)
+ *
+ *    _.defaults(_.pick(parsed, keys), defaults)
+ *
+ * so, like _.pick(), it never copies UNPICKABLE_KEYS from the input.
+ *
+ * @param {String[]} keys
+ * @param {Array<Array>} defaults - [ key, default value ] pairs
+ * @param {boolean} [generateCode] - whether to use new Function(). Defaults to whether
+ *    it's allowed.
+ * @return {function(Object): Object}
+ */
+export function compileValuesBuilder (keys, defaults, generateCode = canGenerateCode()) {
+  const pickedKeys = _.difference(keys, UNPICKABLE_KEYS);
+
+  return generateCode
+    ? generateValuesBuilder(pickedKeys, defaults)
+    : interpretValuesBuilder(pickedKeys, defaults);
+}
+
+function generateValuesBuilder (keys, defaults) {
+  const declarations = [
+    `var objectProto = Object.prototype, hasOwn = objectProto.hasOwnProperty;`
+  ].concat(
+    keys.map((key, index) => `var key${index} = keys[${index}];`),
+    defaults.map((pair, index) => (
+      `var defaultKey${index} = defaults[${index}][0], defaultValue${index} = defaults[${index}][1];`
+    ))
+  );
+
+  const picks = keys.map((key, index) => (
+    `if (key${index} in parsed) values[key${index}] = parsed[key${index}];`
+  ));
+
+  const assignments = defaults.map((pair, index) => [
+    `value = values[defaultKey${index}];`,
+    `if (value === undefined || (eq(value, objectProto[defaultKey${index}]) && !hasOwn.call(values, defaultKey${index}))) {`,
+    `  values[defaultKey${index}] = defaultValue${index};`,
+    `}`
+  ].join('\n'));
+
+  const source = declarations.concat([
+    `return function createValues (parsed) {`,
+    `var values = {}, value;`,
+    picks.join('\n'),
+    assignments.join('\n'),
+    `return values;`,
+    `};`
+  ]).join('\n');
+
+  return new Function('keys', 'defaults', 'eq', source)(keys, defaults, _.eq);
+}
+
+function interpretValuesBuilder (keys, defaults) {
+  return function createValues (parsed) {
+    const values = {};
+
+    keys.forEach(key => {
+      if (key in parsed) {
+        values[key] = parsed[key];
+      }
+    });
+
+    defaults.forEach(([ key, defaultValue ]) => {
+      if (isMissingValue(values, key)) {
+        values[key] = defaultValue;
+      }
+    });
+
+    return values;
+  };
+}
+
+// Same as the check _.defaults() uses
+function isMissingValue (values, key) {
+  const value = values[key];
+
+  return (
+    _.isUndefined(value) ||
+    (_.eq(value, Object.prototype[key]) && !Object.prototype.hasOwnProperty.call(values, key))
+  );
+}
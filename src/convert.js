@@ -0,0 +1,36 @@
+import _ from 'lodash';
+import { isRecord, isCollection, getCollectionContents } from './RecordSchema';
+
+/**
+ * Deeply converts any Records and collections within a value (including those in arrays,
+ * plain objects and Maps) to plain objects and arrays.
+ *
+ * @param {*} value
+ * @return {*}
+ */
+export function toJS (value) {
+  // Look the method up on the prototype, in case a field is named "toJS"
+  if (isRecord(value)) {
+    return Object.getPrototypeOf(value).toJS.call(value);
+  }
+
+  if (isCollection(value)) {
+    return toJS(getCollectionContents(value));
+  }
+
+  if (_.isArray(value)) {
+    return value.map(toJS);
+  }
+
+  if (_.isMap(value)) {
+    return new Map(
+      Array.from(value, ([ key, mapValue ]) => [ key, toJS(mapValue) ])
+    );
+  }
+
+  if (_.isPlainObject(value)) {
+    return _.mapValues(value, toJS);
+  }
+
+  return value;
+}
@@ -0,0 +1,144 @@
+import _ from 'lodash';
+import { isRecord, getRecordSchema } from './RecordSchema';
+import { isValueEqual } from './equality';
+
+/**
+ * The kinds of changes returned by diffRecords().
+ * @type {String}
+ */
+export const CHANGED = 'changed';
+export const ADDED = 'added';
+export const REMOVED = 'removed';
+
+/**
+ * A single difference between two Records.
+ *
+ * @typedef {Object} Change
+ * @property {String} kind - one of CHANGED, ADDED or REMOVED
+ * @property {Array} path - path to the field that changed
+ * @property {*} oldValue - the value in the original Record (undefined for added fields)
+ * @property {*} newValue - the value in the other Record (undefined for removed fields)
+ */
+
+/**
+ * Returns every difference between two Records of the same class, in the order of the
+ * Records' fields. Computed fields are ignored, since they only change along with the
+ * fields they're computed from.
+ *
+ * Nested Records of the same class are compared field by field, so their changes have
+ * longer paths. Every other value (including arrays and plain objects) is compared as a
+ * whole, using isValueEqual().
+ *
+ * @param {Record} record
+ * @param {Record} other
+ * @return {Change[]}
+ */
+export function diffRecords (record, other) {
+  return diffFields(record, other, []);
+}
+
+/**
+ * Returns the differences between two Records of the same class, whose paths start with
+ * `path`.
+ *
+ * @param {Record} record
+ * @param {Record} other
+ * @param {Array} path
+ * @return {Change[]}
+ */
+function diffFields (record, other, path) {
+  const schema = getRecordSchema(record);
+  const keys = _.reject(_.keys(schema.getShape()), key => schema.isComputed(key));
+
+  return _.flatMap(keys, key => {
+    const fieldPath = path.concat(key);
+    const hasOldValue = _.has(record, key);
+    const hasNewValue = _.has(other, key);
+
+    if (!hasOldValue && !hasNewValue) {
+      return [];
+    }
+
+    if (!hasNewValue) {
+      return [ createChange(REMOVED, fieldPath, record[key], undefined) ];
+    }
+
+    if (!hasOldValue) {
+      return [ createChange(ADDED, fieldPath, undefined, other[key]) ];
+    }
+
+    const oldValue = record[key];
+    const newValue = other[key];
+
+    if (isValueEqual(oldValue, newValue)) {
+      return [];
+    }
+
+    if (isSameRecordClass(oldValue, newValue)) {
+      return diffFields(oldValue, newValue, fieldPath);
+    }
+
+    return [ createChange(CHANGED, fieldPath, oldValue, newValue) ];
+  });
+}
+
+/**
+ * Returns a Change.
+ *
+ * @param {String} kind
+ * @param {Array} path
+ * @param {*} oldValue
+ * @param {*} newValue
+ * @return {Change}
+ */
+function createChange (kind, path, oldValue, newValue) {
+  return { kind, path, oldValue, newValue };
+}
+
+/**
+ * Returns true if both values are instances of the exact same Record class.
+ *
+ * @param {*} value
+ * @param {*} other
+ * @return {boolean}
+ */
+export function isSameRecordClass (value, other) {
+  return (
+    isRecord(value) &&
+    isRecord(other) &&
+    Object.getPrototypeOf(value).constructor === Object.getPrototypeOf(other).constructor
+  );
+}
+
+/**
+ * Returns the JSON pointer (RFC 6901) for a path, e.g. "/address/zip".
+ *
+ * @param {Array} path
+ * @return {String}
+ */
+export function toJSONPointer (path) {
+  return path
+    .map(key => `/${String(key).replace(/~/g, '~0').replace(/\//g, '~1')}`)
+    .join('');
+}
+
+/**
+ * Returns the path for a JSON pointer (RFC 6901). Throws if the pointer is invalid.
+ *
+ * @param {String} pointer
+ * @return {String[]}
+ */
+export function parseJSONPointer (pointer) {
+  if (pointer === '') {
+    return [];
+  }
+
+  if (!_.isString(pointer) || pointer[0] !== '/') {
+    throw new Error(`${JSON.stringify(pointer)} is not a valid JSON pointer.`);
+  }
+
+  return pointer
+    .slice(1)
+    .split('/')
+    .map(key => key.replace(/~1/g, '/').replace(/~0/g, '~'));
+}
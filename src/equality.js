@@ -0,0 +1,220 @@
+import _ from 'lodash';
+import { isRecord, isCollection, getCollectionContents } from './RecordSchema';
+
+// Hash codes are cached per Record and collection instance, since they're immutable
+const recordHashCodes = new WeakMap();
+
+/**
+ * Returns true if two values are deeply equal.
+ *
+ * Records are equal if they are instances of the same Record class and their field
+ * values are deeply equal, and collections (see ImmutableRecord.List() and
+ * ImmutableRecord.Map()) are equal if they are instances of the same class and their
+ * elements are deeply equal. Everything else is compared like lodash's _.isEqual (so Dates,
+ * Maps, Sets, arrays and plain objects are compared by value).
+ *
+ * @param {*} value
+ * @param {*} other
+ * @return {boolean}
+ */
+export function isValueEqual (value, other) {
+  return _.isEqualWith(value, other, compareImmutableValues);
+}
+
+/**
+ * Customizer for _.isEqualWith that compares Records and collections. Returns undefined
+ * (so lodash handles the comparison) for everything else.
+ *
+ * @param {*} value
+ * @param {*} other
+ * @return {boolean|undefined}
+ */
+function compareImmutableValues (value, other) {
+  if (isCollection(value) || isCollection(other)) {
+    return compareCollections(value, other);
+  }
+
+  return compareRecords(value, other);
+}
+
+/**
+ * Compares two values, at least one of which is a collection.
+ *
+ * @param {*} value
+ * @param {*} other
+ * @return {boolean}
+ */
+function compareCollections (value, other) {
+  if (value === other) {
+    return true;
+  }
+
+  return (
+    isCollection(value) &&
+    isCollection(other) &&
+    getConstructor(value) === getConstructor(other) &&
+    isValueEqual(getCollectionContents(value), getCollectionContents(other))
+  );
+}
+
+/**
+ * Customizer for _.isEqualWith that compares Records. Returns undefined (so lodash
+ * handles the comparison) if neither value is a Record.
+ *
+ * @param {*} value
+ * @param {*} other
+ * @return {boolean|undefined}
+ */
+function compareRecords (value, other) {
+  if (!isRecord(value) && !isRecord(other)) {
+    return undefined;
+  }
+
+  if (value === other) {
+    return true;
+  }
+
+  if (!isRecord(value) || !isRecord(other) || getConstructor(value) !== getConstructor(other)) {
+    return false;
+  }
+
+  const keys = Object.keys(value);
+
+  return (
+    keys.length === Object.keys(other).length &&
+    _.every(
+      keys,
+      key => _.has(other, key) && isValueEqual(value[key], other[key])
+    )
+  );
+}
+
+/**
+ * Returns a 32-bit integer hash of a value. Values that are equal according to
+ * isValueEqual() always have the same hash.
+ *
+ * Hashes of Records and collections are cached, so values nested inside them shouldn't be
+ * mutated.
+ *
+ * @param {*} value
+ * @return {Number}
+ */
+export function hashValue (value) {
+  if (!isRecord(value) && !isCollection(value)) {
+    return hashUncachedValue(value);
+  }
+
+  if (!recordHashCodes.has(value)) {
+    recordHashCodes.set(value, hashUncachedValue(value));
+  }
+
+  return recordHashCodes.get(value);
+}
+
+/**
+ * Computes the hash of a value. See hashValue().
+ *
+ * @param {*} value
+ * @return {Number}
+ */
+function hashUncachedValue (value) {
+  if (isRecord(value)) {
+    return combineHashes(
+      hashString(`record:${getConstructor(value).name}`),
+      hashEntries(_.toPairs(value))
+    );
+  }
+
+  if (isCollection(value)) {
+    return combineHashes(
+      hashString(`collection:${getConstructor(value).name}`),
+      hashValue(getCollectionContents(value))
+    );
+  }
+
+  if (_.isArray(value)) {
+    return _.reduce(
+      value,
+      (hash, element) => combineHashes(hash, hashValue(element)),
+      hashString('array')
+    );
+  }
+
+  if (_.isDate(value)) {
+    return hashString(`date:${value.getTime()}`);
+  }
+
+  if (_.isMap(value)) {
+    return combineHashes(hashString('map'), hashEntries(Array.from(value)));
+  }
+
+  if (_.isSet(value)) {
+    return combineHashes(
+      hashString('set'),
+      _.reduce(Array.from(value), (hash, element) => (hash + hashValue(element)) | 0, 0)
+    );
+  }
+
+  // Functions are only equal to themselves, so any hash will do.
+  if (_.isFunction(value)) {
+    return 0;
+  }
+
+  if (_.isObject(value)) {
+    return combineHashes(hashString('object'), hashEntries(_.toPairs(value)));
+  }
+
+  return hashString(`${typeof value}:${String(value)}`);
+}
+
+/**
+ * Hashes a list of [ key, value ] pairs without respect to their order.
+ *
+ * @param {Array[]} entries
+ * @return {Number}
+ */
+function hashEntries (entries) {
+  return _.reduce(
+    entries,
+    (hash, [ key, value ]) => (hash + combineHashes(hashValue(key), hashValue(value))) | 0,
+    0
+  );
+}
+
+/**
+ * Combines two hashes, respecting their order.
+ *
+ * @param {Number} hash
+ * @param {Number} other
+ * @return {Number}
+ */
+function combineHashes (hash, other) {
+  return (Math.imul(hash, 31) + other) | 0;
+}
+
+/**
+ * Returns a 32-bit integer hash of a string.
+ *
+ * @param {String} string
+ * @return {Number}
+ */
+function hashString (string) {
+  let hash = 0;
+
+  for (let i = 0; i < string.length; i++) {
+    hash = combineHashes(hash, string.charCodeAt(i));
+  }
+
+  return hash;
+}
+
+/**
+ * Returns the constructor of a Record or collection instance. Records and collections are
+ * only equal to instances of the exact same class.
+ *
+ * @param {Record|RecordList|RecordMap} value
+ * @return {Function}
+ */
+function getConstructor (value) {
+  return Object.getPrototypeOf(value).constructor;
+}
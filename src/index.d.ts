@@ -0,0 +1,541 @@
+// Type definitions for immutable-record
+//
+// The field types of a Record are inferred from its shape:
+//
+//   const Person = ImmutableRecord({
+//     name: { type: 'string', required: true },
+//     age: { type: 'number' }
+//   })
+//
+//   new Person({ name: 'Bill' }).age // number | undefined
+
+export = ImmutableRecord;
+
+// Only used in types: the input type of a combinator's values (see Combinator)
+declare const combinatorInput: unique symbol;
+
+/**
+ * Returns a Record class based on the shape supplied to this function.
+ */
+declare function ImmutableRecord<S extends ImmutableRecord.Shape> (
+  shape: S,
+  options?: string | ImmutableRecord.RecordOptions<S>
+): ImmutableRecord.RecordClass<S>;
+
+declare namespace ImmutableRecord {
+  /**
+   * The values of each type string.
+   */
+  interface TypeStrings {
+    object: object | null;
+    string: string;
+    number: number;
+    bigint: bigint;
+    symbol: symbol;
+    boolean: boolean;
+    function: (...args: any[]) => any;
+    undefined: undefined;
+
+    array: any[];
+    null: null;
+    integer: number;
+    finite: number;
+    date: Date;
+    regexp: RegExp;
+    map: Map<any, any>;
+    set: Set<any>;
+    plainObject: { [key: string]: any };
+  }
+
+  type TypeString = keyof TypeStrings;
+
+  /**
+   * A validator function. Validators that are type guards (like the type combinators)
+   * determine the type of the field.
+   */
+  type Validator<T = any> = ((value: any) => value is T) | ((value: any) => boolean);
+
+  /**
+   * A validator created by a type combinator for values of type T. Plain objects can be passed
+   * in place of the Records (and arrays in place of the Lists) inside its values, so its
+   * input has type I.
+   */
+  type Combinator<T, I = T> = ((value: any) => value is T) & { readonly [combinatorInput]: I };
+
+  /**
+   * Anything that can be used as the "type" of a field.
+   */
+  type FieldType = TypeString | AnyRecordClass | ListClass | MapClass | Validator;
+
+  /**
+   * The options of a single field.
+   */
+  interface SchemaValue {
+    type?: FieldType;
+    asyncType?: (value: any) => boolean | PromiseLike<boolean>;
+    default?: any;
+    required?: boolean;
+    coerce?: (value: any) => any;
+    serialize?: (value: any, key: string) => any;
+    computed?: (record: any) => any;
+    enumerable?: boolean;
+    jsonSchema?: JSONSchema;
+    message?: string | ((value: any, key: string) => string);
+  }
+
+  /**
+   * The fields of a Record, by name.
+   */
+  interface Shape {
+    [key: string]: SchemaValue | null | undefined;
+  }
+
+  /**
+   * The type of the values that are valid for a "type".
+   */
+  type TypeOf<T> =
+    T extends TypeString ? TypeStrings[T] :
+    T extends ListClass<infer V, infer I> ? RecordList<V, I> :
+    T extends MapClass<infer V, infer I> ? RecordMap<V, I> :
+    T extends RecordClass<infer S> ? Record<S> :
+    T extends (value: any) => value is infer R ? R :
+    any;
+
+  /**
+   * A problem reported by a record-level validator: a message, or a message for a specific
+   * field.
+   */
+  type RecordProblem = string | { path?: string | Array<string | number>, message?: string };
+
+  /**
+   * A record-level validator. Returns false, a problem or an array of problems when the
+   * values are invalid.
+   */
+  type RecordValidator<S extends Shape> = (
+    values: Values<S>
+  ) => boolean | RecordProblem | RecordProblem[] | void;
+
+  /**
+   * A record-level validator that returns a Promise of what a RecordValidator returns.
+   */
+  type AsyncRecordValidator<S extends Shape> = (
+    values: Values<S>
+  ) => PromiseLike<boolean | RecordProblem | RecordProblem[] | void>;
+
+  /**
+   * Upgrades the values of a payload to the next version.
+   */
+  type Migration = (values: { [key: string]: any }) => { [key: string]: any };
+
+  /**
+   * What constructing a Record does with invalid input: throw a RecordValidationError, log it
+   * and construct the Record anyway, or skip validation.
+   */
+  type ValidationMode = 'throw' | 'warn' | 'off';
+
+  /**
+   * The options ImmutableRecord() accepts in place of a name.
+   */
+  interface RecordOptions<S extends Shape> {
+    name?: string;
+    validate?: RecordValidator<S> | Array<RecordValidator<S>>;
+    validateAsync?: AsyncRecordValidator<S> | Array<AsyncRecordValidator<S>>;
+    version?: number;
+    migrations?: { [toVersion: number]: Migration };
+    validationMode?: ValidationMode;
+  }
+
+  /**
+   * The type of a field, ignoring whether it can be missing.
+   */
+  type FieldValue<V> =
+    V extends { computed: (record: any) => infer R } ? R :
+    V extends { type: infer T } ? TypeOf<T> :
+    any;
+
+  /**
+   * Keys of fields that always have a value: required fields, fields with a default and
+   * computed fields.
+   */
+  type PresentKeys<S extends Shape> = {
+    [K in keyof S]: S[K] extends { required: true } | { default: {} | null } | { computed: Function }
+      ? K
+      : never
+  }[keyof S];
+
+  /**
+   * Keys of fields that aren't computed, which can be set and removed.
+   */
+  type WritableKeys<S extends Shape> = {
+    [K in keyof S]: S[K] extends { computed: Function } ? never : K
+  }[keyof S] & string;
+
+  /**
+   * Keys of fields that must be in a Record's input.
+   */
+  type RequiredInputKeys<S extends Shape> = {
+    [K in WritableKeys<S>]: S[K] extends { required: true }
+      ? S[K] extends { default: {} | null } ? never : K
+      : never
+  }[WritableKeys<S>];
+
+  /**
+   * The values of a Record's fields.
+   */
+  type Values<S extends Shape> = {
+    readonly [K in keyof S]: K extends PresentKeys<S>
+      ? FieldValue<S[K]>
+      : FieldValue<S[K]> | undefined
+  };
+
+  /**
+   * The values that can be passed for a "type". Records can be passed as plain objects, Lists
+   * as arrays and Maps as plain objects.
+   */
+  type InputOf<T> =
+    T extends ListClass<infer V, infer I> ? RecordList<V, I> | Array<V | I> :
+    T extends MapClass<infer V, infer I> ? RecordMap<V, I> | { [key: string]: V | I } :
+    T extends RecordClass<infer S> ? Record<S> | Input<S> :
+    T extends Combinator<infer V, infer I> ? V | I :
+    TypeOf<T>;
+
+  /**
+   * The values that can be passed for a field. Fields with a coercer accept anything.
+   */
+  type FieldInput<V> =
+    V extends { coerce: Function } ? any :
+    V extends { type: infer T } ? InputOf<T> :
+    FieldValue<V>;
+
+  /**
+   * The input of a Record's constructor.
+   */
+  type Input<S extends Shape> =
+    { [K in RequiredInputKeys<S>]: FieldInput<S[K]> } &
+    { [K in Exclude<WritableKeys<S>, RequiredInputKeys<S>>]?: FieldInput<S[K]> | undefined };
+
+  /**
+   * The shape of Record.partial(): every field is optional and has no default.
+   */
+  type PartialShape<S extends Shape> = {
+    [K in keyof S]: S[K] extends SchemaValue ? Omit<S[K], 'required' | 'default'> : S[K]
+  };
+
+  /**
+   * A path into nested Records, Lists, Maps, arrays and plain objects: an array of keys, or a
+   * dotted string such as "address.zip".
+   */
+  type KeyPath = string | Array<string | number>;
+
+  /**
+   * The functions of every Record instance.
+   */
+  interface RecordMethods<S extends Shape> {
+    set<K extends WritableKeys<S>> (property: K, newValue: FieldInput<S[K]>): this;
+    setAsync<K extends WritableKeys<S>> (property: K, newValue: FieldInput<S[K]>): Promise<this>;
+    remove (property: WritableKeys<S>): this;
+    merge (partial: Partial<Input<S>>): this;
+    update<K extends WritableKeys<S>> (
+      property: K,
+      updater: (value: Values<S>[K]) => FieldInput<S[K]>
+    ): this;
+    withMutations (mutator: (draft: RecordDraft<S>) => void): this;
+
+    getIn (path: KeyPath, notSetValue?: any): any;
+    setIn (path: KeyPath, newValue: any): this;
+    updateIn (path: KeyPath, updater: (value: any) => any): this;
+    removeIn (path: KeyPath): this;
+
+    equals (other: any): boolean;
+    hashCode (): number;
+
+    diff (other: this): Change[];
+    toJSONPatch (other: this): JSONPatchOperation[];
+    applyPatch (operations: JSONPatchOperation[]): this;
+
+    toObject (): Values<S>;
+    toJS (): { [key: string]: any };
+    toJSON (): { [key: string]: any };
+    toString (): string;
+  }
+
+  /**
+   * A single difference between two Records, returned by Record#diff().
+   */
+  interface Change {
+    kind: 'changed' | 'added' | 'removed';
+    path: string[];
+    oldValue: any;
+    newValue: any;
+  }
+
+  /**
+   * A JSON Patch (RFC 6902) operation.
+   */
+  type JSONPatchOperation =
+    | { op: 'add' | 'replace' | 'test', path: string, value: any }
+    | { op: 'remove', path: string }
+    | { op: 'move' | 'copy', from: string, path: string };
+
+  /**
+   * An instance of a Record class.
+   */
+  type Record<S extends Shape> = Values<S> & RecordMethods<S>;
+
+  /**
+   * The mutable draft passed to Record#withMutations().
+   */
+  interface RecordDraft<S extends Shape> {
+    get<K extends keyof S> (property: K, notSetValue?: any): Values<S>[K];
+    set<K extends WritableKeys<S>> (property: K, newValue: FieldInput<S[K]>): this;
+    remove (property: WritableKeys<S>): this;
+    update<K extends WritableKeys<S>> (
+      property: K,
+      updater: (value: Values<S>[K]) => FieldInput<S[K]>
+    ): this;
+    merge (partial: Partial<Input<S>>): this;
+  }
+
+  /**
+   * A Record class.
+   */
+  interface RecordClass<S extends Shape> {
+    new (values?: Input<S>): Record<S>;
+    readonly prototype: Record<S>;
+    readonly name: string;
+
+    validate (input: any): ValidationResult;
+    tryCreate (input: any): TryCreateResult<Record<S>>;
+    validateAsync (input: any): Promise<ValidationResult>;
+    createAsync (input?: Input<S>): Promise<Record<S>>;
+    toJSONSchema (): JSONSchema;
+
+    readonly version: number | undefined;
+    migrate (payload: { [key: string]: any }): { [key: string]: any };
+    fromVersioned (payload: { [key: string]: any }): Record<S>;
+
+    extend<M extends Shape> (
+      moreShape: M,
+      options?: string | RecordOptions<Omit<S, keyof M> & M>
+    ): RecordClass<Omit<S, keyof M> & M>;
+    pick<K extends keyof S & string> (keys: K[], name?: string): RecordClass<Pick<S, K>>;
+    omit<K extends keyof S & string> (keys: K[], name?: string): RecordClass<Omit<S, K>>;
+    partial (name?: string): RecordClass<PartialShape<S>>;
+  }
+
+  type AnyRecordClass = RecordClass<any>;
+
+  /**
+   * An immutable list whose elements are of type V. Elements can be passed as V or I.
+   */
+  class RecordList<V = any, I = V> implements Iterable<V> {
+    protected constructor ();
+
+    readonly size: number;
+
+    get (index: number): V | undefined;
+    get<N> (index: number, notSetValue: N): V | N;
+    set (index: number, value: V | I): this;
+    push (...values: Array<V | I>): this;
+    delete (index: number): this;
+    update (index: number, updater: (value: V | undefined) => V | I): this;
+    filter (predicate: (value: V, index: number, list: this) => any): this;
+
+    map<R> (mapper: (value: V, index: number, list: this) => R): R[];
+    forEach (iteratee: (value: V, index: number, list: this) => any): void;
+    find (predicate: (value: V, index: number, list: this) => any): V | undefined;
+    findIndex (predicate: (value: V, index: number, list: this) => any): number;
+    some (predicate: (value: V, index: number, list: this) => any): boolean;
+    every (predicate: (value: V, index: number, list: this) => any): boolean;
+    reduce<R> (
+      reducer: (accumulator: R, value: V, index: number, list: this) => R,
+      initialValue: R
+    ): R;
+    indexOf (value: any): number;
+    includes (value: any): boolean;
+
+    equals (other: any): boolean;
+    hashCode (): number;
+
+    toArray (): V[];
+    toJS (): any[];
+    toJSON (): V[];
+    toString (): string;
+    [Symbol.iterator] (): Iterator<V>;
+  }
+
+  /**
+   * An immutable map with string keys whose values are of type V. Values can be passed as V
+   * or I.
+   */
+  class RecordMap<V = any, I = V> implements Iterable<[ string, V ]> {
+    protected constructor ();
+
+    readonly size: number;
+
+    get (key: string): V | undefined;
+    get<N> (key: string, notSetValue: N): V | N;
+    has (key: string): boolean;
+    set (key: string, value: V | I): this;
+    delete (key: string): this;
+    update (key: string, updater: (value: V | undefined) => V | I): this;
+    filter (predicate: (value: V, key: string, map: this) => any): this;
+
+    map<R> (mapper: (value: V, key: string, map: this) => R): { [key: string]: R };
+    forEach (iteratee: (value: V, key: string, map: this) => any): void;
+    keys (): string[];
+    values (): V[];
+    entries (): Array<[ string, V ]>;
+
+    equals (other: any): boolean;
+    hashCode (): number;
+
+    toObject (): { [key: string]: V };
+    toJS (): { [key: string]: any };
+    toJSON (): { [key: string]: V };
+    toString (): string;
+    [Symbol.iterator] (): Iterator<[ string, V ]>;
+  }
+
+  /**
+   * A List class, returned by ImmutableRecord.List().
+   */
+  interface ListClass<V = any, I = V> {
+    new (values?: Array<V | I> | RecordList<V, I> | null): RecordList<V, I>;
+    readonly prototype: RecordList<V, I>;
+    readonly name: string;
+  }
+
+  /**
+   * A Map class, returned by ImmutableRecord.Map().
+   */
+  interface MapClass<V = any, I = V> {
+    new (values?: { [key: string]: V | I } | RecordMap<V, I> | null): RecordMap<V, I>;
+    readonly prototype: RecordMap<V, I>;
+    readonly name: string;
+  }
+
+  /**
+   * Returns a List class whose elements are of a type.
+   */
+  function List<T extends FieldType> (type: T): ListClass<TypeOf<T>, InputOf<T>>;
+
+  /**
+   * Returns a Map class (with string keys) whose values are of a type.
+   */
+  function Map<T extends FieldType> (type: T): MapClass<TypeOf<T>, InputOf<T>>;
+
+  /**
+   * A single validation failure.
+   */
+  interface ValidationFailure {
+    path: Array<string | number>;
+    value: any;
+    expected: string;
+    code:
+      'REQUIRED' | 'INVALID_TYPE' | 'INVALID_INPUT' | 'INVALID_RECORD' |
+      'ASYNC_VALIDATION_REQUIRED';
+    message: string;
+  }
+
+  /**
+   * What an error formatter (see setErrorFormatter()) is called with.
+   */
+  interface FormattableFailure {
+    key: string;
+    path: Array<string | number>;
+    value: any;
+    expected: string;
+    reason: ValidationFailure['code'];
+  }
+
+  interface ValidationResult {
+    valid: boolean;
+    errors: ValidationFailure[];
+  }
+
+  type TryCreateResult<R> =
+    | { valid: true, record: R, errors: ValidationFailure[] }
+    | { valid: false, record: undefined, errors: ValidationFailure[] };
+
+  /**
+   * A JSON Schema document or subschema.
+   */
+  interface JSONSchema {
+    [keyword: string]: any;
+  }
+
+  /**
+   * Thrown when a Record's input is invalid.
+   */
+  class RecordValidationError extends Error {
+    constructor (errors: ValidationFailure[]);
+    errors: ValidationFailure[];
+  }
+
+  /**
+   * Thrown when a Record's shape is invalid.
+   */
+  class RecordSchemaValidationError extends Error {
+    constructor (message: string);
+  }
+
+  /**
+   * Returns a Record class built from a JSON Schema document that describes an object.
+   * The types of the fields can't be inferred.
+   */
+  function fromJSONSchema (document: JSONSchema, name?: string): RecordClass<Shape>;
+
+  /**
+   * Sets the validation mode of every Record class without a "validationMode" option.
+   * Passing undefined restores the default ("off" in production, "throw" otherwise).
+   */
+  function setValidationMode (mode?: ValidationMode): void;
+
+  /**
+   * Sets the function that's called with validation errors in the "warn" mode. Passing
+   * undefined restores the default, which uses console.warn().
+   */
+  function setLogger (logger?: (error: RecordValidationError) => void): void;
+
+  /**
+   * Sets the function that formats the message of every validation failure without a custom
+   * message. Returning undefined keeps the default message. Passing undefined removes the
+   * formatter.
+   */
+  function setErrorFormatter (formatter?: (failure: FormattableFailure) => string | undefined): void;
+
+  /**
+   * Built-in functions for the "coerce" option.
+   */
+  namespace coercers {
+    function number (value: any): any;
+    function integer (value: any): any;
+    function boolean (value: any): any;
+    function date (value: any): any;
+    function trimmedString (value: any): any;
+  }
+
+  /**
+   * Type combinators for the "type" option.
+   */
+  namespace types {
+    function arrayOf<T extends FieldType> (type: T): Combinator<Array<TypeOf<T>>, Array<InputOf<T>>>;
+    function objectOf<T extends FieldType> (
+      type: T
+    ): Combinator<{ [key: string]: TypeOf<T> }, { [key: string]: InputOf<T> }>;
+    function oneOf<T extends FieldType> (types: T[]): Combinator<TypeOf<T>, InputOf<T>>;
+    function union<T extends FieldType[]> (
+      ...types: T
+    ): Combinator<TypeOf<T[number]>, InputOf<T[number]>>;
+    function nullable<T extends FieldType> (type: T): Combinator<TypeOf<T> | null, InputOf<T> | null>;
+    function shape<T extends { [key: string]: FieldType }> (
+      shapeTypes: T
+    ): Combinator<{ [K in keyof T]: TypeOf<T[K]> }, { [K in keyof T]: InputOf<T[K]> }>;
+    function instanceOf<T> (Klass: new (...args: any[]) => T): (value: any) => value is T;
+    function literal<T extends string | number | boolean | bigint | symbol | null | undefined> (
+      literalValue: T
+    ): (value: any) => value is T;
+    function lazy<T extends FieldType> (getType: () => T): Combinator<TypeOf<T>, InputOf<T>>;
+  }
+}
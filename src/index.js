@@ -1,37 +1,101 @@
 import _ from 'lodash';
-import RecordSchema from './RecordSchema';
+import RecordSchema, {
+  registerRecordClass,
+  isRecord,
+  isRecordClass,
+  RecordValidationError,
+  RecordSchemaValidationError,
+  allowAsyncConstruction,
+  constructFromParsedInput,
+  isValidatedInput,
+  prefixValidationError,
+  setErrorFormatter
+} from './RecordSchema';
+import { isValueEqual, hashValue } from './equality';
+import {
+  diffRecords,
+  isSameRecordClass,
+  toJSONPointer,
+  parseJSONPointer,
+  ADDED,
+  REMOVED
+} from './diff';
+import * as coercers from './coercers';
+import * as types from './types';
+import { recordToJSONSchema, recordFromJSONSchema } from './jsonSchema';
+import { toJS } from './convert';
+import { listOf, mapOf, RecordList, RecordMap } from './collections';
+import { VERSION_KEY, validateVersionOptions, migrateInput } from './migrations';
+import {
+  THROW,
+  OFF,
+  assertValidationMode,
+  resolveValidationMode,
+  setValidationMode,
+  setLogger,
+  logValidationError
+} from './validationMode';
+
+/**
+ * The keys of the options object ImmutableRecord() accepts in place of a name.
+ * @type {String[]}
+ */
+const RECORD_OPTION_KEYS = [
+  'name', 'validate', 'validateAsync', 'version', 'migrations', 'validationMode'
+];
 
 /**
  * Returns a Record class based on the shape supplied to this function.
  *
+ * The second argument is either the Record's name, or an options object:
+ *    name: the Record's name
+ *    validate: a record-level validator (or an array of them), called with the values of
+ *      every new Record once its fields are valid. See RecordSchema#parseInput().
+ *    validateAsync: like validate, except that the validators return Promises. Records with
+ *      async validators can only be created with createAsync() and setAsync().
+ *    version: the version of the Record's schema (a positive integer), which toJSON() stamps
+ *      on the JSON representation. See Record.fromVersioned().
+ *    migrations: functions that upgrade older payloads, keyed by the version they upgrade to.
+ *    validationMode: what constructing a Record does with invalid input ("throw", "warn" or
+ *      "off"). Defaults to the global mode. See validationMode.js.
+ *
  * @param shape
- * @param name
+ * @param {String|Object} [options]
  * @return {Record}
  */
-function ImmutableRecord (shape, name) {
-  // Initialize a new schema based on the supplied shape
-  const schema = new RecordSchema(shape);
+function ImmutableRecord (shape, options) {
+  const {
+    name, validate, validateAsync, version, migrations, validationMode
+  } = normalizeRecordOptions(options);
 
-  // A store for private variables
-  const privates = new WeakMap();
+  // Initialize a new schema based on the supplied shape
+  const schema = new RecordSchema(shape, validate, validateAsync);
+  validateVersionOptions(version, migrations, shape);
+  assertValidationMode(validationMode, true);
 
   // Create a class with this specific shape
   function Record (values) {
-    // Validate input
-    schema.validateInput(values);
+    // Input that has just been validated (e.g. nested input) isn't validated again
+    if (isValidatedInput(values)) {
+      schema.defineFields(this, schema.createValues(values));
+      return;
+    }
 
-    // Clean input & add defaults
-    const cleanInput = schema.applyDefaults(
-      schema.removeInvalidInputKeys(values)
-    );
+    const mode = resolveValidationMode(validationMode);
 
-    // Store private vars
-    privates.set(this, cleanInput);
+    // Validate input & construct any nested Records from plain objects, then clean the
+    // input & add defaults. Without validation, nested Records are still constructed.
+    const input = mode === OFF
+      ? schema.convertInput(values)
+      : parseRecordInput(schema, values, mode);
 
-    // Add accessors to self
-    Object.defineProperties(this, schema.getAccessorsForInput(cleanInput));
+    // Add accessors for the values (and computed fields) to self
+    schema.defineFields(this, schema.createValues(input));
   }
 
+  // Allow the Record to be used as the type of another Record's field
+  registerRecordClass(Record, schema);
+
   // Update the record's name
   Object.defineProperty(Record, 'name', {
     // This is the default Function.name configuration
@@ -42,6 +106,207 @@ function ImmutableRecord (shape, name) {
     value: name || 'Record'
   });
 
+  /**
+   * Validates a potential input for this Record without constructing a Record.
+   * Never throws: every validation failure is returned in `errors`.
+   *
+   * @param {Object} input
+   * @return {{valid: boolean, errors: ValidationFailure[]}}
+   */
+  Record.validate = function (input) {
+    const { errors } = schema.parseInput(input);
+
+    return {
+      valid: errors.length === 0,
+      errors
+    };
+  };
+
+  /**
+   * Attempts to construct a Record from some input. Never throws on invalid input: instead,
+   * returns a result with either the new Record or every validation failure.
+   *
+   * When called on a subclass, the result is an instance of the subclass.
+   *
+   * @param {Object} input
+   * @return {{valid: boolean, record: (Record|undefined), errors: ValidationFailure[]}}
+   */
+  Record.tryCreate = function (input) {
+    const { input: parsedInput, errors } = schema.parseInput(input);
+
+    if (errors.length > 0) {
+      return {
+        valid: false,
+        record: undefined,
+        errors
+      };
+    }
+
+    // Support calling tryCreate() without a "this" value, e.g. inputs.map(Record.tryCreate)
+    const Konstructor = isRecordClass(this) ? this : Record;
+
+    return {
+      valid: true,
+      record: constructFromParsedInput(Konstructor, parsedInput),
+      errors
+    };
+  };
+
+  /**
+   * Just like validate(), except that async validators run too. Returns a Promise of the
+   * result, which only rejects if a validator throws (or rejects).
+   *
+   * @param {Object} input
+   * @return {Promise<{valid: boolean, errors: ValidationFailure[]}>}
+   */
+  Record.validateAsync = function (input) {
+    return schema.parseInputAsync(input).then(({ errors }) => ({
+      valid: errors.length === 0,
+      errors
+    }));
+  };
+
+  /**
+   * Constructs a Record once every validator, including the async validators, has passed.
+   * Returns a Promise of the new Record, which rejects with a RecordValidationError listing
+   * every validation failure if the input is invalid.
+   *
+   * When called on a subclass, the result is an instance of the subclass.
+   *
+   * @param {Object} input
+   * @return {Promise<Record>}
+   */
+  Record.createAsync = function (input) {
+    return createRecordAsync(isRecordClass(this) ? this : Record, schema, input);
+  };
+
+  /**
+   * The version of this Record's schema, or undefined if the Record isn't versioned.
+   * @type {Number|undefined}
+   */
+  Record.version = version;
+
+  /**
+   * Upgrades a versioned payload (e.g. the JSON representation of an older version of this
+   * Record) to this Record's current version by running its migrations, without validating
+   * or constructing anything. Payloads without a version (and Records without a version)
+   * are version 1.
+   *
+   * Throws if the payload isn't a plain object, or if its version is invalid or newer than
+   * this Record's.
+   *
+   * @param {Object} payload
+   * @return {Object} the upgraded input, without the version
+   */
+  Record.migrate = function (payload) {
+    return migrateInput(payload, _.isUndefined(version) ? 1 : version, migrations);
+  };
+
+  /**
+   * Constructs a Record from a versioned payload, upgrading it with migrate() first.
+   *
+   * When called on a subclass, the result is an instance of the subclass.
+   *
+   * @param {Object} payload
+   * @return {Record}
+   */
+  Record.fromVersioned = function (payload) {
+    const Konstructor = isRecordClass(this) ? this : Record;
+    return new Konstructor(Record.migrate(payload));
+  };
+
+  /**
+   * Returns a JSON Schema (draft 2020-12) document describing the JSON representation of this
+   * Record. Nested Records are described in "$defs".
+   *
+   * @return {Object}
+   */
+  Record.toJSONSchema = function () {
+    return recordToJSONSchema(isRecordClass(this) ? this : Record);
+  };
+
+  /**
+   * Returns a new Record class whose shape has every field of this Record's shape, plus the
+   * fields in `moreShape`. Fields in `moreShape` replace fields with the same name.
+   *
+   * Instances of the new class are also instances of this class (and its subclasses, when
+   * called on a subclass), so the new class keeps this class's record-level validators and
+   * validation mode. The version and migrations aren't kept, since the new class's payloads
+   * are different.
+   *
+   * @param {Object} moreShape
+   * @param {String|Object} [options] - name of the new class (defaults to this class's name),
+   *    or options like ImmutableRecord()'s
+   * @return {Record}
+   */
+  Record.extend = function (moreShape, options) {
+    const Parent = isRecordClass(this) ? this : Record;
+    const {
+      name, validate, validateAsync, version, migrations, validationMode: extendedMode
+    } = normalizeRecordOptions(options);
+
+    const Extended = ImmutableRecord(
+      _.assign({}, shape, moreShape),
+      {
+        name: name || Parent.name,
+        validate: schema.getValidators().concat(_.isNil(validate) ? [] : validate),
+        validateAsync: schema.getAsyncValidators().concat(_.isNil(validateAsync) ? [] : validateAsync),
+        version,
+        migrations,
+        validationMode: extendedMode || validationMode
+      }
+    );
+
+    Object.setPrototypeOf(Extended.prototype, Parent.prototype);
+    Object.setPrototypeOf(Extended, Parent);
+
+    return Extended;
+  };
+
+  /**
+   * Returns a new Record class whose shape only has the given fields of this Record's shape.
+   * Record-level validators aren't copied, since they may depend on the other fields. The
+   * validation mode is.
+   *
+   * @param {String[]} keys
+   * @param {String} [name] - name of the new class; defaults to this class's name
+   * @return {Record}
+   */
+  Record.pick = function (keys, name) {
+    keys.forEach(key => assertValidProperty(schema, key));
+    return ImmutableRecord(_.pick(shape, keys), { name: name || Record.name, validationMode });
+  };
+
+  /**
+   * Returns a new Record class whose shape has every field of this Record's shape, except
+   * the given fields. Record-level validators aren't copied, since they may depend on the
+   * removed fields. The validation mode is.
+   *
+   * @param {String[]} keys
+   * @param {String} [name] - name of the new class; defaults to this class's name
+   * @return {Record}
+   */
+  Record.omit = function (keys, name) {
+    keys.forEach(key => assertValidProperty(schema, key));
+    return ImmutableRecord(_.omit(shape, keys), { name: name || Record.name, validationMode });
+  };
+
+  /**
+   * Returns a new Record class with the same fields as this Record, except that every field
+   * is optional and has no default. Useful for validating partial updates (e.g. PATCH payloads),
+   * where a missing field means "unchanged". Record-level validators aren't copied, but the
+   * validation mode is.
+   *
+   * @param {String} [name] - name of the new class; defaults to this class's name
+   * @return {Record}
+   */
+  Record.partial = function (name) {
+    return ImmutableRecord(
+      _.mapValues(shape, schemaValue => _.omit(schemaValue, [ 'required', 'default' ])),
+      { name: name || Record.name, validationMode }
+    );
+  };
+
   /**
    * Immutably update a property of this record. Specifically, returns a new Record identical
    * to this Record, except whose value at `property` is set to `newValue`.
@@ -51,17 +316,38 @@ function ImmutableRecord (shape, name) {
    * @return {Record}
    */
   Record.prototype.set = function (property, newValue) {
-    assertValidProperty(schema, property);
+    assertWritableProperty(schema, property);
 
     return getRecordConstructor(this)(
-      update(
-        privates.get(this),
+      setField(
+        schema.getValues(this),
         property,
         newValue
       )
     );
   };
 
+  /**
+   * Just like set(), except that the async validators run too. Returns a Promise of the new
+   * Record, which rejects with a RecordValidationError if the new value is invalid.
+   *
+   * Async field validators only run for `property`, since the other fields haven't changed.
+   *
+   * @param {String} property - the property to update
+   * @param {*} newValue - the new value of the property
+   * @return {Promise<Record>}
+   */
+  Record.prototype.setAsync = function (property, newValue) {
+    assertWritableProperty(schema, property);
+
+    return createRecordAsync(
+      Object.getPrototypeOf(this).constructor,
+      schema,
+      setField(schema.getValues(this), property, newValue),
+      [ property ]
+    );
+  };
+
   /**
    * Immutably remove a property from this record. Specifically, returns a new Record identical
    * to this Record, except with no value at `property`.
@@ -75,16 +361,264 @@ function ImmutableRecord (shape, name) {
    * @return {Record}
    */
   Record.prototype.remove = function (property) {
-    assertValidProperty(schema, property);
+    assertWritableProperty(schema, property);
 
     return getRecordConstructor(this)(
       unsetField(
-        privates.get(this),
+        schema.getValues(this),
         property
       )
     );
   };
 
+  /**
+   * Immutably update several properties of this record at once. Returns a new Record identical
+   * to this Record, except with the values in `partial`.
+   *
+   * The new Record is validated once, after all of the values are applied. Computed fields in
+   * `partial` are ignored (like in the constructor), so the result of toObject() can be merged.
+   *
+   * @param {Object} partial - the properties to update and their new values
+   * @return {Record}
+   */
+  Record.prototype.merge = function (partial) {
+    const values = omitComputedFields(schema, partial);
+    _.keys(values).forEach(property => assertWritableProperty(schema, property));
+
+    return getRecordConstructor(this)(
+      _.assign({}, schema.getValues(this), values)
+    );
+  };
+
+  /**
+   * Immutably update a property of this record using a function. Returns a new Record whose
+   * value at `property` is the result of calling `updater` with the current value.
+   *
+   * @param {String} property - the property to update
+   * @param {function(*): *} updater - returns the new value, given the current value
+   * @return {Record}
+   */
+  Record.prototype.update = function (property, updater) {
+    assertWritableProperty(schema, property);
+
+    const values = schema.getValues(this);
+    return getRecordConstructor(this)(
+      setField(
+        values,
+        property,
+        updater(getField(values, property))
+      )
+    );
+  };
+
+  /**
+   * Apply a batch of changes to this record. `mutator` is called with a mutable draft of the
+   * record's values, which has chainable get(), set(), remove(), update() and merge() functions.
+   *
+   * Once `mutator` returns, a single new Record is created (and validated) from the draft.
+   * If the draft wasn't changed, this record is returned.
+   *
+   * @param {function(RecordDraft)} mutator
+   * @return {Record}
+   */
+  Record.prototype.withMutations = function (mutator) {
+    const draft = new RecordDraft(schema, schema.getValues(this));
+    mutator(draft);
+
+    const { values, isChanged } = closeDraft(draft);
+    if (!isChanged) {
+      return this;
+    }
+
+    return getRecordConstructor(this)(values);
+  };
+
+  /**
+   * Returns the value at a deep path within this record. The path can walk through nested
+   * Records, Lists, Maps, arrays and plain objects.
+   *
+   * If there is no value at the path, returns `notSetValue`.
+   *
+   * @param {Array|String} path - an array of keys, or a dotted string such as "address.zip"
+   * @param {*} [notSetValue] - returned if there is no value at the path
+   * @return {*}
+   */
+  Record.prototype.getIn = function (path, notSetValue) {
+    return getIn(this, toKeyPath(path), notSetValue);
+  };
+
+  /**
+   * Immutably set a value at a deep path within this record. Returns a new Record whose value
+   * at `path` is `newValue`.
+   *
+   * Every Record along the path is updated with `set()`, so each of them is validated.
+   * Branches that aren't on the path are shared with the original record.
+   *
+   * @param {Array|String} path - an array of keys, or a dotted string such as "address.zip"
+   * @param {*} newValue - the new value at the path
+   * @return {Record}
+   */
+  Record.prototype.setIn = function (path, newValue) {
+    return updateIn(this, toKeyPath(path), () => newValue);
+  };
+
+  /**
+   * Immutably update the value at a deep path within this record. Returns a new Record whose
+   * value at `path` is the result of calling `updater` with the current value at `path`.
+   *
+   * @param {Array|String} path - an array of keys, or a dotted string such as "address.zip"
+   * @param {function(*): *} updater - returns the new value, given the current value
+   * @return {Record}
+   */
+  Record.prototype.updateIn = function (path, updater) {
+    return updateIn(this, toKeyPath(path), updater);
+  };
+
+  /**
+   * Immutably remove the value at a deep path within this record. Returns a new Record
+   * without a value at `path`.
+   *
+   * Removing a value from an array or List removes the element (shifting the elements that
+   * follow it).
+   * If there is no value at the path, the record itself is returned.
+   *
+   * @param {Array|String} path - an array of keys, or a dotted string such as "address.zip"
+   * @return {Record}
+   */
+  Record.prototype.removeIn = function (path) {
+    const keyPath = toKeyPath(path);
+
+    if (!hasIn(this, keyPath)) {
+      return this;
+    }
+
+    return updateIn(
+      this,
+      _.initial(keyPath),
+      parent => removeKey(parent, _.last(keyPath))
+    );
+  };
+
+  /**
+   * Returns every difference between this record and `other`, which must be an instance of
+   * the same Record class. Nested Records are compared field by field.
+   *
+   * @param {Record} other
+   * @return {Change[]} - see diffRecords()
+   */
+  Record.prototype.diff = function (other) {
+    assertSameRecordClass(this, other, 'diff');
+
+    return diffRecords(this, other);
+  };
+
+  /**
+   * Returns a JSON Patch (RFC 6902) that turns this record into `other`, which must be an
+   * instance of the same Record class. Values in the patch are converted with toJS().
+   *
+   * @param {Record} other
+   * @return {Object[]} - JSON Patch operations
+   */
+  Record.prototype.toJSONPatch = function (other) {
+    assertSameRecordClass(this, other, 'toJSONPatch');
+
+    return diffRecords(this, other).map(({ kind, path, newValue }) => {
+      if (kind === REMOVED) {
+        return { op: 'remove', path: toJSONPointer(path) };
+      }
+
+      return {
+        op: kind === ADDED ? 'add' : 'replace',
+        path: toJSONPointer(path),
+        value: toJS(newValue)
+      };
+    });
+  };
+
+  /**
+   * Immutably applies a JSON Patch (RFC 6902) to this record, and returns the patched record.
+   *
+   * Each operation is applied in order, with setIn() and removeIn(), so every change is
+   * validated just like a call to set() or remove(). If any operation fails, applyPatch()
+   * throws (and this record is unchanged, as always).
+   *
+   * @param {Object[]} operations - JSON Patch operations
+   * @return {Record}
+   */
+  Record.prototype.applyPatch = function (operations) {
+    if (!_.isArray(operations)) {
+      throw new Error(`applyPatch() expects an array of JSON Patch operations.`);
+    }
+
+    return operations.reduce(applyPatchOperation, this);
+  };
+
+  /**
+   * Returns true if `other` is an instance of the same Record class as this record (subclasses
+   * only equal instances of the same subclass) and its values are deeply equal to this record's
+   * values. Nested Records, Dates, Maps and Sets are compared by value.
+   *
+   * @param {*} other
+   * @return {boolean}
+   */
+  Record.prototype.equals = function (other) {
+    return isValueEqual(this, other);
+  };
+
+  /**
+   * Returns a 32-bit integer hash of this record. Records that are equal (according to
+   * equals()) have the same hash code.
+   *
+   * The hash code is computed once and cached, so values nested in the record shouldn't
+   * be mutated.
+   *
+   * @return {Number}
+   */
+  Record.prototype.hashCode = function () {
+    return hashValue(this);
+  };
+
+  /**
+   * Returns a plain object with this record's values. Nested values (including nested Records)
+   * are not converted.
+   *
+   * @return {Object}
+   */
+  Record.prototype.toObject = function () {
+    return _.assign({}, this);
+  };
+
+  /**
+   * Returns a plain object with this record's values, deeply converting any nested Records
+   * (including Records in arrays, plain objects and Maps) to plain objects, and any Lists
+   * and Maps created by ImmutableRecord.List() and ImmutableRecord.Map() to arrays and
+   * plain objects.
+   *
+   * The result can be passed back to the constructor to create an equal Record.
+   *
+   * @return {Object}
+   */
+  Record.prototype.toJS = function () {
+    return _.mapValues(callRecordMethod(this, 'toObject'), toJS);
+  };
+
+  /**
+   * Returns the JSON representation of this record. Used by JSON.stringify().
+   *
+   * Values at fields with a "serialize" option are replaced with the result of calling the
+   * option with the value and the field name. Versioned Records stamp their version on the
+   * result, so that Record.fromVersioned() can upgrade it later.
+   *
+   * @return {Object}
+   */
+  Record.prototype.toJSON = function () {
+    const json = schema.serializeValues(callRecordMethod(this, 'toObject'));
+
+    return _.isUndefined(version)
+      ? json
+      : _.assign({ [VERSION_KEY]: version }, json);
+  };
+
   function toString () {
     const fields = Object
       .keys(this)
@@ -103,6 +637,159 @@ function ImmutableRecord (shape, name) {
   return Record;
 }
 
+// The state of each RecordDraft
+const drafts = new WeakMap();
+
+/**
+ * A mutable draft of a Record's values, used by Record#withMutations().
+ *
+ * Changes to the draft aren't validated until the draft is turned into a Record.
+ * Once that happens, the draft is closed and can no longer be used.
+ */
+class RecordDraft {
+  constructor (schema, values) {
+    drafts.set(this, {
+      schema,
+      values: _.clone(values),
+      isChanged: false,
+      isOpen: true
+    });
+  }
+
+  /**
+   * Returns the draft's current value at `property`.
+   *
+   * @param {String} property
+   * @param {*} [notSetValue] - returned if there is no value at the property
+   * @return {*}
+   */
+  get (property, notSetValue) {
+    const { values } = getOpenDraft(this);
+
+    return _.has(values, property)
+      ? values[property]
+      : notSetValue;
+  }
+
+  /**
+   * Sets the draft's value at `property`.
+   *
+   * @param {String} property
+   * @param {*} newValue
+   * @return {RecordDraft}
+   */
+  set (property, newValue) {
+    const draft = getOpenDraft(this);
+    assertWritableProperty(draft.schema, property);
+
+    draft.values[property] = newValue;
+    draft.isChanged = true;
+    return this;
+  }
+
+  /**
+   * Removes the draft's value at `property`.
+   *
+   * @param {String} property
+   * @return {RecordDraft}
+   */
+  remove (property) {
+    const draft = getOpenDraft(this);
+    assertWritableProperty(draft.schema, property);
+
+    delete draft.values[property];
+    draft.isChanged = true;
+    return this;
+  }
+
+  /**
+   * Sets the draft's value at `property` to the result of calling `updater` with the
+   * current value.
+   *
+   * @param {String} property
+   * @param {function(*): *} updater
+   * @return {RecordDraft}
+   */
+  update (property, updater) {
+    return this.set(property, updater(this.get(property)));
+  }
+
+  /**
+   * Sets each of the values in `partial` on the draft. Computed fields in `partial` are
+   * ignored.
+   *
+   * @param {Object} partial
+   * @return {RecordDraft}
+   */
+  merge (partial) {
+    const values = omitComputedFields(getOpenDraft(this).schema, partial);
+    _.keys(values).forEach(property => this.set(property, values[property]));
+    return this;
+  }
+}
+
+/**
+ * Returns the state of a draft, throwing if the draft has been closed.
+ *
+ * @param {RecordDraft} draft
+ * @return {{schema: RecordSchema, values: Object, isChanged: boolean, isOpen: boolean}}
+ */
+function getOpenDraft (draft) {
+  const state = drafts.get(draft);
+
+  if (!state.isOpen) {
+    throw new Error(`A draft can't be used after withMutations() returns.`);
+  }
+
+  return state;
+}
+
+/**
+ * Closes a draft and returns its final state.
+ *
+ * @param {RecordDraft} draft
+ * @return {{schema: RecordSchema, values: Object, isChanged: boolean, isOpen: boolean}}
+ */
+function closeDraft (draft) {
+  const state = getOpenDraft(draft);
+  state.isOpen = false;
+  return state;
+}
+
+/**
+ * Validates the input of a Record's constructor and returns the parsed input. In the THROW
+ * validation mode, invalid input throws a RecordValidationError. In the WARN mode, the error
+ * is logged and the input is used anyway (unless it isn't a plain object at all): the invalid
+ * fields are converted like in the OFF mode, so that nested Records are still constructed.
+ *
+ * @param {RecordSchema} schema
+ * @param {Object} values
+ * @param {String} mode
+ * @return {Object}
+ */
+function parseRecordInput (schema, values, mode) {
+  const { input, errors } = schema.parseInput(values);
+
+  if (errors.length === 0) {
+    return input;
+  }
+
+  const error = new RecordValidationError(errors);
+
+  if (mode === THROW) {
+    throw error;
+  }
+
+  logValidationError(error);
+
+  if (!_.isPlainObject(input)) {
+    return {};
+  }
+
+  const invalidKeys = _.uniq(_.reject(errors.map(failure => failure.path[0]), _.isUndefined));
+  return _.assign(input, schema.convertInput(_.pick(values, invalidKeys)));
+}
+
 /**
  * Given a Record instance, returns a function that returns new Records
  * based on the instance's constructor.
@@ -124,6 +811,26 @@ function getRecordConstructor (recordInstance) {
   }
 }
 
+/**
+ * Validates input with every validator (including the async validators) and then
+ * constructs a Record from it.
+ *
+ * @param {Function} Konstructor - the Record class (or subclass) to construct
+ * @param {RecordSchema} schema - the Record's schema
+ * @param {Object} input
+ * @param {String[]} [changedKeys] - see RecordSchema#parseInputAsync()
+ * @return {Promise<Record>}
+ */
+function createRecordAsync (Konstructor, schema, input, changedKeys) {
+  return schema.parseInputAsync(input, changedKeys).then(({ input: parsedInput, errors }) => {
+    if (errors.length > 0) {
+      throw new RecordValidationError(errors);
+    }
+
+    return allowAsyncConstruction(() => constructFromParsedInput(Konstructor, parsedInput));
+  });
+}
+
 /**
  * Immutably update a single top-level field of an object.
  *
@@ -138,16 +845,27 @@ function getRecordConstructor (recordInstance) {
  * @param {*} value
  * @return {Object}
  */
-function update (object, field, value) {
+function setField (object, field, value) {
   if (!_.isObject(object)) {
     return object;
   }
 
-  return _.set(
-    _.clone(object),
-    field,
-    value
-  );
+  const shallowClone = _.clone(object);
+  shallowClone[field] = value;
+  return shallowClone;
+}
+
+/**
+ * Returns the value of a single top-level field of an object, ignoring inherited properties.
+ *
+ * @param {Object} object
+ * @param {String} field
+ * @return {*}
+ */
+function getField (object, field) {
+  return _.has(object, field)
+    ? object[field]
+    : undefined;
 }
 
 /**
@@ -168,10 +886,396 @@ function unsetField (object, field) {
   }
 
   const shallowClone = _.clone(object);
-  _.unset(shallowClone, field);
+  delete shallowClone[field];
   return shallowClone;
 }
 
+/**
+ * Given a path (either an array of keys or a dotted string), returns an array of keys.
+ *
+ * @param {Array|String} path
+ * @return {Array}
+ */
+function toKeyPath (path) {
+  if (_.isArray(path)) {
+    return path;
+  }
+
+  if (_.isString(path)) {
+    return _.toPath(path);
+  }
+
+  throw new Error(`A path must be an array of keys or a string.`);
+}
+
+/**
+ * Returns true if a collection (a Record, List, Map, array or plain object) has its own value
+ * at some key. Arrays and Lists only have values at their indices (see isArrayIndex()).
+ *
+ * @param {*} collection
+ * @param {String|Number} key
+ * @return {boolean}
+ */
+function hasKey (collection, key) {
+  if (_.isArray(collection)) {
+    return isArrayIndex(key, collection.length);
+  }
+
+  if (collection instanceof RecordList) {
+    return isArrayIndex(key, collection.size);
+  }
+
+  if (collection instanceof RecordMap) {
+    return collection.has(key);
+  }
+
+  return (
+    _.isObject(collection) &&
+    Object.prototype.hasOwnProperty.call(collection, key)
+  );
+}
+
+/**
+ * Returns true if a key is an index below `length`: a non-negative integer, or one written
+ * as a string without leading zeros (like the array indices of JSON pointers).
+ *
+ * @param {String|Number} key
+ * @param {Number} length
+ * @return {boolean}
+ */
+function isArrayIndex (key, length) {
+  return /^(0|[1-9][0-9]*)$/.test(String(key)) && Number(key) < length;
+}
+
+/**
+ * Returns the value at a key of a collection that has one (see hasKey()).
+ *
+ * @param {*} collection
+ * @param {String|Number} key
+ * @return {*}
+ */
+function getKey (collection, key) {
+  if (collection instanceof RecordList) {
+    return collection.get(Number(key));
+  }
+
+  if (collection instanceof RecordMap) {
+    return collection.get(key);
+  }
+
+  return collection[key];
+}
+
+/**
+ * Returns true if there is a value at every key of a path within a collection.
+ *
+ * @param {*} collection
+ * @param {Array} keyPath
+ * @return {boolean}
+ */
+function hasIn (collection, keyPath) {
+  let current = collection;
+
+  for (let key of keyPath) {
+    if (!hasKey(current, key)) {
+      return false;
+    }
+
+    current = getKey(current, key);
+  }
+
+  return true;
+}
+
+/**
+ * Returns the value at a path within a collection, or notSetValue if there isn't one.
+ *
+ * @param {*} collection
+ * @param {Array} keyPath
+ * @param {*} notSetValue
+ * @return {*}
+ */
+function getIn (collection, keyPath, notSetValue) {
+  let current = collection;
+
+  for (let key of keyPath) {
+    if (!hasKey(current, key)) {
+      return notSetValue;
+    }
+
+    current = getKey(current, key);
+  }
+
+  return current;
+}
+
+/**
+ * Immutably replaces the value at a path within a collection with the result of calling
+ * updater with the current value.
+ *
+ * Only the collections along the path are copied. If the updater returns the current
+ * value, the original collection is returned. Validation failures have paths relative to
+ * `collection`.
+ *
+ * @param {*} collection
+ * @param {Array} keyPath
+ * @param {function(*): *} updater
+ * @return {*}
+ */
+function updateIn (collection, keyPath, updater) {
+  if (keyPath.length === 0) {
+    return updater(collection);
+  }
+
+  const [ key, ...rest ] = keyPath;
+  const isPresent = hasKey(collection, key);
+  const child = isPresent ? getKey(collection, key) : undefined;
+
+  let updated;
+  try {
+    updated = updateIn(child, rest, updater);
+  } catch (error) {
+    // Report failures with their path from this collection, like construction does
+    if (error instanceof RecordValidationError) {
+      throw prefixValidationError(key, error);
+    }
+
+    throw error;
+  }
+
+  if (isPresent && updated === child) {
+    return collection;
+  }
+
+  return setKey(collection, key, updated);
+}
+
+/**
+ * Immutably sets the value at a single key of a collection (a Record, List, Map, array or
+ * plain object). Nil collections are treated as empty plain objects.
+ *
+ * @param {*} collection
+ * @param {String|Number} key
+ * @param {*} value
+ * @return {*}
+ */
+function setKey (collection, key, value) {
+  if (isRecord(collection)) {
+    return callRecordMethod(collection, 'set', key, value);
+  }
+
+  // Setting the index after the last element appends the value, like List#set()
+  if (collection instanceof RecordList) {
+    if (!isArrayIndex(key, collection.size + 1)) {
+      throw new Error(`"${key}" is not a valid index of a list of size ${collection.size}.`);
+    }
+
+    return collection.set(Number(key), value);
+  }
+
+  if (collection instanceof RecordMap) {
+    return collection.set(String(key), value);
+  }
+
+  if (_.isNil(collection)) {
+    return { [key]: value };
+  }
+
+  if (_.isArray(collection) || _.isPlainObject(collection)) {
+    return setField(collection, key, value);
+  }
+
+  throw new Error(`Cannot set "${key}" on the value ${JSON.stringify(collection)}.`);
+}
+
+/**
+ * Immutably removes the value at a single key of a collection (a Record, List, Map, array or
+ * plain object). Removing from an array or List removes the element.
+ *
+ * @param {*} collection
+ * @param {String|Number} key
+ * @return {*}
+ */
+function removeKey (collection, key) {
+  if (isRecord(collection)) {
+    return callRecordMethod(collection, 'remove', key);
+  }
+
+  if (collection instanceof RecordList) {
+    return collection.delete(Number(key));
+  }
+
+  if (collection instanceof RecordMap) {
+    return collection.delete(key);
+  }
+
+  if (_.isArray(collection)) {
+    const shallowClone = collection.slice();
+    shallowClone.splice(key, 1);
+    return shallowClone;
+  }
+
+  if (_.isPlainObject(collection)) {
+    return unsetField(collection, key);
+  }
+
+  throw new Error(`Cannot remove "${key}" from the value ${JSON.stringify(collection)}.`);
+}
+
+/**
+ * Applies a single JSON Patch operation to a Record. See Record#applyPatch().
+ *
+ * @param {Record} record
+ * @param {Object} operation
+ * @return {Record}
+ */
+function applyPatchOperation (record, operation) {
+  const op = _.get(operation, 'op');
+  const keyPath = getPatchKeyPath(operation, 'path');
+
+  switch (op) {
+    case 'add':
+      return addIn(record, keyPath, operation.value);
+
+    case 'remove':
+      assertPatchPathExists(record, keyPath, operation.path);
+      return callRecordMethod(record, 'removeIn', keyPath);
+
+    case 'replace':
+      assertPatchPathExists(record, keyPath, operation.path);
+      return callRecordMethod(record, 'setIn', keyPath, operation.value);
+
+    case 'move':
+    case 'copy': {
+      const fromKeyPath = getPatchKeyPath(operation, 'from');
+      assertPatchPathExists(record, fromKeyPath, operation.from);
+
+      const value = getIn(record, fromKeyPath);
+      const source = op === 'move'
+        ? callRecordMethod(record, 'removeIn', fromKeyPath)
+        : record;
+
+      return addIn(source, keyPath, value);
+    }
+
+    case 'test':
+      assertPatchPathExists(record, keyPath, operation.path);
+
+      if (!isValueEqual(toJS(getIn(record, keyPath)), operation.value)) {
+        throw new Error(
+          `JSON Patch test failed: the value at "${operation.path}" isn't ` +
+          `${JSON.stringify(operation.value)}.`
+        );
+      }
+
+      return record;
+
+    default:
+      throw new Error(`${JSON.stringify(operation)} is not a JSON Patch operation.`);
+  }
+}
+
+/**
+ * Returns the path of a JSON Patch operation's "path" or "from" pointer. Operations on the
+ * whole Record aren't supported.
+ *
+ * @param {Object} operation
+ * @param {String} member - "path" or "from"
+ * @return {String[]}
+ */
+function getPatchKeyPath (operation, member) {
+  const keyPath = parseJSONPointer(_.get(operation, member));
+
+  if (keyPath.length === 0) {
+    throw new Error(`JSON Patch operations can't replace the whole Record.`);
+  }
+
+  return keyPath;
+}
+
+/**
+ * Throws if there's no value at a path within a Record.
+ *
+ * @param {Record} record
+ * @param {Array} keyPath
+ * @param {String} pointer - the path as a JSON pointer, for the error message
+ */
+function assertPatchPathExists (record, keyPath, pointer) {
+  if (!hasIn(record, keyPath)) {
+    throw new Error(`JSON Patch failed: there is no value at "${pointer}".`);
+  }
+}
+
+/**
+ * Immutably adds a value at a path within a Record, like the JSON Patch "add" operation:
+ * adding to an array or List inserts the value (at the end, for the key "-"), and adding to
+ * anything else sets the value.
+ *
+ * @param {Record} record
+ * @param {Array} keyPath
+ * @param {*} value
+ * @return {Record}
+ */
+function addIn (record, keyPath, value) {
+  const parentPath = _.initial(keyPath);
+  const key = _.last(keyPath);
+
+  if (!hasIn(record, parentPath)) {
+    throw new Error(`JSON Patch failed: there is no value at "${toJSONPointer(parentPath)}".`);
+  }
+
+  return updateIn(record, parentPath, parent => {
+    const isList = parent instanceof RecordList;
+    if (!_.isArray(parent) && !isList) {
+      return setKey(parent, key, value);
+    }
+
+    const elements = isList ? parent.toArray() : parent.slice();
+
+    // The index can be the length of the array, which appends the value
+    const index = key === '-' ? elements.length : Number(key);
+    if (key !== '-' && !isArrayIndex(key, elements.length + 1)) {
+      throw new Error(`JSON Patch failed: "${key}" is not a valid index of ${JSON.stringify(parent)}.`);
+    }
+
+    elements.splice(index, 0, value);
+
+    // Lists validate the inserted element
+    return isList
+      ? new (Object.getPrototypeOf(parent).constructor)(elements)
+      : elements;
+  });
+}
+
+/**
+ * Calls a method of a Record instance, looking the method up on the instance's prototype.
+ * This way, fields whose names conflict with the Record's methods don't get in the way.
+ *
+ * @param {Record} record
+ * @param {String} method
+ * @param {...*} args
+ * @return {*}
+ */
+function callRecordMethod (record, method, ...args) {
+  return Object.getPrototypeOf(record)[method].apply(record, args);
+}
+
+/**
+ * Throws if `other` isn't an instance of the exact same Record class as `record`.
+ *
+ * @param {Record} record
+ * @param {*} other
+ * @param {String} method - the name of the method, for the error message
+ * @return {boolean}
+ */
+function assertSameRecordClass (record, other, method) {
+  if (!isSameRecordClass(record, other)) {
+    throw new Error(`${method}() expects another instance of the same Record class.`);
+  }
+
+  return true;
+}
+
 /**
  * Given a Record shape and a property name, returns true if the property is in the shape and
  * throws otherwise.
@@ -188,5 +1292,94 @@ function assertValidProperty (schema, property) {
   return true;
 }
 
+/**
+ * Given the second argument of ImmutableRecord() (a name or an options object), returns
+ * the options object. Throws a RecordSchemaValidationError if the options are invalid.
+ *
+ * @param {String|Object|undefined} options
+ * @return {Object}
+ */
+function normalizeRecordOptions (options) {
+  if (_.isNil(options) || _.isString(options)) {
+    return { name: options };
+  }
+
+  if (!_.isPlainObject(options)) {
+    throw new RecordSchemaValidationError(`Record options must be a name or a plain object.`);
+  }
+
+  const invalidKeys = _.difference(_.keys(options), RECORD_OPTION_KEYS);
+  if (invalidKeys.length > 0) {
+    throw new RecordSchemaValidationError(`Unknown Record options: ${invalidKeys.join(', ')}.`);
+  }
+
+  return options;
+}
+
+/**
+ * Given a Record shape and a property name, returns true if the property is in the shape and
+ * can be set (i.e. isn't computed). Throws otherwise.
+ *
+ * @param {RecordSchema} schema - Record's Schema
+ * @param {String} property - the property name
+ * @return {boolean}
+ */
+function assertWritableProperty (schema, property) {
+  assertValidProperty(schema, property);
+
+  if (schema.isComputed(property)) {
+    throw new Error(`"${property}" is a computed field, so it can't be set or removed.`);
+  }
+
+  return true;
+}
+
+/**
+ * Returns the properties of `partial` that aren't computed fields of a Record.
+ *
+ * @param {RecordSchema} schema - Record's Schema
+ * @param {Object} partial
+ * @return {Object}
+ */
+function omitComputedFields (schema, partial) {
+  return _.omitBy(partial, (value, property) => schema.isComputed(property));
+}
+
+// Expose the error thrown when a Record input is invalid
+ImmutableRecord.RecordValidationError = RecordValidationError;
+
+// Expose the error thrown when a Record shape is invalid
+ImmutableRecord.RecordSchemaValidationError = RecordSchemaValidationError;
+
+// Expose the built-in functions for the "coerce" option
+ImmutableRecord.coercers = coercers;
+
+// Expose the type combinators for the "type" option
+ImmutableRecord.types = types;
+
+// Expose the typed collections (and their base classes, for instanceof checks)
+ImmutableRecord.List = listOf;
+ImmutableRecord.Map = mapOf;
+ImmutableRecord.RecordList = RecordList;
+ImmutableRecord.RecordMap = RecordMap;
+
+/**
+ * Returns a Record class built from a JSON Schema document that describes an object.
+ * See recordFromJSONSchema() for how the document is converted.
+ *
+ * @param {Object} document
+ * @param {String} [name] - defaults to the document's "title"
+ * @return {Record}
+ */
+ImmutableRecord.fromJSONSchema = function (document, name) {
+  return recordFromJSONSchema(document, name, ImmutableRecord);
+};
+
+// Expose the global validation mode and the logger used by the "warn" mode
+ImmutableRecord.setValidationMode = setValidationMode;
+ImmutableRecord.setLogger = setLogger;
+
+// Expose the hook for formatting validation failure messages
+ImmutableRecord.setErrorFormatter = setErrorFormatter;
 
 export default ImmutableRecord;
\ No newline at end of file
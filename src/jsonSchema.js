@@ -0,0 +1,841 @@
+import _ from 'lodash';
+import {
+  getRecordSchema,
+  isRecordClass,
+  isCollectionClass,
+  getCollectionInfo,
+  parseCollectionInput,
+  LIST,
+  isValidForType,
+  describeType,
+  resolveType,
+  RecordSchemaValidationError
+} from './RecordSchema';
+import { getCombinator, oneOf } from './types';
+import { listOf } from './collections';
+
+/**
+ * The JSON Schema dialect of the generated documents.
+ * @type {String}
+ */
+const JSON_SCHEMA_DIALECT = 'https://json-schema.org/draft/2020-12/schema';
+
+/**
+ * JSON Schemas for the type strings that have a JSON representation.
+ * @type {Object<String, Object>}
+ */
+const TYPE_STRING_SCHEMAS = {
+  object: { type: [ 'object', 'array', 'null' ] },
+  string: { type: 'string' },
+  number: { type: 'number' },
+  boolean: { type: 'boolean' },
+  array: { type: 'array' },
+  null: { type: 'null' },
+  integer: { type: 'integer' },
+  finite: { type: 'number' },
+  date: { type: 'string', format: 'date-time' },
+  plainObject: { type: 'object' }
+};
+
+/**
+ * Given a Record class, returns a JSON Schema (draft 2020-12) document describing the JSON
+ * representation of the Record's instances.
+ *
+ * Nested Record classes are described in "$defs". Types that JSON Schema can't express
+ * (e.g. validator functions) become permissive schemas with a "$comment", unless the field
+ * has a "jsonSchema" option.
+ *
+ * @param {Function} Record
+ * @return {Object}
+ */
+export function recordToJSONSchema (Record) {
+  const context = {
+    root: Record,
+    defs: {},
+    defNames: new Map()
+  };
+
+  const document = _.assign(
+    { $schema: JSON_SCHEMA_DIALECT },
+    recordToSchemaObject(Record, context)
+  );
+
+  if (!_.isEmpty(context.defs)) {
+    document.$defs = context.defs;
+  }
+
+  return document;
+}
+
+/**
+ * Returns the JSON Schema for a single Record class.
+ *
+ * @param {Function} Record
+ * @param {Object} context
+ * @return {Object}
+ */
+function recordToSchemaObject (Record, context) {
+  const schema = getRecordSchema(Record.prototype);
+
+  // Non-enumerable computed fields don't show up in the JSON representation
+  const shape = _.pickBy(
+    schema.getShape(),
+    (schemaValue, key) => !schema.isComputed(key) || _.get(schemaValue, 'enumerable', true)
+  );
+
+  const schemaObject = {
+    title: Record.name,
+    type: 'object',
+    properties: _.mapValues(
+      shape,
+      (schemaValue, key) => fieldToJSONSchema(key, schemaValue, context)
+    )
+  };
+
+  const required = _.filter(_.keys(shape), key => schema.isRequired(key));
+  if (required.length > 0) {
+    schemaObject.required = required;
+  }
+
+  return schemaObject;
+}
+
+/**
+ * Returns the JSON Schema for a single field of a Record.
+ *
+ * @param {String} key
+ * @param {Object|null|undefined} schemaValue
+ * @param {Object} context
+ * @return {Object}
+ */
+function fieldToJSONSchema (key, schemaValue, context) {
+  const fieldSchema = getFieldTypeSchema(schemaValue, context);
+
+  if (_.has(schemaValue, 'default') && !_.has(fieldSchema, 'default')) {
+    const serialize = _.get(schemaValue, 'serialize');
+    const defaultValue = toJSONValue(
+      serialize
+        ? serialize(schemaValue.default, key)
+        : schemaValue.default
+    );
+
+    if (!_.isUndefined(defaultValue)) {
+      fieldSchema.default = defaultValue;
+    }
+  }
+
+  return fieldSchema;
+}
+
+/**
+ * Returns the JSON Schema for a field's value, ignoring its default.
+ *
+ * @param {Object|null|undefined} schemaValue
+ * @param {Object} context
+ * @return {Object}
+ */
+function getFieldTypeSchema (schemaValue, context) {
+  if (_.has(schemaValue, 'jsonSchema')) {
+    return _.cloneDeep(schemaValue.jsonSchema);
+  }
+
+  if (_.has(schemaValue, 'computed')) {
+    return { readOnly: true };
+  }
+
+  // A custom serializer means the JSON representation has nothing to do with the type
+  if (_.has(schemaValue, 'serialize')) {
+    return annotatedSchema(`Serialized by a custom function.`);
+  }
+
+  return typeToJSONSchema(_.get(schemaValue, 'type'), context);
+}
+
+/**
+ * Returns the JSON Schema for a RecordSchema type. Lazy types are resolved first.
+ *
+ * @param {String|Function|undefined} lazyOrType
+ * @param {Object} context
+ * @return {Object}
+ */
+function typeToJSONSchema (lazyOrType, context) {
+  const type = resolveType(lazyOrType);
+
+  if (_.isUndefined(type)) {
+    return {};
+  }
+
+  if (_.isString(type)) {
+    return _.has(TYPE_STRING_SCHEMAS, type)
+      ? _.cloneDeep(TYPE_STRING_SCHEMAS[type])
+      : annotatedSchema(`The "${type}" type has no JSON Schema equivalent.`);
+  }
+
+  if (isRecordClass(type)) {
+    return recordReference(type, context);
+  }
+
+  if (isCollectionClass(type)) {
+    const { kind, elementType } = getCollectionInfo(type.prototype);
+
+    return kind === LIST
+      ? { type: 'array', items: typeToJSONSchema(elementType, context) }
+      : { type: 'object', additionalProperties: typeToJSONSchema(elementType, context) };
+  }
+
+  const combinator = getCombinator(type);
+  if (combinator) {
+    return combinatorToJSONSchema(combinator, context);
+  }
+
+  return annotatedSchema(`Validated by the "${describeType(type)}" function.`);
+}
+
+/**
+ * Returns the JSON Schema for a validator created by one of the type combinators.
+ *
+ * @param {{kind: String, args: Array}} combinator
+ * @param {Object} context
+ * @return {Object}
+ */
+function combinatorToJSONSchema ({ kind, args }, context) {
+  const [ argument ] = args;
+  const convert = type => typeToJSONSchema(type, context);
+
+  switch (kind) {
+    case 'arrayOf':
+      return { type: 'array', items: convert(argument) };
+
+    case 'objectOf':
+      return { type: 'object', additionalProperties: convert(argument) };
+
+    case 'oneOf':
+      return { anyOf: argument.map(convert) };
+
+    case 'nullable':
+      return { anyOf: [ convert(argument), { type: 'null' } ] };
+
+    case 'shape':
+      return {
+        type: 'object',
+        properties: _.mapValues(argument, convert),
+        required: _.keys(argument)
+      };
+
+    case 'instanceOf':
+      return argument === Date
+        ? _.cloneDeep(TYPE_STRING_SCHEMAS.date)
+        : annotatedSchema(`Instances of ${argument.name || 'a class'}.`);
+
+    case 'literal':
+      return _.isUndefined(toJSONValue(argument))
+        ? annotatedSchema(`The literal value ${String(argument)} has no JSON equivalent.`)
+        : { const: toJSONValue(argument) };
+
+    default:
+      return annotatedSchema(`Validated by the "${kind}" combinator.`);
+  }
+}
+
+/**
+ * Returns a reference to the JSON Schema for a nested Record class, adding the Record's
+ * schema to "$defs" the first time the Record is referenced.
+ *
+ * @param {Function} Record
+ * @param {Object} context
+ * @return {Object}
+ */
+function recordReference (Record, context) {
+  if (Record === context.root) {
+    return { $ref: '#' };
+  }
+
+  if (!context.defNames.has(Record)) {
+    const defName = uniqueDefName(Record.name || 'Record', context.defs);
+
+    // Reserve the name before converting the Record, in case it references itself
+    context.defNames.set(Record, defName);
+    context.defs[defName] = {};
+    context.defs[defName] = recordToSchemaObject(Record, context);
+  }
+
+  return { $ref: `#/$defs/${context.defNames.get(Record)}` };
+}
+
+/**
+ * Returns a name for a "$defs" entry that isn't already taken. Different Record classes can
+ * have the same name, so names get a numeric suffix when needed.
+ *
+ * @param {String} name
+ * @param {Object} defs
+ * @return {String}
+ */
+function uniqueDefName (name, defs) {
+  let defName = name;
+
+  for (let suffix = 2; _.has(defs, defName); suffix++) {
+    defName = `${name}${suffix}`;
+  }
+
+  return defName;
+}
+
+/**
+ * Returns a schema that accepts any value, annotated with a comment.
+ *
+ * @param {String} comment
+ * @return {Object}
+ */
+function annotatedSchema (comment) {
+  return { $comment: comment };
+}
+
+/**
+ * Returns the JSON representation of a value, or undefined if the value has none.
+ *
+ * @param {*} value
+ * @return {*}
+ */
+function toJSONValue (value) {
+  // JSON.stringify() turns these into null
+  if (_.isNumber(value) && !_.isFinite(value)) {
+    return undefined;
+  }
+
+  try {
+    const json = JSON.stringify(value);
+
+    return _.isUndefined(json)
+      ? undefined
+      : JSON.parse(json);
+  } catch (error) {
+    return undefined;
+  }
+}
+
+/**
+ * Keywords that don't affect validation, so recordFromJSONSchema() ignores them.
+ * @type {String[]}
+ */
+const ANNOTATION_KEYWORDS = [
+  '$schema', '$id', '$comment', '$defs', 'definitions', 'title', 'description', 'examples',
+  'deprecated', 'readOnly', 'writeOnly', 'format', 'default'
+];
+
+/**
+ * Keywords recordFromJSONSchema() understands in schemas that describe objects.
+ * @type {String[]}
+ */
+const OBJECT_KEYWORDS = [ 'type', 'properties', 'required' ];
+
+/**
+ * Keywords recordFromJSONSchema() understands in schemas for everything else.
+ * @type {String[]}
+ */
+const VALUE_KEYWORDS = [ 'type', 'enum', 'minimum', 'maximum', 'pattern', 'items' ];
+
+/**
+ * The type strings for each JSON Schema type.
+ * @type {Object<String, String>}
+ */
+const JSON_TYPE_STRINGS = {
+  string: 'string',
+  number: 'number',
+  integer: 'integer',
+  boolean: 'boolean',
+  null: 'null',
+  array: 'array',
+  object: 'plainObject'
+};
+
+/**
+ * Given a JSON Schema document describing an object, returns a Record class whose fields
+ * are the object's properties.
+ *
+ * Nested object schemas (including the ones behind "$ref") become nested Record classes, and
+ * arrays of them become Lists of those Records (see listOf()). Everything else becomes a type
+ * string, or a validator function when the schema has constraints like "enum" or "minimum".
+ * Throws a RecordSchemaValidationError that lists every keyword that couldn't be converted.
+ *
+ * @param {Object} document
+ * @param {String} [name] - defaults to the document's "title"
+ * @param {function(Object, String): Function} createRecord - creates a Record class
+ * @return {Function}
+ */
+export function recordFromJSONSchema (document, name, createRecord) {
+  if (!isObjectSchema(document)) {
+    throw new RecordSchemaValidationError(
+      `fromJSONSchema() expects a JSON Schema document that describes an object's "properties".`
+    );
+  }
+
+  const context = {
+    document,
+    createRecord,
+    references: new Map(),
+    // The root is always being converted, so "$ref": "#" is recursive
+    pending: [ '#' ],
+    problems: []
+  };
+
+  const Record = schemaToRecord(document, '#', name || document.title || 'Record', context);
+
+  if (context.problems.length > 0) {
+    throw new RecordSchemaValidationError(
+      `Can't build a Record from the JSON Schema:\n${context.problems.join('\n')}`
+    );
+  }
+
+  return Record;
+}
+
+/**
+ * Returns a Record class for a schema that describes an object.
+ *
+ * @param {Object} schema
+ * @param {String} pointer - JSON pointer to the schema, for error messages
+ * @param {String} name - name of the Record class
+ * @param {Object} context
+ * @return {Function}
+ */
+function schemaToRecord (schema, pointer, name, context) {
+  reportUnsupportedKeywords(schema, pointer, OBJECT_KEYWORDS, context);
+
+  let required = [];
+  if (_.has(schema, 'required')) {
+    if (_.isArray(schema.required) && _.every(schema.required, _.isString)) {
+      required = schema.required;
+    } else {
+      reportProblem(`${pointer}/required`, `must be an array of strings.`, context);
+    }
+  }
+
+  const shape = _.mapValues(
+    schema.properties,
+    (propertySchema, key) => propertyToSchemaValue(
+      propertySchema,
+      `${pointer}/properties/${escapePointerSegment(key)}`,
+      `${name}${_.upperFirst(_.camelCase(key))}`,
+      _.includes(required, key),
+      context
+    )
+  );
+
+  // Required properties don't have to be described by "properties"
+  required
+    .filter(key => !_.has(shape, key))
+    .forEach(key => {
+      shape[key] = { required: true };
+    });
+
+  return context.createRecord(shape, name);
+}
+
+/**
+ * Returns the RecordSchema field for a property of an object schema.
+ *
+ * @param {Object|boolean} schema
+ * @param {String} pointer
+ * @param {String} name - name for the field's Record class, if it becomes one
+ * @param {boolean} isRequired
+ * @param {Object} context
+ * @return {Object}
+ */
+function propertyToSchemaValue (schema, pointer, name, isRequired, context) {
+  const type = schemaToType(schema, pointer, name, context);
+  const schemaValue = {};
+
+  if (!_.isUndefined(type)) {
+    schemaValue.type = type;
+  }
+
+  if (isRequired) {
+    schemaValue.required = true;
+  }
+
+  if (_.has(schema, 'default')) {
+    schemaValue.default = isRecordClass(type) || isCollectionClass(type)
+      ? toRecordDefault(type, schema.default)
+      : schema.default;
+  }
+
+  // Keep the original schema around for toJSONSchema(), since it can't describe validators.
+  // Schemas that reference other Records are left out, since their "$ref"s would dangle.
+  if (
+    _.isFunction(type) &&
+    !isRecordClass(type) &&
+    !isCollectionClass(type) &&
+    !hasNestedRecords(schema)
+  ) {
+    schemaValue.jsonSchema = _.omit(schema, 'default');
+  }
+
+  return schemaValue;
+}
+
+/**
+ * Returns the RecordSchema type for a schema: a Record class for object schemas, a type
+ * string or validator function for everything else, or undefined if any value is valid.
+ *
+ * @param {Object|boolean} schema
+ * @param {String} pointer
+ * @param {String} name - name for the Record class, if the schema becomes one
+ * @param {Object} context
+ * @return {String|Function|undefined}
+ */
+function schemaToType (schema, pointer, name, context) {
+  if (schema === true) {
+    return undefined;
+  }
+
+  if (!_.isPlainObject(schema)) {
+    reportProblem(pointer, `is not a supported JSON Schema.`, context);
+    return undefined;
+  }
+
+  if (_.has(schema, '$ref')) {
+    reportUnsupportedKeywords(schema, pointer, [ '$ref' ], context);
+    return referenceToType(schema.$ref, `${pointer}/$ref`, context);
+  }
+
+  if (isObjectSchema(schema)) {
+    return schemaToRecord(schema, pointer, schema.title || name, context);
+  }
+
+  reportUnsupportedKeywords(schema, pointer, VALUE_KEYWORDS, context);
+  return constraintsToType(schema, pointer, name, context);
+}
+
+/**
+ * Returns the RecordSchema type for a schema that isn't an object schema or a reference.
+ * Arrays whose items are Records (and that have no other constraints) become Lists of the
+ * Record.
+ *
+ * @param {Object} schema
+ * @param {String} pointer
+ * @param {String} name
+ * @param {Object} context
+ * @return {String|Function|undefined}
+ */
+function constraintsToType (schema, pointer, name, context) {
+  const baseType = jsonTypeToType(schema, pointer, context);
+  const checks = [];
+
+  if (_.has(schema, 'enum')) {
+    if (_.isArray(schema.enum) && schema.enum.length > 0) {
+      checks.push({
+        description: `one of ${JSON.stringify(schema.enum)}`,
+        isValid: value => _.some(schema.enum, enumValue => _.isEqual(enumValue, value))
+      });
+    } else {
+      reportProblem(`${pointer}/enum`, `must be a non-empty array.`, context);
+    }
+  }
+
+  [
+    [ 'minimum', '>=', (value, limit) => value >= limit ],
+    [ 'maximum', '<=', (value, limit) => value <= limit ]
+  ].forEach(([ keyword, operator, isWithinLimit ]) => {
+    if (!_.has(schema, keyword)) {
+      return;
+    }
+
+    const limit = schema[keyword];
+    if (!_.isFinite(limit)) {
+      reportProblem(`${pointer}/${keyword}`, `must be a number.`, context);
+      return;
+    }
+
+    // Like in JSON Schema, the limits only apply to numbers
+    checks.push({
+      description: `${operator} ${limit}`,
+      isValid: value => !_.isNumber(value) || isWithinLimit(value, limit)
+    });
+  });
+
+  if (_.has(schema, 'pattern')) {
+    const regExp = toRegExp(schema.pattern);
+
+    if (regExp) {
+      checks.push({
+        description: `matching ${regExp}`,
+        isValid: value => !_.isString(value) || regExp.test(value)
+      });
+    } else {
+      reportProblem(`${pointer}/pattern`, `must be a valid regular expression.`, context);
+    }
+  }
+
+  if (_.has(schema, 'items')) {
+    const rawItemType = schemaToType(schema.items, `${pointer}/items`, `${name}Item`, context);
+
+    if (isRecordClass(rawItemType) && baseType === 'array' && checks.length === 0) {
+      return listOf(rawItemType);
+    }
+
+    const itemType = toValueType(rawItemType);
+
+    if (!_.isUndefined(itemType)) {
+      checks.push({
+        description: `items ${describeType(itemType)}`,
+        isValid: value => !_.isArray(value) || _.every(value, item => isValidForType(itemType, item))
+      });
+    }
+  }
+
+  if (checks.length === 0) {
+    return baseType;
+  }
+
+  const descriptions = _.map(checks, 'description');
+  if (!_.isUndefined(baseType)) {
+    descriptions.unshift(describeType(baseType));
+  }
+
+  return namedValidator(
+    descriptions.join(', '),
+    value => isValidForType(baseType, value) && _.every(checks, check => check.isValid(value))
+  );
+}
+
+/**
+ * Returns the RecordSchema type for the "type" keyword of a schema.
+ *
+ * @param {Object} schema
+ * @param {String} pointer
+ * @param {Object} context
+ * @return {String|Function|undefined}
+ */
+function jsonTypeToType (schema, pointer, context) {
+  if (!_.has(schema, 'type')) {
+    return undefined;
+  }
+
+  const jsonTypes = _.castArray(schema.type);
+  if (jsonTypes.length === 0 || !_.every(jsonTypes, jsonType => _.has(JSON_TYPE_STRINGS, jsonType))) {
+    reportProblem(`${pointer}/type`, `must be a JSON Schema type or an array of them.`, context);
+    return undefined;
+  }
+
+  const typeStrings = jsonTypes.map(jsonType => JSON_TYPE_STRINGS[jsonType]);
+
+  return typeStrings.length === 1
+    ? typeStrings[0]
+    : oneOf(typeStrings);
+}
+
+/**
+ * Returns the RecordSchema type for a "$ref". Each reference is only converted once, so
+ * references to the same object schema become the same Record class.
+ *
+ * @param {*} reference
+ * @param {String} pointer
+ * @param {Object} context
+ * @return {String|Function|undefined}
+ */
+function referenceToType (reference, pointer, context) {
+  if (!_.isString(reference) || !_.startsWith(reference, '#')) {
+    reportProblem(pointer, `must point inside the document.`, context);
+    return undefined;
+  }
+
+  if (_.includes(context.pending, reference)) {
+    reportProblem(pointer, `is a recursive reference, which isn't supported.`, context);
+    return undefined;
+  }
+
+  if (!context.references.has(reference)) {
+    const target = resolvePointer(context.document, reference);
+
+    if (_.isUndefined(target)) {
+      reportProblem(pointer, `points to "${reference}", which doesn't exist.`, context);
+      return undefined;
+    }
+
+    context.pending.push(reference);
+    context.references.set(
+      reference,
+      schemaToType(target, reference, _.upperFirst(_.camelCase(_.last(reference.split('/')))), context)
+    );
+    context.pending.pop();
+  }
+
+  return context.references.get(reference);
+}
+
+/**
+ * Returns the value at a JSON pointer (e.g. "#/$defs/Address") in a document, or undefined
+ * if there is none.
+ *
+ * @param {Object} document
+ * @param {String} reference
+ * @return {*}
+ */
+function resolvePointer (document, reference) {
+  if (reference === '#') {
+    return document;
+  }
+
+  if (!_.startsWith(reference, '#/')) {
+    return undefined;
+  }
+
+  const path = reference.slice(2).split('/').map(
+    segment => decodeURIComponent(segment).replace(/~1/g, '/').replace(/~0/g, '~')
+  );
+
+  return _.get(document, path);
+}
+
+/**
+ * Returns a Record field's default value for a nested Record (or List), constructing the
+ * Record if the default is a valid input for it. Invalid defaults are returned as-is, so that
+ * creating the Record class fails with the usual error.
+ *
+ * @param {Function} Record - a Record class or a List class
+ * @param {*} defaultValue
+ * @return {*}
+ */
+function toRecordDefault (Record, defaultValue) {
+  const isValid = isCollectionClass(Record)
+    ? _.isArray(defaultValue) && parseCollectionInput(Record, defaultValue).errors.length === 0
+    : _.isPlainObject(defaultValue) && isValidRecordInput(Record, defaultValue);
+
+  return isValid
+    ? new Record(defaultValue)
+    : defaultValue;
+}
+
+/**
+ * Returns a type for values that aren't Record fields (e.g. array items), which aren't
+ * constructed from plain objects. Nested Records accept both instances and valid inputs.
+ *
+ * @param {String|Function|undefined} type
+ * @return {String|Function|undefined}
+ */
+function toValueType (type) {
+  if (!isRecordClass(type)) {
+    return type;
+  }
+
+  return namedValidator(
+    type.name,
+    value => value instanceof type || (_.isPlainObject(value) && isValidRecordInput(type, value))
+  );
+}
+
+/**
+ * Returns true if a Record can be constructed from `input`.
+ *
+ * @param {Function} Record
+ * @param {*} input
+ * @return {boolean}
+ */
+function isValidRecordInput (Record, input) {
+  return getRecordSchema(Record.prototype).parseInput(input).errors.length === 0;
+}
+
+/**
+ * Returns true if a schema describes an object with properties.
+ *
+ * @param {*} schema
+ * @return {boolean}
+ */
+function isObjectSchema (schema) {
+  return (
+    _.isPlainObject(schema) &&
+    _.isPlainObject(schema.properties) &&
+    (!_.has(schema, 'type') || schema.type === 'object')
+  );
+}
+
+/**
+ * Returns true if a schema contains schemas that become Record classes.
+ *
+ * @param {*} schema
+ * @return {boolean}
+ */
+function hasNestedRecords (schema) {
+  return _.isObject(schema) && (
+    _.has(schema, '$ref') ||
+    _.has(schema, 'properties') ||
+    _.some(schema, hasNestedRecords)
+  );
+}
+
+/**
+ * Reports every keyword of a schema that isn't supported or an annotation.
+ *
+ * @param {Object} schema
+ * @param {String} pointer
+ * @param {String[]} supportedKeywords
+ * @param {Object} context
+ */
+function reportUnsupportedKeywords (schema, pointer, supportedKeywords, context) {
+  _.keys(schema)
+    .filter(keyword => (
+      !_.includes(supportedKeywords, keyword) &&
+      !_.includes(ANNOTATION_KEYWORDS, keyword)
+    ))
+    .forEach(keyword => reportProblem(
+      `${pointer}/${escapePointerSegment(keyword)}`,
+      `is not supported.`,
+      context
+    ));
+}
+
+/**
+ * Adds a problem to the list that recordFromJSONSchema() throws.
+ *
+ * @param {String} pointer
+ * @param {String} problem
+ * @param {Object} context
+ */
+function reportProblem (pointer, problem, context) {
+  context.problems.push(`"${pointer}" ${problem}`);
+}
+
+/**
+ * Escapes a key for use in a JSON pointer.
+ *
+ * @param {String} key
+ * @return {String}
+ */
+function escapePointerSegment (key) {
+  return String(key).replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+/**
+ * Returns a RegExp for a JSON Schema "pattern", or undefined if the pattern is invalid.
+ *
+ * @param {*} pattern
+ * @return {RegExp|undefined}
+ */
+function toRegExp (pattern) {
+  if (!_.isString(pattern)) {
+    return undefined;
+  }
+
+  try {
+    return new RegExp(pattern, 'u');
+  } catch (error) {
+    return undefined;
+  }
+}
+
+/**
+ * Returns a validator function with a specific name, so that validation failures say what
+ * was expected.
+ *
+ * @param {String} name
+ * @param {function(*): boolean} validator
+ * @return {function(*): boolean}
+ */
+function namedValidator (name, validator) {
+  return Object.defineProperty(validator, 'name', {
+    writable: false,
+    enumerable: false,
+    configurable: true,
+    value: name
+  });
+}
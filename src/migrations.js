@@ -0,0 +1,120 @@
+import _ from 'lodash';
+import { RecordSchemaValidationError } from './RecordSchema';
+
+/*
+ * Schema versioning for persisted Records.
+ *
+ * A Record class with a "version" option stamps its version on its JSON representation (at
+ * VERSION_KEY). When older data is read back with Record.fromVersioned(), the Record's
+ * "migrations" upgrade it one version at a time before it's validated.
+ *
+ * Migrations are keyed by the version they upgrade to: migrations[3] takes the values of a
+ * version 2 payload and returns the values of a version 3 payload.
+ */
+
+/**
+ * The key the version is stored at in a Record's JSON representation.
+ * @type {String}
+ */
+export const VERSION_KEY = '__version';
+
+/**
+ * Throws a RecordSchemaValidationError if the "version" or "migrations" options of a Record
+ * are invalid.
+ *
+ * @param {Number|undefined} version
+ * @param {Object|undefined} migrations
+ * @param {Object} shape - the Record's shape
+ * @return {boolean}
+ */
+export function validateVersionOptions (version, migrations, shape) {
+  if (_.isUndefined(version)) {
+    if (!_.isUndefined(migrations)) {
+      throw new RecordSchemaValidationError(`"migrations" requires a "version".`);
+    }
+
+    return true;
+  }
+
+  if (!Number.isInteger(version) || version < 1) {
+    throw new RecordSchemaValidationError(`"version" must be a positive integer.`);
+  }
+
+  if (_.has(shape, VERSION_KEY)) {
+    throw new RecordSchemaValidationError(
+      `A versioned Record can't have a "${VERSION_KEY}" field, since its version is stored there.`
+    );
+  }
+
+  if (_.isUndefined(migrations)) {
+    return true;
+  }
+
+  if (!_.isPlainObject(migrations) || !_.every(migrations, _.isFunction)) {
+    throw new RecordSchemaValidationError(`"migrations" must be a plain object of functions.`);
+  }
+
+  _.keys(migrations).forEach(key => {
+    const toVersion = Number(key);
+
+    if (!Number.isInteger(toVersion) || toVersion < 2 || toVersion > version) {
+      throw new RecordSchemaValidationError(
+        `"migrations" can't have a migration to version ${key}. ` +
+        `Migrations are keyed by the version they upgrade to, from 2 to ${version}.`
+      );
+    }
+  });
+
+  return true;
+}
+
+/**
+ * Upgrades a versioned payload (e.g. the JSON representation of an older version of a
+ * Record) to the current version, by calling each migration from the payload's version up
+ * to `version` in order. Payloads without a version are version 1.
+ *
+ * Returns the upgraded values, without the version. Throws if the payload isn't a plain
+ * object, if its version is invalid or newer than `version`, or if a migration doesn't
+ * return a plain object.
+ *
+ * @param {Object} payload
+ * @param {Number} version - the current version
+ * @param {Object} migrations - migrations keyed by the version they upgrade to
+ * @return {Object}
+ */
+export function migrateInput (payload, version, migrations) {
+  if (!_.isPlainObject(payload)) {
+    throw new Error(`A versioned payload must be a plain object.`);
+  }
+
+  const payloadVersion = _.has(payload, VERSION_KEY)
+    ? payload[VERSION_KEY]
+    : 1;
+
+  if (!Number.isInteger(payloadVersion) || payloadVersion < 1) {
+    throw new Error(`${JSON.stringify(payloadVersion)} is not a valid version.`);
+  }
+
+  if (payloadVersion > version) {
+    throw new Error(
+      `The payload's version (${payloadVersion}) is newer than the Record's version (${version}).`
+    );
+  }
+
+  return _.range(payloadVersion + 1, version + 1).reduce(
+    (values, toVersion) => {
+      if (!_.has(migrations, toVersion)) {
+        return values;
+      }
+
+      const migrated = migrations[toVersion](values);
+
+      if (!_.isPlainObject(migrated)) {
+        throw new Error(`The migration to version ${toVersion} must return a plain object.`);
+      }
+
+      return migrated;
+    },
+    _.omit(payload, VERSION_KEY)
+  );
+}
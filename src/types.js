@@ -0,0 +1,458 @@
+import _ from 'lodash';
+import {
+  isValidType,
+  isValidForType,
+  describeType,
+  registerLazyType,
+  registerTypeParser,
+  resolveType,
+  parseValueForType,
+  convertValueForType,
+  createTypeFailure,
+  prefixFailurePath,
+  RecordSchemaValidationError
+} from './RecordSchema';
+
+/*
+ * Composable type combinators for the "type" option of a RecordSchema field.
+ *
+ * Each combinator returns a validator function whose name describes the type (e.g.
+ * "Array<Address | string>"), so that validation failures say what was expected. Names are
+ * built when they're read, since lazy types can't be described until they're resolved.
+ *
+ * Anything that is a valid "type" can be passed to a combinator: type strings, Record
+ * classes, validator functions and other combinators.
+ *
+ * Plain objects (and arrays) inside a combinator's value are used to construct the Records
+ * (and collections) the combinator expects, just like at a field of that type. Failures inside
+ * a Record constructed that way are reported at their full path (e.g. [ 'addresses', 1, 'zip' ]).
+ * Any other invalid value fails the combinator's type as a whole.
+ */
+
+// The kind and arguments of every validator created by a combinator
+const combinators = new WeakMap();
+
+/**
+ * Arrays whose elements are all valid according to `type`.
+ *
+ * @param {String|Function} type
+ * @return {Function}
+ */
+export function arrayOf (type) {
+  assertValidType(type, 'arrayOf');
+
+  const validator = combinatorValidator(
+    'arrayOf', [ type ],
+    () => `Array<${describeType(type)}>`,
+    value => _.isArray(value) && _.every(value, element => isValidForType(type, element))
+  );
+
+  registerTypeParser(
+    validator,
+    value => {
+      if (!_.isArray(value)) {
+        return invalid(validator, value);
+      }
+
+      const parsed = parseEntries(validator, value, value.map((element, index) => [ index, type ]));
+      return parsed.errors.length > 0
+        ? parsed
+        : { value: value.map((element, index) => parsed.value[index]), errors: [] };
+    },
+    value => (
+      _.isArray(value)
+        ? keepIfUnchanged(value, value.map(element => convertValueForType(type, element)))
+        : value
+    ),
+    [ type ]
+  );
+
+  return validator;
+}
+
+/**
+ * Plain objects whose values are all valid according to `type`.
+ *
+ * @param {String|Function} type
+ * @return {Function}
+ */
+export function objectOf (type) {
+  assertValidType(type, 'objectOf');
+
+  const validator = combinatorValidator(
+    'objectOf', [ type ],
+    () => `Object<string, ${describeType(type)}>`,
+    value => _.isPlainObject(value) && _.every(value, element => isValidForType(type, element))
+  );
+
+  registerTypeParser(
+    validator,
+    value => (
+      _.isPlainObject(value)
+        ? parseEntries(validator, value, _.keys(value).map(key => [ key, type ]))
+        : invalid(validator, value)
+    ),
+    value => (
+      _.isPlainObject(value)
+        ? keepIfUnchanged(value, _.mapValues(value, element => convertValueForType(type, element)))
+        : value
+    ),
+    [ type ]
+  );
+
+  return validator;
+}
+
+/**
+ * Values that are valid according to at least one of `types`.
+ *
+ * @param {Array<String|Function>} types
+ * @return {Function}
+ */
+export function oneOf (types) {
+  if (!_.isArray(types) || types.length === 0) {
+    throw new RecordSchemaValidationError(`oneOf() expects a non-empty array of types.`);
+  }
+
+  types.forEach(type => assertValidType(type, 'oneOf'));
+
+  const validator = combinatorValidator(
+    'oneOf', [ types ],
+    () => types.map(describeType).join(' | '),
+    value => _.some(types, type => isValidForType(type, value))
+  );
+
+  // Values are parsed with the first type they're valid for. Converting a value (without
+  // validation) needs to pick a type too, so it picks the same one.
+  const parse = value => {
+    for (let index = 0; index < types.length; index++) {
+      const parsed = parseValueForType(types[index], value);
+
+      if (parsed.errors.length === 0) {
+        return parsed;
+      }
+    }
+
+    return invalid(validator, value);
+  };
+
+  registerTypeParser(
+    validator,
+    parse,
+    value => (
+      validator(value)
+        ? value
+        : parse(value).value
+    ),
+    types
+  );
+
+  return validator;
+}
+
+/**
+ * Just like oneOf(), except that the types are passed as separate arguments.
+ *
+ * @param {...(String|Function)} types
+ * @return {Function}
+ */
+export function union (...types) {
+  return oneOf(types);
+}
+
+/**
+ * null, or values that are valid according to `type`.
+ *
+ * @param {String|Function} type
+ * @return {Function}
+ */
+export function nullable (type) {
+  assertValidType(type, 'nullable');
+
+  const validator = combinatorValidator(
+    'nullable', [ type ],
+    () => `${describeType(type)} | null`,
+    value => _.isNull(value) || isValidForType(type, value)
+  );
+
+  registerTypeParser(
+    validator,
+    value => {
+      const parsed = parseValueForType(type, value);
+
+      return _.some(parsed.errors, failure => failure.path.length === 0)
+        ? invalid(validator, value)
+        : parsed;
+    },
+    value => (
+      _.isNull(value)
+        ? value
+        : convertValueForType(type, value)
+    ),
+    [ type ]
+  );
+
+  return validator;
+}
+
+/**
+ * Plain objects whose values at each key of `shapeTypes` are valid according to the type at
+ * that key. Missing keys are tested as undefined. Keys that aren't in `shapeTypes` are allowed.
+ *
+ * @param {Object<String, String|Function>} shapeTypes
+ * @return {Function}
+ */
+export function shape (shapeTypes) {
+  if (!_.isPlainObject(shapeTypes)) {
+    throw new RecordSchemaValidationError(`shape() expects a plain object of types.`);
+  }
+
+  _.forEach(shapeTypes, type => assertValidType(type, 'shape'));
+
+  const describe = () => {
+    const description = _.map(
+      shapeTypes,
+      (type, key) => `${key}: ${describeType(type)}`
+    ).join(', ');
+
+    return `{ ${description} }`;
+  };
+
+  const validator = combinatorValidator(
+    'shape', [ shapeTypes ],
+    describe,
+    value => _.isPlainObject(value) && _.every(
+      shapeTypes,
+      (type, key) => isValidForType(type, value[key])
+    )
+  );
+
+  // Only the keys that are in the value are set on the parsed value
+  const getPresentKeys = value => _.keys(shapeTypes).filter(key => key in value);
+
+  registerTypeParser(
+    validator,
+    value => {
+      if (!_.isPlainObject(value)) {
+        return invalid(validator, value);
+      }
+
+      const missing = _.difference(_.keys(shapeTypes), getPresentKeys(value));
+      if (!_.every(missing, key => isValidForType(shapeTypes[key], undefined))) {
+        return invalid(validator, value);
+      }
+
+      const parsed = parseEntries(
+        validator, value, getPresentKeys(value).map(key => [ key, shapeTypes[key] ])
+      );
+      return parsed.errors.length > 0
+        ? parsed
+        : { value: _.assign({}, value, parsed.value), errors: [] };
+    },
+    value => (
+      _.isPlainObject(value)
+        ? keepIfUnchanged(value, _.assign({}, value, _.fromPairs(getPresentKeys(value).map(key => (
+          [ key, convertValueForType(shapeTypes[key], value[key]) ]
+        )))))
+        : value
+    ),
+    _.values(shapeTypes)
+  );
+
+  return validator;
+}
+
+/**
+ * Instances of `Klass`.
+ *
+ * @param {Function} Klass
+ * @return {Function}
+ */
+export function instanceOf (Klass) {
+  if (!_.isFunction(Klass)) {
+    throw new RecordSchemaValidationError(`instanceOf() expects a class.`);
+  }
+
+  return combinatorValidator(
+    'instanceOf', [ Klass ],
+    () => Klass.name || 'instance',
+    value => value instanceof Klass
+  );
+}
+
+/**
+ * Exactly `literalValue` (compared with SameValueZero, so NaN matches NaN).
+ *
+ * @param {*} literalValue
+ * @return {Function}
+ */
+export function literal (literalValue) {
+  return combinatorValidator(
+    'literal', [ literalValue ],
+    () => describeLiteral(literalValue),
+    value => _.eq(value, literalValue)
+  );
+}
+
+/**
+ * A type that's only resolved (by calling `getType`) when it's first needed. Use it to refer
+ * to Record classes that don't exist yet when a shape is defined, like the Record itself:
+ *
+ *    const TreeNode = ImmutableRecord({
+ *      children: { type: ImmutableRecord.List(lazy(() => TreeNode)) }
+ *    });
+ *
+ * Lazy types behave exactly like the type they resolve to: plain objects are used to
+ * construct Records, failures name the resolved type, and so on.
+ *
+ * @param {function(): (String|Function)} getType
+ * @return {Function}
+ */
+export function lazy (getType) {
+  if (!_.isFunction(getType)) {
+    throw new RecordSchemaValidationError(`lazy() expects a function that returns a type.`);
+  }
+
+  const validator = value => isValidForType(resolveType(validator), value);
+  registerLazyType(validator, getType);
+
+  return combinatorValidator(
+    'lazy', [ getType ],
+    () => describeLazyType(validator),
+    validator
+  );
+}
+
+/**
+ * Given a validator function, returns the name of the combinator that created it
+ * and the arguments that were passed to the combinator. Returns undefined for
+ * validators that weren't created by a combinator.
+ *
+ * @param {Function} validator
+ * @return {{kind: String, args: Array}|undefined}
+ */
+export function getCombinator (validator) {
+  return combinators.get(validator);
+}
+
+/**
+ * Returns a validator function whose name is built by `describe`, and remembers which
+ * combinator created it.
+ *
+ * @param {String} kind - name of the combinator
+ * @param {Array} args - arguments passed to the combinator
+ * @param {function(): String} describe - returns the name
+ * @param {function(*): boolean} validator
+ * @return {function(*): boolean}
+ */
+function combinatorValidator (kind, args, describe, validator) {
+  combinators.set(validator, { kind, args });
+
+  return Object.defineProperty(validator, 'name', {
+    // Like the default Function.name configuration, except that the name is computed
+    enumerable: false,
+    configurable: true,
+    get: describe
+  });
+}
+
+/**
+ * Parses the values of an array or plain object with the type at each of their keys (see
+ * parseValueForType()). Returns the parsed values (keyed like `value`), and the failures inside
+ * them with paths relative to `value`. If any of the values is invalid itself (rather than
+ * inside a Record constructed from it), `value` fails the combinator's type as a whole.
+ *
+ * @param {Function} validator - the combinator's validator
+ * @param {Array|Object} value
+ * @param {Array<Array>} entries - [ key, type ] pairs
+ * @return {{value: Object, errors: ValidationFailure[]}}
+ */
+function parseEntries (validator, value, entries) {
+  const parsedValues = {};
+  const errors = [];
+
+  for (let index = 0; index < entries.length; index++) {
+    const [ key, type ] = entries[index];
+    const parsed = parseValueForType(type, value[key]);
+
+    if (_.some(parsed.errors, failure => failure.path.length === 0)) {
+      return invalid(validator, value);
+    }
+
+    parsedValues[key] = parsed.value;
+    errors.push(...parsed.errors.map(failure => prefixFailurePath(key, failure)));
+  }
+
+  return errors.length > 0
+    ? { value, errors }
+    : { value: parsedValues, errors };
+}
+
+/**
+ * Returns the result of parsing a value that fails a combinator's type as a whole.
+ *
+ * @param {Function} validator
+ * @param {*} value
+ * @return {{value: *, errors: ValidationFailure[]}}
+ */
+function invalid (validator, value) {
+  return { value, errors: [ createTypeFailure(validator, value) ] };
+}
+
+/**
+ * Returns `value` if every value in `converted` is the same as the value at its key in
+ * `value`, and `converted` otherwise. Keeps conversion from copying values it didn't change.
+ *
+ * @param {Array|Object} value
+ * @param {Array|Object} converted
+ * @return {Array|Object}
+ */
+function keepIfUnchanged (value, converted) {
+  return _.every(converted, (element, key) => element === value[key])
+    ? value
+    : converted;
+}
+
+/**
+ * Throws a RecordSchemaValidationError if `type` can't be used as a type.
+ *
+ * @param {*} type
+ * @param {String} combinator - the name of the combinator, for the error message
+ * @return {boolean}
+ */
+function assertValidType (type, combinator) {
+  if (!isValidType(type)) {
+    throw new RecordSchemaValidationError(`${combinator}() was passed an invalid type.`);
+  }
+
+  return true;
+}
+
+/**
+ * Returns a description of a lazy type: the description of the type it resolves to, or
+ * "lazy" if it can't be resolved yet.
+ *
+ * @param {Function} lazyType
+ * @return {String}
+ */
+function describeLazyType (lazyType) {
+  try {
+    return describeType(resolveType(lazyType));
+  } catch (error) {
+    return 'lazy';
+  }
+}
+
+/**
+ * Returns a description of a literal value.
+ *
+ * @param {*} literalValue
+ * @return {String}
+ */
+function describeLiteral (literalValue) {
+  if (_.isUndefined(literalValue) || _.isSymbol(literalValue) || _.isNaN(literalValue)) {
+    return String(literalValue);
+  }
+
+  return JSON.stringify(literalValue);
+}
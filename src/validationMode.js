@@ -0,0 +1,133 @@
+import _ from 'lodash';
+import { RecordSchemaValidationError } from './RecordSchema';
+
+/*
+ * Validation modes control what constructing a Record (including with set(), merge() and
+ * the rest) does with invalid input:
+ *
+ *    THROW: throw a RecordValidationError
+ *    WARN: pass the RecordValidationError to the logger, and construct the Record anyway
+ *    OFF: don't validate at all
+ *
+ * A Record class's "validationMode" option takes precedence over the global mode (see
+ * setValidationMode()). The global mode defaults to OFF when process.env.NODE_ENV is
+ * "production" and to THROW otherwise.
+ *
+ * Explicit validation (Record.validate(), Record.tryCreate(), createAsync() and the rest)
+ * always validates.
+ */
+
+/**
+ * The validation modes.
+ * @type {String}
+ */
+export const THROW = 'throw';
+export const WARN = 'warn';
+export const OFF = 'off';
+
+/**
+ * Every validation mode.
+ * @type {String[]}
+ */
+export const VALIDATION_MODES = [ THROW, WARN, OFF ];
+
+/**
+ * Logs validation errors in WARN mode.
+ *
+ * @param {RecordValidationError} error
+ */
+function defaultLogger (error) {
+  if (typeof console !== 'undefined') {
+    console.warn(error.message);
+  }
+}
+
+let globalValidationMode = getEnvironmentValidationMode();
+let logger = defaultLogger;
+
+/**
+ * Returns the validation mode for the current environment: OFF in production, THROW
+ * otherwise.
+ *
+ * @return {String}
+ */
+export function getEnvironmentValidationMode () {
+  let environment;
+
+  // Written out in full so that envify can replace it in builds
+  try {
+    environment = process.env.NODE_ENV;
+  } catch (error) {
+    environment = undefined;
+  }
+
+  return environment === 'production'
+    ? OFF
+    : THROW;
+}
+
+/**
+ * Throws a RecordSchemaValidationError if a validation mode is invalid. When `allowUndefined`
+ * is true, undefined is valid too.
+ *
+ * @param {*} mode
+ * @param {boolean} [allowUndefined]
+ * @return {boolean}
+ */
+export function assertValidationMode (mode, allowUndefined) {
+  if ((allowUndefined && _.isUndefined(mode)) || _.includes(VALIDATION_MODES, mode)) {
+    return true;
+  }
+
+  throw new RecordSchemaValidationError(
+    `${JSON.stringify(mode)} is not a validation mode. ` +
+    `Use one of ${VALIDATION_MODES.map(validMode => `"${validMode}"`).join(', ')}.`
+  );
+}
+
+/**
+ * Sets the validation mode of every Record class without a "validationMode" option.
+ * Passing undefined restores the default for the environment.
+ *
+ * @param {String|undefined} mode
+ */
+export function setValidationMode (mode) {
+  assertValidationMode(mode, true);
+
+  globalValidationMode = _.isUndefined(mode)
+    ? getEnvironmentValidationMode()
+    : mode;
+}
+
+/**
+ * Returns the validation mode of a Record class, given its "validationMode" option.
+ *
+ * @param {String|undefined} mode
+ * @return {String}
+ */
+export function resolveValidationMode (mode) {
+  return mode || globalValidationMode;
+}
+
+/**
+ * Sets the function that's called with each RecordValidationError in WARN mode. Passing
+ * undefined restores the default, which calls console.warn() with the error's message.
+ *
+ * @param {function(RecordValidationError)|undefined} newLogger
+ */
+export function setLogger (newLogger) {
+  if (!_.isUndefined(newLogger) && !_.isFunction(newLogger)) {
+    throw new Error(`The logger must be a function.`);
+  }
+
+  logger = newLogger || defaultLogger;
+}
+
+/**
+ * Passes a RecordValidationError to the logger.
+ *
+ * @param {RecordValidationError} error
+ */
+export function logValidationError (error) {
+  logger(error);
+}